@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+// dust-mcp command line tool (see lib/cli.js)
+require('dotenv').config();
+const { main } = require('../lib/cli');
+
+main(process.argv.slice(2)).then((code) => {
+  // serve keeps running
+  if (code !== null) {
+    process.exitCode = code;
+  }
+});
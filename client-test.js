@@ -17,13 +17,19 @@ dotenv.config();
 const config = {
   mcpHost: process.env.MCP_HOST || '127.0.0.1',
   mcpPort: process.env.MCP_PORT || 5001,
-  agentId: process.env.DUST_AGENT_ID || '442875',
+  // Agent to talk to; the first available agent when unset
+  agentId: process.env.DUST_AGENT_ID || '',
+  // Bearer token when the server requires authentication
+  authToken: process.env.MCP_AUTH_TOKEN || '',
   testMessage: 'Hello! Please introduce yourself and explain what you can help me with.'
 };
 
 // Base URL for the MCP server
 const baseUrl = `http://${config.mcpHost}:${config.mcpPort}`;
 
+// Authorization header sent on every request, if a token is configured
+const authHeaders = config.authToken ? { 'Authorization': `Bearer ${config.authToken}` } : {};
+
 /**
  * Send a message to the DUST agent and stream the response
  */
@@ -32,19 +38,36 @@ async function testChatWithDustAgent() {
   console.log('DUST MCP Client Test');
   console.log('=========================================');
   console.log(`MCP Server: ${baseUrl}`);
-  console.log(`Agent ID: ${config.agentId}`);
+  console.log(`Agent ID: ${config.agentId || '(first available)'}`);
   console.log(`Test message: "${config.testMessage}"`);
   console.log('=========================================');
   console.log('Connecting to MCP server...');
   
   try {
-    // First, get the available models to verify connection
+    // Open an MCP session before calling any other method
+    const initResponse = await axios.post(`${baseUrl}/mcp`, {
+      jsonrpc: '2.0',
+      id: 0,
+      method: 'initialize',
+      params: {
+        protocolVersion: '2025-06-18',
+        capabilities: {},
+        clientInfo: { name: 'dust-mcp-client-test', version: '1.0.0' }
+      }
+    }, { headers: authHeaders });
+    const sessionHeaders = { ...authHeaders, 'Mcp-Session-Id': initResponse.headers['mcp-session-id'] };
+    await axios.post(`${baseUrl}/mcp`, {
+      jsonrpc: '2.0',
+      method: 'notifications/initialized'
+    }, { headers: sessionHeaders });
+    
+    // Then get the available models to verify connection
     const modelsResponse = await axios.post(`${baseUrl}/mcp`, {
       jsonrpc: '2.0',
       id: 1,
       method: 'getModels',
       params: {}
-    });
+    }, { headers: sessionHeaders });
     
     if (modelsResponse.data.error) {
       throw new Error(`Error getting models: ${modelsResponse.data.error.message}`);
@@ -56,9 +79,9 @@ async function testChatWithDustAgent() {
     });
     
     // Check if our agent is available
-    const targetAgent = modelsResponse.data.result.find(
-      model => String(model.id) === String(config.agentId)
-    );
+    const targetAgent = config.agentId
+      ? modelsResponse.data.result.find(model => String(model.id) === String(config.agentId))
+      : modelsResponse.data.result[0];
     
     if (!targetAgent) {
       throw new Error(`Agent with ID ${config.agentId} not found. Available agents: ${modelsResponse.data.result.map(m => m.id).join(', ')}`);
@@ -78,7 +101,7 @@ async function testChatWithDustAgent() {
     // Encode parameters for the URL
     const params = encodeURIComponent(JSON.stringify({
       messages,
-      model: config.agentId
+      model: targetAgent.id
     }));
     
     // Set up the stream URL
@@ -96,6 +119,7 @@ async function testChatWithDustAgent() {
       path: `${parsedUrl.pathname}${parsedUrl.search}`,
       method: 'GET',
       headers: {
+        ...authHeaders,
         'Accept': 'text/event-stream',
         'Cache-Control': 'no-cache'
       }
@@ -129,11 +153,15 @@ async function testChatWithDustAgent() {
               const data = JSON.parse(eventData);
               console.log('Received event:', JSON.stringify(data).substring(0, 100) + '...');
               
-              if (data.params && data.params.type === 'text') {
-                // Received a text chunk
-                fullResponse += data.params.text;
-                process.stdout.write(data.params.text);
-              } else if (data.params && data.params.type === 'done') {
+              if (data.params && data.params.type === 'delta') {
+                // Received a token chunk
+                fullResponse += data.params.delta;
+                process.stdout.write(data.params.delta);
+              } else if (data.params && data.params.type === 'content') {
+                // Received the complete answer at once (polling fallback)
+                fullResponse = data.params.content;
+                process.stdout.write(data.params.content);
+              } else if (data.params && data.params.type === 'end') {
                 // Chat completed
                 console.log('\n=========================================');
                 console.log('Chat completed successfully!');
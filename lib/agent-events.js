@@ -0,0 +1,145 @@
+/**
+ * Agent activity events
+ * Maps the chain of thought and action events of Dust's agent event stream to the
+ * typed chat events forwarded on /mcp/stream, next to start/delta/content/end/error.
+ */
+
+// Activity event types a client can opt in or out of per request
+const ACTIVITY_EVENT_TYPES = ['thinking', 'action_started', 'action_result'];
+
+// Dust events announcing an action before it runs
+// Follow-up events of the same action (dust_app_run_block, tables_query_output...) are not forwarded
+const ACTION_START_EVENTS = new Set([
+  'browse_params',
+  'conversation_include_file_params',
+  'dust_app_run_params',
+  'process_params',
+  'reasoning_started',
+  'retrieval_params',
+  'search_labels_params',
+  'tables_query_started',
+  'websearch_params',
+  'tool_params'
+]);
+
+/**
+ * Check the `events` chat param, returning an error message or null
+ * @param {*} events - requested activity event types
+ */
+function validateActivityEvents(events) {
+  if (events === undefined) {
+    return null;
+  }
+  if (!Array.isArray(events)) {
+    return 'events must be an array';
+  }
+  const unknown = events.filter(type => !ACTIVITY_EVENT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    return `unknown event types ${unknown.join(', ')} (expected ${ACTIVITY_EVENT_TYPES.join(', ')})`;
+  }
+  return null;
+}
+
+/**
+ * Activity event types to forward for a request
+ * @param {Array|undefined} requested - the `events` chat param; an empty array opts out of all
+ * @param {Array} defaults - types forwarded when the request does not say
+ * @returns {Set<string>}
+ */
+function selectActivityEvents(requested, defaults) {
+  const types = Array.isArray(requested) ? requested : defaults;
+  return new Set(types.filter(type => ACTIVITY_EVENT_TYPES.includes(type)));
+}
+
+// What the action was asked to do, wherever the action type keeps it
+function actionParams(action) {
+  if (action.params !== undefined) {
+    return action.params;
+  }
+  if (action.query !== undefined) {
+    return { query: action.query };
+  }
+  if (action.urls !== undefined) {
+    return { urls: action.urls };
+  }
+  return null;
+}
+
+// What the action produced; retrieved documents are reduced to their references
+function actionOutput(action) {
+  if (Array.isArray(action.documents)) {
+    return {
+      documents: action.documents.map(document => ({
+        documentId: document.documentId,
+        reference: document.reference,
+        sourceUrl: document.sourceUrl,
+        score: document.score,
+        tags: document.tags
+      }))
+    };
+  }
+  if (action.output !== undefined) {
+    return action.output;
+  }
+  if (action.outputs !== undefined) {
+    return action.outputs;
+  }
+  return null;
+}
+
+/**
+ * Client-facing payload of a Dust agent action
+ * @param {Object} action - action from an agent event or agent message
+ * @param {Object} options
+ * @param {boolean} options.withOutput - include what the action produced
+ */
+function describeAction(action, { withOutput = false } = {}) {
+  const described = {
+    id: action.id,
+    type: action.type || null,
+    name: action.functionCallName || null,
+    step: action.step !== undefined ? action.step : null,
+    params: actionParams(action)
+  };
+  if (withOutput) {
+    described.output = actionOutput(action);
+  }
+  return described;
+}
+
+/**
+ * Create a mapper turning Dust agent events into activity events
+ * Returns null for events that are not agent activity. Each action is announced once,
+ * even when Dust sends several events while it runs.
+ */
+function createActivityMapper() {
+  const startedActions = new Set();
+
+  return function mapAgentEvent(event) {
+    if (event.type === 'generation_tokens' && event.classification === 'chain_of_thought') {
+      return { type: 'thinking', delta: event.text };
+    }
+    if (event.type === 'reasoning_tokens') {
+      return { type: 'thinking', delta: event.content };
+    }
+    if (ACTION_START_EVENTS.has(event.type) && event.action) {
+      if (startedActions.has(event.action.id)) {
+        return null;
+      }
+      startedActions.add(event.action.id);
+      return { type: 'action_started', action: describeAction(event.action) };
+    }
+    if (event.type === 'agent_action_success' && event.action) {
+      return { type: 'action_result', action: describeAction(event.action, { withOutput: true }) };
+    }
+    return null;
+  };
+}
+
+module.exports = {
+  ACTIVITY_EVENT_TYPES,
+  validateActivityEvents,
+  selectActivityEvents,
+  describeAction,
+  createActivityMapper
+};
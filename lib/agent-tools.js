@@ -0,0 +1,132 @@
+/**
+ * Map Dust agents to MCP tools
+ * Each active agent of the workspace becomes one tool that Claude can delegate to.
+ */
+
+// MCP tool names must match ^[a-zA-Z0-9_-]{1,64}$
+const TOOL_NAME_PREFIX = 'ask_';
+const MAX_TOOL_NAME_LENGTH = 64;
+
+// Dust agents are identified by their string sId; older payloads only carried a numeric id
+function agentIdOf(agent) {
+  return String(agent.sId || agent.id);
+}
+
+// Compare an agent against an id coming from config or a client
+function matchesAgentId(agent, agentId) {
+  return String(agent.sId) === String(agentId) || String(agent.id) === String(agentId);
+}
+
+// Match an agent against a client-supplied reference: its id, or its name with or without "@"
+function matchesAgentRef(agent, ref) {
+  if (matchesAgentId(agent, ref)) {
+    return true;
+  }
+  const name = String(ref).replace(/^@/, '').toLowerCase();
+  return String(agent.name || '').toLowerCase() === name;
+}
+
+/**
+ * Keep only the agents allowed by the configured allow and deny lists
+ * Entries match an agent id or name. An empty allowlist allows every agent;
+ * the denylist always wins.
+ */
+function filterExposedAgents(agents, { allowlist = [], denylist = [] } = {}) {
+  return agents.filter((agent) => {
+    if (denylist.some(ref => matchesAgentRef(agent, ref))) {
+      return false;
+    }
+    return allowlist.length === 0 || allowlist.some(ref => matchesAgentRef(agent, ref));
+  });
+}
+
+// Describe an agent as a model for getModels and the server metadata
+// With several workspaces the id is qualified with the workspace (see lib/workspaces.js)
+function modelFromAgent(agent, { id = agentIdOf(agent), workspace } = {}) {
+  return {
+    id,
+    ...(workspace ? { workspace } : {}),
+    name: agent.name,
+    description: agent.description || '',
+    status: agent.status || 'active',
+    scope: agent.scope,
+    pictureUrl: agent.pictureUrl,
+    capabilities: {
+      chat: true,
+      streaming: true,
+    }
+  };
+}
+
+// Turn an agent name like "Systems Thinking" into a tool name like "ask_systems_thinking"
+// namePrefix goes in front, e.g. "sales__" for the agents of one of several workspaces
+function toolNameForAgent(agent, namePrefix = '') {
+  const slug = String(agent.name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return (namePrefix + TOOL_NAME_PREFIX + (slug || agentIdOf(agent))).slice(0, MAX_TOOL_NAME_LENGTH);
+}
+
+// JSON schema shared by every agent tool
+const AGENT_TOOL_INPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    message: {
+      type: 'string',
+      description: 'The message or question to send to the agent'
+    },
+    conversationId: {
+      type: 'string',
+      description: 'Optional Dust conversation id returned by a previous call, to continue that conversation'
+    }
+  },
+  required: ['message']
+};
+
+/**
+ * Build the tool definitions for a list of agents
+ * Names are made unique by suffixing the agent id when two agents share a name.
+ * @param {Array} agents - agent configurations from the Dust API
+ * @param {Object} [options]
+ * @param {string} [options.namePrefix] - prefix of every tool name
+ * @param {string} [options.workspaceName] - named in the descriptions, to tell workspaces apart
+ * @returns {Array<{tool: Object, agent: Object}>}
+ */
+function buildAgentTools(agents, { namePrefix = '', workspaceName } = {}) {
+  const usedNames = new Set();
+  const where = workspaceName ? ` in workspace ${workspaceName}` : '';
+
+  return agents.map((agent) => {
+    let name = toolNameForAgent(agent, namePrefix);
+    if (usedNames.has(name)) {
+      const suffix = `_${agentIdOf(agent)}`.replace(/[^a-zA-Z0-9_-]/g, '');
+      name = name.slice(0, MAX_TOOL_NAME_LENGTH - suffix.length) + suffix;
+    }
+    usedNames.add(name);
+
+    const description = agent.description
+      ? `${agent.description} (Dust agent @${agent.name}${where})`
+      : `Ask the Dust agent @${agent.name}${where}`;
+
+    return {
+      agent,
+      tool: {
+        name,
+        title: agent.name,
+        description,
+        inputSchema: AGENT_TOOL_INPUT_SCHEMA
+      }
+    };
+  });
+}
+
+module.exports = {
+  agentIdOf,
+  matchesAgentId,
+  matchesAgentRef,
+  filterExposedAgents,
+  modelFromAgent,
+  toolNameForAgent,
+  buildAgentTools
+};
@@ -0,0 +1,143 @@
+/**
+ * Chat attachments
+ * Files sent with a chat message, given as base64 content or (in stdio mode) a local path,
+ * are checked and loaded here before being uploaded to Dust.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_ATTACHMENTS = 10;
+
+// File types Dust accepts as conversation content fragments, by extension
+const CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.csv': 'text/csv',
+  '.tsv': 'text/tab-separated-values',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.markdown': 'text/markdown',
+  '.json': 'application/json',
+  '.html': 'text/html',
+  '.xml': 'text/xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+const SUPPORTED_CONTENT_TYPES = new Set(Object.values(CONTENT_TYPES));
+
+// Content type for a file name, or null when the extension is not supported
+function contentTypeFor(fileName) {
+  return CONTENT_TYPES[path.extname(fileName).toLowerCase()] || null;
+}
+
+// Errors flagged with invalidParams are the caller's fault and map to -32602
+function invalidParams(message) {
+  const error = new Error(message);
+  error.invalidParams = true;
+  return error;
+}
+
+// Strict base64 check, since Buffer.from silently skips invalid characters
+function decodeBase64(content) {
+  const normalized = content.replace(/\s+/g, '');
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(normalized) || normalized.length % 4 !== 0) {
+    return null;
+  }
+  return Buffer.from(normalized, 'base64');
+}
+
+// Load one attachment into { name, contentType, buffer }
+async function loadAttachment(attachment, index, { allowPaths, maxBytes }) {
+  const label = `attachment #${index + 1}`;
+  if (!attachment || typeof attachment !== 'object') {
+    throw invalidParams(`${label} must be an object`);
+  }
+
+  const { name, contentType, content, path: filePath } = attachment;
+  let buffer;
+  let fileName = name;
+
+  if (typeof content === 'string') {
+    if (typeof name !== 'string' || !name) {
+      throw invalidParams(`${label} needs a name`);
+    }
+    buffer = decodeBase64(content);
+    if (!buffer) {
+      throw invalidParams(`${label} content is not valid base64`);
+    }
+  } else if (typeof filePath === 'string' && filePath) {
+    if (!allowPaths) {
+      throw invalidParams(`${label}: local paths are only accepted in stdio mode, send base64 content instead`);
+    }
+    const resolved = path.resolve(filePath);
+    let stat;
+    try {
+      stat = await fs.promises.stat(resolved);
+    } catch (error) {
+      throw invalidParams(`${label}: cannot read ${resolved}: ${error.code || error.message}`);
+    }
+    if (!stat.isFile()) {
+      throw invalidParams(`${label}: ${resolved} is not a file`);
+    }
+    if (stat.size > maxBytes) {
+      throw invalidParams(`${label}: ${resolved} is ${stat.size} bytes, above the ${maxBytes} bytes limit`);
+    }
+    buffer = await fs.promises.readFile(resolved);
+    fileName = name || path.basename(resolved);
+  } else {
+    throw invalidParams(`${label} needs either base64 content or a path`);
+  }
+
+  if (buffer.length === 0) {
+    throw invalidParams(`${label} (${fileName}) is empty`);
+  }
+  if (buffer.length > maxBytes) {
+    throw invalidParams(`${label} (${fileName}) is ${buffer.length} bytes, above the ${maxBytes} bytes limit`);
+  }
+
+  const type = contentType || contentTypeFor(fileName);
+  if (!type || !SUPPORTED_CONTENT_TYPES.has(type)) {
+    throw invalidParams(`${label} (${fileName}) has an unsupported type ${type || path.extname(fileName) || '(none)'}`);
+  }
+
+  return { name: fileName, contentType: type, buffer };
+}
+
+/**
+ * Check and load the attachments of a chat request
+ * @param {Array|undefined} attachments - [{ name, contentType?, content }] or [{ path, name? }]
+ * @param {Object} options
+ * @param {boolean} options.allowPaths - whether local paths may be read (stdio mode only)
+ * @param {number} options.maxBytes - largest accepted file
+ * @returns {Promise<Array<{name, contentType, buffer}>>}
+ */
+async function loadAttachments(attachments, options) {
+  if (attachments === undefined) {
+    return [];
+  }
+  if (!Array.isArray(attachments)) {
+    throw invalidParams('attachments must be an array');
+  }
+  if (attachments.length > MAX_ATTACHMENTS) {
+    throw invalidParams(`at most ${MAX_ATTACHMENTS} attachments are allowed`);
+  }
+
+  const loaded = [];
+  for (let i = 0; i < attachments.length; i++) {
+    loaded.push(await loadAttachment(attachments[i], i, options));
+  }
+  return loaded;
+}
+
+module.exports = {
+  MAX_ATTACHMENTS,
+  contentTypeFor,
+  loadAttachments
+};
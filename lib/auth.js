@@ -0,0 +1,179 @@
+/**
+ * Inbound authentication for the HTTP endpoints
+ * Clients present a bearer token: either one of the static tokens from the config,
+ * which may be limited to some agents, or an OAuth 2.1 access token (see lib/oauth.js).
+ * The resulting principal travels with the request and its MCP session.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { matchesAgentRef } = require('./agent-tools');
+const { tokenError, createJwtVerifier } = require('./oauth');
+
+// Shortest static token accepted, from the env list or the tokens file
+const MIN_TOKEN_LENGTH = 16;
+
+// Tokens are compared through their digests, in constant time
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+/**
+ * Load static tokens from the env list and the optional tokens file
+ * A missing file is an error: a typo must not silently leave the server open.
+ * @param {Object} options
+ * @param {Array<string>} options.tokens - tokens allowed to use every agent
+ * @param {string} [options.file] - JSON file of the form { "tokens": [{ "name", "token", "agents"? }] }
+ * @param {string} [options.source] - where the tokens list comes from, for error messages
+ * @returns {Array<{name, digest, agents}>}
+ */
+function loadStaticTokens({ tokens = [], file, source = 'MCP_AUTH_TOKENS' } = {}) {
+  tokens.forEach((token, index) => {
+    if (token.length < MIN_TOKEN_LENGTH) {
+      throw new Error(`${source}: token #${index + 1} must be at least ${MIN_TOKEN_LENGTH} characters long`);
+    }
+  });
+  const entries = tokens.map((token, index) => ({ name: `token-${index + 1}`, token, agents: null }));
+
+  if (file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const fileTokens = Array.isArray(data) ? data : data.tokens;
+    if (!Array.isArray(fileTokens)) {
+      throw new Error(`${file}: expected a "tokens" array`);
+    }
+    fileTokens.forEach((entry, index) => {
+      if (!entry || typeof entry.token !== 'string' || entry.token.length < MIN_TOKEN_LENGTH) {
+        throw new Error(`${file}: token #${index + 1} needs a "token" string of at least ${MIN_TOKEN_LENGTH} characters`);
+      }
+      if (entry.agents !== undefined && !Array.isArray(entry.agents)) {
+        throw new Error(`${file}: agents of token #${index + 1} must be an array of agent ids or names`);
+      }
+      entries.push({
+        name: entry.name || `file-token-${index + 1}`,
+        token: entry.token,
+        agents: entry.agents || null
+      });
+    });
+  }
+
+  return entries.map(({ name, token, agents }) => ({ name, digest: digest(token), agents }));
+}
+
+// Text safe inside a quoted header parameter: printable ASCII, without quotes or backslashes
+function headerText(value) {
+  return String(value).replace(/["\\]/g, '\'').replace(/[^\x20-\x7e]/g, '?');
+}
+
+// Bearer token of an Authorization header, or null
+function bearerToken(header) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(header || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Create the authenticator for the HTTP endpoints
+ * Authentication is disabled when there are neither static tokens nor an OAuth issuer.
+ * @param {Object} options
+ * @param {Array} options.staticTokens - from loadStaticTokens
+ * @param {Object} [options.oauth] - { issuer, audience, jwksUrl, requiredScopes } to accept OAuth access tokens
+ * @param {string} [options.resourceMetadataUrl] - advertised in 401 challenges when OAuth is enabled
+ * @param {Object} options.logger
+ * @returns {Object} { enabled, oauthEnabled, authenticate, challenge }
+ */
+function createAuthenticator({ staticTokens = [], oauth, resourceMetadataUrl, logger }) {
+  const oauthEnabled = Boolean(oauth && oauth.issuer);
+  const verifier = oauthEnabled ? createJwtVerifier({ ...oauth, logger }) : null;
+
+  function matchStaticToken(token) {
+    const candidate = digest(token);
+    let match = null;
+    // Check every entry so the timing does not tell which one matched
+    for (const entry of staticTokens) {
+      if (crypto.timingSafeEqual(entry.digest, candidate) && !match) {
+        match = entry;
+      }
+    }
+    return match;
+  }
+
+  /**
+   * Authenticate a request from its Authorization header
+   * @returns {Promise<Object>} principal { id, type, name, agents, scopes }
+   * @throws errors with authStatus 401/403 and oauthError when the token is missing or refused
+   */
+  async function authenticate(authorizationHeader) {
+    const token = bearerToken(authorizationHeader);
+    if (!token) {
+      const error = tokenError('Missing bearer token');
+      // No error code in the challenge when no token was sent (RFC 6750 section 3.1)
+      error.oauthError = null;
+      throw error;
+    }
+
+    const staticToken = matchStaticToken(token);
+    if (staticToken) {
+      return {
+        id: `token:${staticToken.name}`,
+        type: 'token',
+        name: staticToken.name,
+        agents: staticToken.agents,
+        scopes: []
+      };
+    }
+
+    if (!verifier) {
+      throw tokenError('Invalid bearer token');
+    }
+    const { subject, clientId, scopes } = await verifier.verify(token);
+    // The principal id scopes sessions and rate limits: a token naming nobody cannot have one
+    if (!subject && !clientId) {
+      throw tokenError('Access token has neither a subject nor a client id');
+    }
+    return {
+      id: `oauth:${subject || clientId}`,
+      type: 'oauth',
+      name: subject || clientId,
+      agents: null,
+      scopes
+    };
+  }
+
+  // WWW-Authenticate header for a refused request
+  function challenge(error) {
+    const params = ['realm="mcp"'];
+    if (oauthEnabled && resourceMetadataUrl) {
+      params.push(`resource_metadata="${resourceMetadataUrl}"`);
+    }
+    if (error && error.oauthError) {
+      params.push(`error="${error.oauthError}"`);
+      params.push(`error_description="${headerText(error.message)}"`);
+    }
+    if (error && error.oauthError === 'insufficient_scope' && oauth.requiredScopes && oauth.requiredScopes.length > 0) {
+      params.push(`scope="${oauth.requiredScopes.join(' ')}"`);
+    }
+    return `Bearer ${params.join(', ')}`;
+  }
+
+  return {
+    enabled: staticTokens.length > 0 || oauthEnabled,
+    oauthEnabled,
+    authenticate,
+    challenge
+  };
+}
+
+// Whether a principal may use an agent; no principal (auth disabled, stdio) or no allowlist means every agent
+// matches compares the agent with an allowlist entry (e.g. one also accepting workspace-qualified names)
+function canUseAgent(principal, agent, matches = matchesAgentRef) {
+  if (!principal || !Array.isArray(principal.agents)) {
+    return true;
+  }
+  return principal.agents.some(ref => matches(agent, ref));
+}
+
+module.exports = {
+  loadStaticTokens,
+  bearerToken,
+  createAuthenticator,
+  canUseAgent
+};
@@ -0,0 +1,123 @@
+/**
+ * Circuit breaker for the Dust API
+ * After too many consecutive failures the circuit opens and calls fail fast instead of
+ * piling up on an API that is down. Once the cooldown has passed, a single trial call is
+ * let through (half-open): its success closes the circuit, its failure reopens it.
+ */
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+// Errors flagged with circuitOpen were refused without calling Dust
+function circuitOpenError(retryAfterMs) {
+  const retryAfter = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+  const error = new Error(`Dust API is unavailable (circuit open), retry in ${retryAfter}s`);
+  error.circuitOpen = true;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+/**
+ * Create a circuit breaker
+ * @param {Object} options
+ * @param {number} options.failureThreshold - consecutive failures that open the circuit
+ * @param {number} options.cooldownMs - how long the circuit stays open before a trial call
+ * @param {Object} options.logger
+ * @param {string} [options.name] - what the circuit protects, in log messages
+ * @param {Function} [options.now] - clock, for tests
+ * @returns {Object} { acquire, release, recordSuccess, recordFailure, snapshot }
+ */
+function createCircuitBreaker({ failureThreshold = 5, cooldownMs = 30000, logger, name = 'Dust API', now = Date.now }) {
+  let state = STATES.CLOSED;
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  let lastFailure = null;
+
+  function open(reason) {
+    state = STATES.OPEN;
+    openedAt = now();
+    trialInFlight = false;
+    logger.error(`${name} circuit opened after ${failures} consecutive failures (${reason}); failing fast for ${Math.round(cooldownMs / 1000)}s`);
+  }
+
+  /**
+   * Ask to make a call; throws a circuitOpen error when the call must not be made
+   * Returns true when the call is the half-open trial.
+   */
+  function acquire() {
+    if (state === STATES.OPEN) {
+      const elapsed = now() - openedAt;
+      if (elapsed < cooldownMs) {
+        throw circuitOpenError(cooldownMs - elapsed);
+      }
+      state = STATES.HALF_OPEN;
+      logger.info(`${name} circuit half-open, sending a trial request`);
+    }
+    if (state === STATES.HALF_OPEN) {
+      if (trialInFlight) {
+        throw circuitOpenError(1000);
+      }
+      trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  // A call ended without telling anything about Dust's health (e.g. aborted by the caller)
+  function release() {
+    if (state === STATES.HALF_OPEN) {
+      trialInFlight = false;
+    }
+  }
+
+  function recordSuccess() {
+    if (state !== STATES.CLOSED) {
+      logger.info(`${name} circuit closed`);
+    }
+    state = STATES.CLOSED;
+    failures = 0;
+    openedAt = null;
+    trialInFlight = false;
+  }
+
+  function recordFailure(reason) {
+    failures += 1;
+    lastFailure = { reason, at: new Date(now()).toISOString() };
+    if (state === STATES.HALF_OPEN || (state === STATES.CLOSED && failures >= failureThreshold)) {
+      open(reason);
+    }
+  }
+
+  // Current state, for the health endpoint
+  function snapshot() {
+    const current = {
+      state,
+      consecutiveFailures: failures,
+      failureThreshold,
+      lastFailure
+    };
+    if (state === STATES.OPEN) {
+      current.openedAt = new Date(openedAt).toISOString();
+      current.retryAt = new Date(openedAt + cooldownMs).toISOString();
+    }
+    return current;
+  }
+
+  return {
+    acquire,
+    release,
+    recordSuccess,
+    recordFailure,
+    snapshot
+  };
+}
+
+module.exports = {
+  STATES,
+  circuitOpenError,
+  createCircuitBreaker
+};
@@ -0,0 +1,585 @@
+/**
+ * dust-mcp command line tool
+ * One entry point for checking a setup, talking to agents from a terminal or a script, and
+ * running the MCP server. It reads the same configuration as the server (config file, .env,
+ * environment and flags, see lib/config.js) and talks to Dust through lib/dust-workspace.js.
+ * Every command but serve prints JSON with --json: one object, or JSON lines for chat --stream.
+ */
+
+const path = require('path');
+const { parseFlags, loadConfig, describeConfig } = require('./config');
+const { createLogger } = require('./logger');
+const { createBridgeMetrics } = require('./metrics');
+const { createHealthChecks } = require('./health-checks');
+const { createSessionStore } = require('./session-store');
+const { resolveWorkspaces, createWorkspaceNaming } = require('./workspaces');
+const { createDustWorkspace, resolveAgent } = require('./dust-workspace');
+const { agentIdOf, matchesAgentId } = require('./agent-tools');
+const { selectActivityEvents } = require('./agent-events');
+const { cancelledError } = require('./inflight-requests');
+
+const PACKAGE_DIR = path.join(__dirname, '..');
+const SERVER_PATH = path.join(PACKAGE_DIR, 'server.js');
+
+// Exit codes: 2 for command line mistakes, 130 (as for SIGINT) for an interrupted chat
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+const EXIT_INTERRUPTED = 130;
+
+const USAGE = `Usage: dust-mcp <command> [options] [config flags]
+
+Commands:
+  doctor                       Check the configuration, Dust connectivity, workspace access and agents
+  agents list                  List the agents this bridge exposes, with their model ids
+  chat [message...]            Send a message (the arguments, or stdin) to an agent and print its answer
+  conversations list           List the conversations recorded in the session store
+  conversations show <id>      Show a Dust conversation with its messages
+  serve                        Run the MCP server (HTTP by default)
+
+Options:
+  --json                       Print JSON (JSON lines for chat --stream)
+  --model <model>              chat: agent to ask, as in getModels (default: the configured agent)
+  --conversation <id>          chat: continue a Dust conversation
+  --stream                     chat: print the answer as it is generated
+  --limit <n>                  conversations list: how many to list (default 20)
+  --workspace <id>             conversations show: workspace of the conversation
+  --stdio, --http              serve: MCP transport
+  -h, --help                   Show this help
+
+Config flags are those of the server, e.g. --config dust-mcp.config.yaml or --timeout 60 (see the README).
+`;
+
+// Flags of the tool itself, left alone by the configuration parser
+const CLI_FLAGS = ['json', 'stream', 'model', 'conversation', 'workspace', 'limit', 'stdio', 'http', 'help'];
+const VALUE_FLAGS = ['model', 'conversation', 'workspace', 'limit'];
+
+// Errors flagged with usage are command line mistakes, reported with exit code 2
+function usageError(message) {
+  const error = new Error(message);
+  error.usage = true;
+  return error;
+}
+
+/**
+ * Split what the configuration parser left into words (command and arguments) and tool options
+ * @param {Array<string>} args - rest from parseFlags, with CLI_FLAGS passed through
+ * @returns {{ words: Array<string>, options: Object }}
+ */
+function parseArguments(args) {
+  const words = [];
+  const options = {};
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    if (arg === '-h') {
+      options.help = true;
+      continue;
+    }
+    const match = /^--([a-z][a-z0-9-]*)(?:=(.*))?$/.exec(arg);
+    if (!match || !CLI_FLAGS.includes(match[1])) {
+      words.push(arg);
+      continue;
+    }
+    const [, name, inline] = match;
+    if (!VALUE_FLAGS.includes(name)) {
+      if (inline !== undefined) {
+        throw usageError(`--${name} does not take a value`);
+      }
+      options[name] = true;
+      continue;
+    }
+    if (inline !== undefined) {
+      options[name] = inline;
+    } else if (index + 1 < args.length && !args[index + 1].startsWith('-')) {
+      index += 1;
+      options[name] = args[index];
+    } else {
+      throw usageError(`--${name} needs a value`);
+    }
+  }
+
+  return { words, options };
+}
+
+// Print results as text or JSON, and errors to stderr (text) or stdout (JSON, for scripts)
+function createOutput({ stdout, stderr, json }) {
+  return {
+    json,
+
+    result(value, text) {
+      stdout.write(json ? `${JSON.stringify(value, null, 2)}\n` : text());
+    },
+
+    // One JSON line of a streamed result
+    event(value) {
+      stdout.write(`${JSON.stringify(value)}\n`);
+    },
+
+    write(text) {
+      stdout.write(text);
+    },
+
+    note(text) {
+      if (!json) {
+        stderr.write(`${text}\n`);
+      }
+    },
+
+    // Report an error, returning the exit code
+    fail(error) {
+      if (json) {
+        const { cancelled, timedOut, status, conversationId, agentMessageId } = error;
+        stdout.write(`${JSON.stringify({ error: { message: error.message, cancelled, timedOut, status, conversationId, agentMessageId } })}\n`);
+      } else {
+        stderr.write(`Error: ${error.message}\n`);
+        if (error.usage) {
+          stderr.write('Run dust-mcp --help for usage\n');
+        }
+      }
+      if (error.usage) {
+        return EXIT_USAGE;
+      }
+      return error.cancelled ? EXIT_INTERRUPTED : EXIT_FAILURE;
+    }
+  };
+}
+
+// Text table, each column as wide as its widest cell
+function table(rows) {
+  const widths = rows[0].map((cell, column) => Math.max(...rows.map(row => String(row[column]).length)));
+  return rows.map(row => row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd()).join('\n') + '\n';
+}
+
+async function readAll(stream) {
+  let text = '';
+  stream.setEncoding('utf8');
+  for await (const chunk of stream) {
+    text += chunk;
+  }
+  return text;
+}
+
+// Clients of every configured workspace, as the server sets them up
+function connect({ config, logger }) {
+  const workspaceSettings = resolveWorkspaces(config);
+  const naming = createWorkspaceNaming(workspaceSettings.map(settings => settings.id));
+  const metrics = createBridgeMetrics();
+  const workspaces = workspaceSettings.map(settings => createDustWorkspace({ settings, config, naming, logger, metrics }));
+  const defaultWorkspace = workspaces.find(workspace => workspace.id === config.defaultWorkspace) || workspaces[0];
+  return { naming, workspaces, defaultWorkspace };
+}
+
+// doctor: the server's readiness checks (see lib/dust-workspace.js), run once and uncached
+async function doctor(context) {
+  const { config, configFile, sources, output } = context;
+  const { workspaces } = connect(context);
+  const report = await createHealthChecks({
+    checks: workspaces.flatMap(workspace => workspace.healthChecks()),
+    ttlMs: 0,
+    timeoutMs: config.healthCheckTimeoutMs
+  }).report();
+
+  const checks = { configuration: { status: 'pass', details: { configFile } }, ...report.checks };
+  output.result({ ready: report.ready, configFile, sources, config: describeConfig(config), checks }, () => doctorText(report.ready, checks));
+  return report.ready ? EXIT_OK : EXIT_FAILURE;
+}
+
+// doctor when the configuration itself is invalid: nothing else can be checked
+function doctorConfigFailure(error, output) {
+  const checks = { configuration: { status: 'fail', message: 'Invalid configuration', details: { errors: error.configErrors } } };
+  output.result({ ready: false, checks }, () => doctorText(false, checks));
+  return EXIT_FAILURE;
+}
+
+function doctorText(ready, checks) {
+  const lines = Object.entries(checks).map(([name, result]) => {
+    let line = `${result.status.toUpperCase().padEnd(4)}  ${name}`;
+    if (result.message) {
+      line += `: ${result.message}`;
+    } else if (name === 'configuration') {
+      line += `: ${result.details.configFile || 'environment and flags'}`;
+    }
+    const errors = (result.details && result.details.errors) || [];
+    return [line, ...errors.map(message => `        - ${message}`)].join('\n');
+  });
+  return `${lines.join('\n')}\n\n${ready ? 'Ready' : 'Not ready'}\n`;
+}
+
+// agents list: active agents of every workspace, after the allow and deny lists
+async function listAgents(context) {
+  const { output } = context;
+  const { naming, workspaces, defaultWorkspace } = connect(context);
+  const perWorkspace = await Promise.all(workspaces.map(async workspace => (
+    (await workspace.listExposedAgents()).map(agent => ({ workspace, agent }))
+  )));
+
+  const agents = perWorkspace.flat()
+    .filter(({ agent }) => !agent.status || agent.status === 'active')
+    .map(({ workspace, agent }) => ({
+      model: naming.qualify(workspace.id, agentIdOf(agent)),
+      workspace: workspace.id,
+      sId: agentIdOf(agent),
+      name: agent.name,
+      description: agent.description || '',
+      default: workspace === defaultWorkspace && matchesAgentId(agent, workspace.agentId)
+    }));
+
+  output.result({ agents }, () => (agents.length === 0
+    ? 'No agents exposed\n'
+    : table([
+      ['MODEL', 'NAME', 'DESCRIPTION'],
+      ...agents.map(agent => [`${agent.model}${agent.default ? ' (default)' : ''}`, `@${agent.name}`, agent.description])
+    ])));
+  return EXIT_OK;
+}
+
+// Flag errors thrown after a run started with where to pick its answer up later
+function withRun(error, run) {
+  error.conversationId = run.conversationId;
+  error.agentMessageId = run.agentMessageId;
+  return error;
+}
+
+// Error for an agent message that did not succeed
+function agentMessageError(agentMessage) {
+  const reason = agentMessage.error ? agentMessage.error.message : `agent message ${agentMessage.status}`;
+  return new Error(`Agent failed: ${reason}`);
+}
+
+// Wait for the whole answer
+async function askAnswer({ workspace, agentId, messages, conversationId, signal }) {
+  const { conversationId: runConversationId, userMessageId, agentMessage } = await workspace.ask({ agentId, messages, conversationId, signal });
+  if (agentMessage.status !== 'succeeded') {
+    throw withRun(agentMessageError(agentMessage), { conversationId: runConversationId, agentMessageId: agentMessage.sId });
+  }
+  return { conversationId: runConversationId, userMessageId, messageId: agentMessage.sId, content: agentMessage.content || '' };
+}
+
+// Stream the answer from Dust's event stream, polling the conversation when the stream is unavailable
+// onStart gets the run, onDelta each generated chunk, onActivity the thinking and action events
+async function streamAnswer({ workspace, agentId, messages, conversationId, signal, timeoutMs, onStart, onDelta, onActivity }) {
+  const run = await workspace.createRun(messages, agentId, conversationId);
+  onStart(run);
+
+  const timeoutController = new AbortController();
+  const timeout = setTimeout(() => timeoutController.abort(), timeoutMs);
+  let streamed = false;
+  let result;
+  try {
+    result = await workspace.streamAnswer({
+      conversationId: run.conversationId,
+      userMessageId: run.userMessageId,
+      signal: AbortSignal.any([signal, timeoutController.signal]),
+      onDelta: (delta) => {
+        streamed = true;
+        onDelta(delta);
+      },
+      onActivity
+    });
+  } catch (streamError) {
+    if (signal.aborted) {
+      await workspace.cancelMessage(run.conversationId, run.agentMessageId);
+      throw withRun(signal.reason, run);
+    }
+    if (timeoutController.signal.aborted) {
+      const error = new Error('Request timed out');
+      error.timedOut = true;
+      throw withRun(error, run);
+    }
+    let agentMessage;
+    try {
+      agentMessage = await workspace.waitForAgentMessage(run.conversationId, run.userMessageId, { signal });
+    } catch (pollError) {
+      if (pollError.cancelled) {
+        await workspace.cancelMessage(run.conversationId, run.agentMessageId);
+      }
+      throw withRun(pollError, run);
+    }
+    result = agentMessage.status === 'succeeded'
+      ? { status: 'succeeded', content: agentMessage.content || '', messageId: agentMessage.sId }
+      : { status: 'failed', error: agentMessageError(agentMessage).message };
+  } finally {
+    clearTimeout(timeout);
+  }
+
+  if (result.status !== 'succeeded') {
+    throw withRun(new Error(result.error || 'Agent failed'), run);
+  }
+  // Polled answers (and streams that produced no tokens) arrive whole
+  if (!streamed) {
+    onDelta(result.content);
+  }
+  return {
+    conversationId: run.conversationId,
+    userMessageId: run.userMessageId,
+    messageId: result.messageId || run.agentMessageId,
+    content: result.content
+  };
+}
+
+// chat: one message to an agent, answered at once or streamed with --stream
+// Ctrl-C stops the agent message in Dust
+async function chat(context) {
+  const { config, options, args, output, stdin, logger } = context;
+  const content = args.length > 0 ? args.join(' ') : (stdin.isTTY ? '' : (await readAll(stdin)).trim());
+  if (!content) {
+    throw usageError('chat needs a message, as arguments or on stdin');
+  }
+
+  const dust = connect(context);
+  const sessionStore = createSessionStore({ type: config.sessionStore, path: config.sessionStorePath });
+  let { model } = options;
+  if (!model && options.conversation) {
+    // Continue with the agent the conversation was recorded with
+    const record = await sessionStore.get(options.conversation);
+    model = record ? record.agentId : undefined;
+  }
+  const resolved = await resolveAgent(dust, model);
+  if (!resolved) {
+    throw new Error(model ? `Unknown model ${model}` : `Default agent ${dust.defaultWorkspace.agentId} is not available`);
+  }
+  const { workspace, agent } = resolved;
+  const agentId = agentIdOf(agent);
+  const modelId = dust.naming.qualify(workspace.id, agentId);
+  const messages = [{ role: 'user', content }];
+
+  const cancel = new AbortController();
+  const interrupt = () => cancel.abort(cancelledError('Interrupted'));
+  process.once('SIGINT', interrupt);
+  let answer;
+  try {
+    if (options.stream) {
+      const activityEvents = output.json ? selectActivityEvents(undefined, config.streamEvents) : new Set();
+      answer = await streamAnswer({
+        workspace,
+        agentId,
+        messages,
+        conversationId: options.conversation,
+        signal: cancel.signal,
+        timeoutMs: config.timeout * 1000,
+        onStart: (run) => {
+          if (output.json) {
+            output.event({ type: 'start', model: modelId, conversationId: run.conversationId, id: run.agentMessageId });
+          }
+        },
+        onDelta: (delta) => {
+          if (output.json) {
+            output.event({ type: 'delta', delta });
+          } else {
+            output.write(delta);
+          }
+        },
+        onActivity: (activity) => {
+          if (activityEvents.has(activity.type)) {
+            output.event(activity);
+          }
+        }
+      });
+    } else {
+      answer = await askAnswer({ workspace, agentId, messages, conversationId: options.conversation, signal: cancel.signal });
+    }
+  } finally {
+    process.removeListener('SIGINT', interrupt);
+  }
+
+  // Recorded like the server's chats, so conversations list shows them (with a file session store)
+  try {
+    await sessionStore.append(
+      answer.conversationId,
+      { sessionId: null, agentId: modelId, agentName: agent.name },
+      [
+        { role: 'user', messageId: answer.userMessageId, content },
+        { role: 'assistant', messageId: answer.messageId, content: answer.content }
+      ]
+    );
+  } catch (error) {
+    logger.error(`Error recording conversation ${answer.conversationId} in the session store:`, error);
+  }
+
+  const result = { model: modelId, conversationId: answer.conversationId, messageId: answer.messageId, content: answer.content };
+  if (options.stream) {
+    if (output.json) {
+      output.event({ type: 'end', ...result });
+    } else {
+      output.write('\n');
+    }
+  } else {
+    output.result(result, () => `${answer.content}\n`);
+  }
+  output.note(`(conversation ${answer.conversationId}, continue with --conversation ${answer.conversationId})`);
+  return EXIT_OK;
+}
+
+// conversations list: the session store, most recent first
+async function listConversations(context) {
+  const { config, options, output } = context;
+  const limit = options.limit === undefined ? 20 : Number(options.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    throw usageError('--limit must be an integer between 1 and 500');
+  }
+  if (config.sessionStore === 'memory') {
+    output.note('The session store is in memory, so it is empty here: set SESSION_STORE=file to keep conversations');
+  }
+
+  const sessionStore = createSessionStore({ type: config.sessionStore, path: config.sessionStorePath });
+  const { total, conversations } = await sessionStore.list({ limit });
+  output.result({ total, conversations }, () => (conversations.length === 0
+    ? 'No conversations recorded\n'
+    : table([
+      ['CONVERSATION', 'UPDATED', 'AGENT', 'MESSAGES'],
+      ...conversations.map(record => [record.conversationId, record.updatedAt, record.agentName || record.agentId || '', record.messageCount])
+    ]) + (total > conversations.length ? `${conversations.length} of ${total}, use --limit for more\n` : '')));
+  return EXIT_OK;
+}
+
+// Flatten a Dust conversation's messages, keeping the last version of each
+function conversationMessages(conversation) {
+  return (conversation.content || [])
+    .map(versions => versions[versions.length - 1])
+    .filter(Boolean)
+    .map((message) => {
+      switch (message.type) {
+        case 'user_message':
+          return { id: message.sId, role: 'user', author: (message.context && (message.context.fullName || message.context.username)) || null, content: message.content, created: message.created };
+        case 'agent_message':
+          return { id: message.sId, role: 'assistant', author: message.configuration ? message.configuration.name : null, content: message.content || '', status: message.status, created: message.created };
+        default:
+          // Content fragments (attachments) show as their title
+          return { id: message.sId, role: 'attachment', author: null, content: message.title || '', created: message.created };
+      }
+    });
+}
+
+// conversations show: a conversation as Dust has it now, including messages posted elsewhere
+async function showConversation(context) {
+  const { config, options, args, output } = context;
+  if (args.length !== 1) {
+    throw usageError('conversations show needs one conversation id');
+  }
+  const [conversationId] = args;
+  const dust = connect(context);
+
+  // The workspace: --workspace, else the one of the agent it was recorded with, else the default
+  let workspaceId = options.workspace;
+  if (!workspaceId) {
+    const record = await createSessionStore({ type: config.sessionStore, path: config.sessionStorePath }).get(conversationId);
+    workspaceId = record && record.agentId ? dust.naming.split(record.agentId).workspace : null;
+  }
+  const workspace = workspaceId ? dust.workspaces.find(candidate => candidate.id === workspaceId) : dust.defaultWorkspace;
+  if (!workspace) {
+    throw usageError(`Unknown workspace ${workspaceId}`);
+  }
+
+  const conversation = await workspace.getConversation(conversationId);
+  const result = {
+    conversationId,
+    workspace: workspace.id,
+    title: conversation.title || null,
+    created: conversation.created,
+    messages: conversationMessages(conversation)
+  };
+  output.result(result, () => [
+    `${result.title || 'Untitled'} (${conversationId})`,
+    ...result.messages.map(message => `\n[${message.role}${message.author ? ` ${message.author}` : ''}${message.status && message.status !== 'succeeded' ? `, ${message.status}` : ''}]\n${message.content}`)
+  ].join('\n') + '\n');
+  return EXIT_OK;
+}
+
+// serve: run the MCP server in this process, with the configuration loaded here
+function serve({ config, configFile, sources, options }) {
+  if (options.stdio && options.http) {
+    throw usageError('Use either --stdio or --http');
+  }
+  // Required here, so the other commands do not load the server
+  const { start } = require(SERVER_PATH);
+  start({ config, configFile, sources }, { stdio: Boolean(options.stdio) });
+  // The server keeps the process running
+  return null;
+}
+
+// Commands, by their words, with the options they take
+const COMMANDS = {
+  doctor: { options: ['json'], args: false, run: doctor },
+  'agents list': { options: ['json'], args: false, run: listAgents },
+  chat: { options: ['json', 'model', 'conversation', 'stream'], args: true, run: chat },
+  'conversations list': { options: ['json', 'limit'], args: false, run: listConversations },
+  'conversations show': { options: ['json', 'workspace'], args: true, run: showConversation },
+  serve: { options: ['stdio', 'http'], args: false, run: serve }
+};
+
+// The command named by the first words, and its arguments
+function findCommand(words) {
+  for (const length of [2, 1]) {
+    const name = words.slice(0, length).join(' ');
+    if (words.length >= length && COMMANDS[name]) {
+      const command = { name, ...COMMANDS[name], args: words.slice(length) };
+      if (command.args.length > 0 && !COMMANDS[name].args) {
+        throw usageError(`Unexpected argument ${command.args[0]} for ${name}`);
+      }
+      return command;
+    }
+  }
+  throw usageError(`Unknown command ${words.join(' ')}`);
+}
+
+/**
+ * Run the tool
+ * @param {Array<string>} argv - command line arguments, without node and the script
+ * @param {Object} [io] - stdout, stderr, stdin, env and cwd, the process ones by default
+ * @returns {Promise<number|null>} exit code, or null when the process keeps running (serve)
+ */
+async function main(argv, { stdout = process.stdout, stderr = process.stderr, stdin = process.stdin, env = process.env, cwd = process.cwd() } = {}) {
+  let output = createOutput({ stdout, stderr, json: false });
+  let command;
+  let options;
+  try {
+    const parsed = parseArguments(parseFlags(argv, CLI_FLAGS).rest);
+    options = parsed.options;
+    output = createOutput({ stdout, stderr, json: Boolean(options.json) });
+    if (options.help || parsed.words.length === 0) {
+      stdout.write(USAGE);
+      return EXIT_OK;
+    }
+    command = findCommand(parsed.words);
+    const unexpected = Object.keys(options).find(name => !command.options.includes(name));
+    if (unexpected) {
+      throw usageError(`--${unexpected} is not an option of ${command.name}`);
+    }
+  } catch (error) {
+    return output.fail(error);
+  }
+
+  let loaded;
+  try {
+    loaded = loadConfig({ argv, env, cwd, baseDir: PACKAGE_DIR, passthrough: CLI_FLAGS });
+  } catch (error) {
+    if (!error.configErrors) {
+      return output.fail(error);
+    }
+    return command.name === 'doctor' ? doctorConfigFailure(error, output) : output.fail(error);
+  }
+
+  // Quiet unless a log level is configured, so output stays readable (and parseable)
+  const { config } = loaded;
+  const logger = createLogger({
+    level: loaded.sources.logLevel === 'default' ? 'warn' : config.logLevel,
+    output: stderr,
+    redact: config.logRedact,
+    secrets: [...resolveWorkspaces(config).map(settings => settings.apiKey), ...config.authTokens]
+  });
+  try {
+    return await command.run({ ...loaded, options, args: command.args, output, stdin, logger });
+  } catch (error) {
+    return output.fail(error);
+  } finally {
+    await logger.close();
+  }
+}
+
+module.exports = {
+  USAGE,
+  CLI_FLAGS,
+  parseArguments,
+  main
+};
@@ -0,0 +1,435 @@
+/**
+ * Server configuration
+ * Every option is declared once in OPTIONS, with its environment variable, type and default.
+ * Values come from, in increasing precedence: defaults, a JSON or YAML config file, the
+ * environment (including .env), and command line flags (--mcp-port 5002 or --mcp-port=5002).
+ * Everything is validated at startup, and all problems are reported at once.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { ACTIVITY_EVENT_TYPES } = require('./agent-events');
+const { LEVELS, REDACTIONS } = require('./logger');
+const { coerceWorkspaces } = require('./workspaces');
+
+// Config files looked for in the working directory when none is given
+const DEFAULT_CONFIG_FILES = ['dust-mcp.config.json', 'dust-mcp.config.yaml', 'dust-mcp.config.yml'];
+
+/**
+ * Declared options
+ * type: string, url, integer, boolean, list, enum, path or workspaces. Relative paths are resolved
+ * against the config file's directory for file values, and the working directory otherwise.
+ * Empty values count as unset (as left by `KEY=` lines in .env), unless allowEmpty.
+ * requiredWithout options must be set unless the named option is (e.g. a workspaces list).
+ * secret options are masked by describeConfig.
+ */
+const OPTIONS = [
+  // MCP server
+  { key: 'mcpName', env: 'MCP_NAME', type: 'string', default: 'Dust MCP Server JS' },
+  { key: 'mcpHost', env: 'MCP_HOST', type: 'string', default: '127.0.0.1' },
+  { key: 'mcpPort', env: 'MCP_PORT', type: 'integer', min: 1, max: 65535, default: 5001 },
+  // Seconds to wait for an agent answer
+  { key: 'timeout', env: 'MCP_TIMEOUT', type: 'integer', min: 1, default: 30 },
+  // HTTP sessions left idle this long expire, and their Mcp-Session-Id gets 404
+  { key: 'sessionIdleTimeoutMs', env: 'MCP_SESSION_IDLE_TIMEOUT_MS', type: 'integer', min: 1000, default: 1800000 },
+
+  // Dust workspace and default agent
+  { key: 'apiKey', env: 'DUST_API_KEY', type: 'string', requiredWithout: 'workspaces', default: '', secret: true },
+  { key: 'workspaceId', env: 'DUST_WORKSPACE_ID', type: 'string', requiredWithout: 'workspaces', default: '' },
+  { key: 'workspaceName', env: 'DUST_WORKSPACE_NAME', type: 'string', default: '' },
+  { key: 'agentId', env: 'DUST_AGENT_ID', type: 'string', requiredWithout: 'workspaces', default: '' },
+  { key: 'agentName', env: 'DUST_AGENT_NAME', type: 'string', default: '' },
+  { key: 'baseUrl', env: 'DUST_DOMAIN', type: 'url', default: 'https://dust.tt' },
+  // Several workspaces, each { id, name, workspaceId, apiKey, baseUrl, agentId, agentAllowlist, agentDenylist }
+  // (see lib/workspaces.js); they replace the single workspace above
+  { key: 'workspaces', env: 'DUST_WORKSPACES', type: 'workspaces', default: [] },
+  // Short id of the workspace answering chats without a workspace-qualified model; the first one by default
+  { key: 'defaultWorkspace', env: 'DUST_DEFAULT_WORKSPACE', type: 'string', default: '' },
+  // User context of the messages posted in Dust
+  { key: 'timezone', env: 'DUST_TIMEZONE', type: 'string', default: 'UTC' },
+  { key: 'username', env: 'DUST_USERNAME', type: 'string', default: '' },
+  { key: 'fullName', env: 'DUST_FULLNAME', type: 'string', default: '' },
+  // Agent ids or names; an empty allowlist exposes every agent
+  { key: 'agentAllowlist', env: 'DUST_AGENT_ALLOWLIST', type: 'list', default: [] },
+  { key: 'agentDenylist', env: 'DUST_AGENT_DENYLIST', type: 'list', default: [] },
+
+  // Conversation history
+  { key: 'sessionStore', env: 'SESSION_STORE', type: 'enum', values: ['memory', 'file'], default: 'memory' },
+  { key: 'sessionStorePath', env: 'SESSION_STORE_PATH', type: 'path', default: 'data/sessions.json' },
+  // Size limits for documents pushed to data sources, in bytes
+  { key: 'maxDocumentBytes', env: 'DUST_MAX_DOCUMENT_BYTES', type: 'integer', min: 1, default: 1000000 },
+  { key: 'maxUploadBytes', env: 'DUST_MAX_UPLOAD_BYTES', type: 'integer', min: 1, default: 20000000 },
+  // Agent activity forwarded on /mcp/stream unless a request picks its own `events`
+  { key: 'streamEvents', env: 'MCP_STREAM_EVENTS', type: 'list', values: ACTIVITY_EVENT_TYPES, default: ['action_started', 'action_result'] },
+  // User-defined prompt templates (see prompts.example.json)
+  { key: 'promptsFile', env: 'MCP_PROMPTS_FILE', type: 'path', default: 'prompts.json' },
+
+  // Inbound auth: static tokens, and/or a JSON file of tokens with agent allowlists
+  { key: 'authTokens', env: 'MCP_AUTH_TOKENS', type: 'list', default: [], secret: true },
+  { key: 'authTokensFile', env: 'MCP_AUTH_TOKENS_FILE', type: 'path', default: '' },
+  // OAuth 2.1 access tokens issued by an external authorization server
+  { key: 'oauthIssuer', env: 'MCP_OAUTH_ISSUER', type: 'url', default: '' },
+  { key: 'oauthJwksUrl', env: 'MCP_OAUTH_JWKS_URL', type: 'url', default: '' },
+  { key: 'oauthAudience', env: 'MCP_OAUTH_AUDIENCE', type: 'string', default: '' },
+  { key: 'oauthScopes', env: 'MCP_OAUTH_SCOPES', type: 'list', default: [] },
+  // Public URL of the /mcp endpoint, the OAuth resource identifier
+  { key: 'resourceUrl', env: 'MCP_RESOURCE_URL', type: 'url', default: '' },
+  // Bearer token of the /metrics scraper; without it /metrics accepts the /mcp tokens
+  { key: 'metricsToken', env: 'METRICS_TOKEN', type: 'string', default: '', secret: true },
+
+  // Per-client limits on chat, tool and search calls; 0 disables a limit
+  { key: 'rateLimitPerMinute', env: 'MCP_RATE_LIMIT_PER_MINUTE', type: 'integer', min: 0, default: 30 },
+  { key: 'rateLimitStreams', env: 'MCP_RATE_LIMIT_STREAMS', type: 'integer', min: 0, default: 3 },
+  { key: 'dailyMessageQuota', env: 'MCP_DAILY_MESSAGE_QUOTA', type: 'integer', min: 0, default: 500 },
+
+  // Dust HTTP calls: timeout per attempt, retries with exponential backoff, circuit breaker
+  { key: 'httpTimeoutMs', env: 'DUST_HTTP_TIMEOUT_MS', type: 'integer', min: 1, default: 15000 },
+  { key: 'httpRetries', env: 'DUST_HTTP_RETRIES', type: 'integer', min: 0, max: 10, default: 3 },
+  { key: 'httpRetryBaseMs', env: 'DUST_HTTP_RETRY_BASE_MS', type: 'integer', min: 1, default: 500 },
+  { key: 'httpRetryMaxMs', env: 'DUST_HTTP_RETRY_MAX_MS', type: 'integer', min: 1, default: 10000 },
+  { key: 'circuitFailureThreshold', env: 'DUST_CIRCUIT_FAILURE_THRESHOLD', type: 'integer', min: 1, default: 5 },
+  { key: 'circuitCooldownMs', env: 'DUST_CIRCUIT_COOLDOWN_MS', type: 'integer', min: 1, default: 30000 },
+
+  // Readiness checks: how long results are reused, and how long each check may take
+  { key: 'healthCacheTtlMs', env: 'HEALTH_CACHE_TTL_MS', type: 'integer', min: 0, default: 15000 },
+  { key: 'healthCheckTimeoutMs', env: 'HEALTH_CHECK_TIMEOUT_MS', type: 'integer', min: 1, default: 5000 },
+
+  // JSON-lines logs: level, daily files rotated by size, and what to redact; an empty logDir keeps logs on the console
+  { key: 'logLevel', env: 'LOG_LEVEL', type: 'enum', values: Object.keys(LEVELS), default: 'info' },
+  { key: 'logDir', env: 'LOG_DIR', type: 'path', default: 'logs', allowEmpty: true },
+  { key: 'logMaxFileMb', env: 'LOG_MAX_FILE_MB', type: 'integer', min: 0, default: 10 },
+  { key: 'logRetentionDays', env: 'LOG_RETENTION_DAYS', type: 'integer', min: 0, default: 7 },
+  { key: 'logRedact', env: 'LOG_REDACT', type: 'list', values: REDACTIONS, default: ['secrets'] }
+];
+
+// Checks involving several options, run once each option is valid on its own
+const CROSS_CHECKS = [
+  config => (config.httpRetryBaseMs > config.httpRetryMaxMs
+    ? `httpRetryBaseMs (${config.httpRetryBaseMs}) must not exceed httpRetryMaxMs (${config.httpRetryMaxMs})`
+    : null),
+  config => ((config.oauthJwksUrl || config.oauthAudience || config.oauthScopes.length > 0) && !config.oauthIssuer
+    ? 'oauthJwksUrl, oauthAudience and oauthScopes need oauthIssuer'
+    : null),
+  config => (config.defaultWorkspace && !config.workspaces.some(workspace => workspace.id === config.defaultWorkspace)
+    ? `defaultWorkspace ${config.defaultWorkspace} is not one of the workspaces`
+    : null)
+];
+
+// Whether a raw value sets the option
+function isSet(option, raw) {
+  return raw !== undefined && raw !== null && (raw !== '' || option.allowEmpty === true);
+}
+
+// --mcp-port for mcpPort
+function flagName(key) {
+  return key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+// Errors flagged with configErrors list every problem found
+function configError(errors) {
+  const error = new Error(`Invalid configuration:\n${errors.map(message => `  - ${message}`).join('\n')}`);
+  error.configErrors = errors;
+  return error;
+}
+
+/**
+ * Split command line arguments into option values and the rest
+ * @param {Array<string>} argv - without the node and script paths
+ * @param {Array<string>} [passthrough] - flags handled by the caller (e.g. stdio), left in rest
+ * @returns {{ values: Object, configFile: string|null, rest: Array<string>, errors: Array<string> }}
+ */
+function parseFlags(argv, passthrough = []) {
+  const byFlag = new Map(OPTIONS.map(option => [flagName(option.key), option]));
+  const values = {};
+  const rest = [];
+  const errors = [];
+  let configFile = null;
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    const match = /^--(no-)?([a-z][a-z0-9-]*)(?:=(.*))?$/.exec(arg);
+    if (!match) {
+      rest.push(arg);
+      continue;
+    }
+    const [, negated, name, inline] = match;
+    if (passthrough.includes(name)) {
+      rest.push(arg);
+      continue;
+    }
+
+    const takeValue = () => {
+      if (inline !== undefined) {
+        return inline;
+      }
+      if (index + 1 < argv.length && !argv[index + 1].startsWith('--')) {
+        index += 1;
+        return argv[index];
+      }
+      errors.push(`--${name} needs a value`);
+      return undefined;
+    };
+
+    if (name === 'config' && !negated) {
+      configFile = takeValue() || null;
+      continue;
+    }
+    const option = byFlag.get(name);
+    if (!option) {
+      errors.push(`Unknown flag --${negated || ''}${name}`);
+      continue;
+    }
+    if (option.type === 'boolean' && inline === undefined) {
+      values[option.key] = negated ? 'false' : 'true';
+      continue;
+    }
+    if (negated) {
+      errors.push(`Unknown flag --no-${name}`);
+      continue;
+    }
+    const value = takeValue();
+    if (value !== undefined) {
+      values[option.key] = value;
+    }
+  }
+
+  return { values, configFile, rest, errors };
+}
+
+// Parse a config file by its extension
+function readConfigFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw configError([`Cannot read config file ${file}: ${error.message}`]);
+  }
+  let data;
+  try {
+    data = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw configError([`Cannot parse config file ${file}: ${error.message}`]);
+  }
+  if (data === null || data === undefined) {
+    return {};
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw configError([`Config file ${file} must hold an object of options`]);
+  }
+  return data;
+}
+
+/**
+ * Convert a raw value (a string from env or flags, any JSON value from a file) to the option's type
+ * @returns {{ value } | { error: string }}
+ */
+function coerce(option, raw, baseDir, env) {
+  const expected = (description) => ({ error: `must be ${description}, got ${JSON.stringify(raw)}` });
+
+  switch (option.type) {
+    case 'integer': {
+      const value = typeof raw === 'number' ? raw : (/^-?\d+$/.test(String(raw).trim()) ? Number(raw) : NaN);
+      const range = option.max !== undefined
+        ? `an integer between ${option.min} and ${option.max}`
+        : `an integer of at least ${option.min}`;
+      if (!Number.isInteger(value) || value < option.min || (option.max !== undefined && value > option.max)) {
+        return expected(range);
+      }
+      return { value };
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') {
+        return { value: raw };
+      }
+      const text = String(raw).trim().toLowerCase();
+      if (['true', '1', 'yes'].includes(text)) {
+        return { value: true };
+      }
+      if (['false', '0', 'no', ''].includes(text)) {
+        return { value: false };
+      }
+      return expected('true or false');
+    }
+    case 'list': {
+      let items;
+      if (Array.isArray(raw)) {
+        items = raw.map(item => String(item).trim()).filter(Boolean);
+      } else if (typeof raw === 'string') {
+        items = raw.split(',').map(item => item.trim()).filter(Boolean);
+      } else {
+        return expected('a list or a comma-separated string');
+      }
+      const unknown = option.values ? items.filter(item => !option.values.includes(item)) : [];
+      if (unknown.length > 0) {
+        return { error: `has unknown values ${unknown.join(', ')}; use any of ${option.values.join(', ')}` };
+      }
+      return { value: items };
+    }
+    case 'enum': {
+      const value = String(raw).trim();
+      if (!option.values.includes(value)) {
+        return expected(`one of ${option.values.join(', ')}`);
+      }
+      return { value };
+    }
+    case 'url': {
+      if (typeof raw !== 'string') {
+        return expected('a URL');
+      }
+      const value = raw.trim();
+      if (value && !/^https?:\/\/[^\s/]+/i.test(value)) {
+        return expected('an http(s) URL');
+      }
+      // Trailing slashes would double up when paths are appended
+      return { value: value.replace(/\/+$/, '') };
+    }
+    case 'path': {
+      if (typeof raw !== 'string') {
+        return expected('a path');
+      }
+      const value = raw.trim();
+      return { value: value ? path.resolve(baseDir, value) : '' };
+    }
+    case 'workspaces': {
+      return coerceWorkspaces(raw, env);
+    }
+    default: {
+      if (typeof raw !== 'string' && typeof raw !== 'number') {
+        return expected('a string');
+      }
+      return { value: String(raw).trim() };
+    }
+  }
+}
+
+/**
+ * Load and validate the configuration
+ * @param {Object} [options]
+ * @param {Array<string>} [options.argv] - command line arguments, without node and the script
+ * @param {Object} [options.env] - environment variables, after .env is loaded
+ * @param {string} [options.cwd] - where relative paths and default config files are looked up
+ * @param {string} [options.baseDir] - where relative default paths (logs, data) live
+ * @param {Array<string>} [options.passthrough] - flags handled by the caller, e.g. ['stdio']
+ * @returns {{ config: Object, sources: Object, configFile: string|null, rest: Array<string> }}
+ *   config is frozen; sources tells where each value came from (default, file, env or flag)
+ * @throws errors flagged with configErrors listing every problem
+ */
+function loadConfig({ argv = [], env = process.env, cwd = process.cwd(), baseDir = cwd, passthrough = [] } = {}) {
+  const flags = parseFlags(argv, passthrough);
+  const errors = [...flags.errors];
+
+  let configFile = flags.configFile || env.MCP_CONFIG_FILE || null;
+  if (configFile) {
+    configFile = path.resolve(cwd, configFile);
+  } else {
+    const found = DEFAULT_CONFIG_FILES.map(name => path.join(cwd, name)).find(file => fs.existsSync(file));
+    configFile = found || null;
+  }
+  const fileValues = configFile ? readConfigFile(configFile) : {};
+
+  const known = new Set(OPTIONS.map(option => option.key));
+  for (const key of Object.keys(fileValues)) {
+    if (!known.has(key)) {
+      errors.push(`Unknown option ${key} in ${configFile}`);
+    }
+  }
+
+  const config = {};
+  const sources = {};
+  for (const option of OPTIONS) {
+    // Highest precedence first
+    let raw;
+    let source;
+    let label;
+    let dir = cwd;
+    if (isSet(option, flags.values[option.key])) {
+      raw = flags.values[option.key];
+      source = 'flag';
+      label = `--${flagName(option.key)}`;
+    } else if (isSet(option, env[option.env])) {
+      raw = env[option.env];
+      source = 'env';
+      label = option.env;
+    } else if (isSet(option, fileValues[option.key])) {
+      raw = fileValues[option.key];
+      source = 'file';
+      label = `${option.key} in ${path.basename(configFile)}`;
+      dir = path.dirname(configFile);
+    }
+
+    if (source === undefined) {
+      if (option.required) {
+        errors.push(`${option.key} is required: set ${option.env}, --${flagName(option.key)} or "${option.key}" in a config file`);
+        continue;
+      }
+      const fallback = option.default;
+      config[option.key] = option.type === 'path' && fallback
+        ? path.resolve(baseDir, fallback)
+        : (Array.isArray(fallback) ? [...fallback] : fallback);
+      sources[option.key] = 'default';
+      continue;
+    }
+
+    const result = coerce(option, raw, dir, env);
+    if (result.error) {
+      errors.push(`${label} ${result.error}`);
+      continue;
+    }
+    config[option.key] = result.value;
+    sources[option.key] = source;
+  }
+
+  for (const option of OPTIONS.filter(candidate => candidate.requiredWithout)) {
+    const other = config[option.requiredWithout];
+    if (sources[option.key] === 'default' && Array.isArray(other) && other.length === 0) {
+      errors.push(`${option.key} is required: set ${option.env}, --${flagName(option.key)} or "${option.key}" in a config file, or list ${option.requiredWithout}`);
+    }
+  }
+
+  if (errors.length === 0) {
+    for (const check of CROSS_CHECKS) {
+      const message = check(config);
+      if (message) {
+        errors.push(message);
+      }
+    }
+  }
+  if (errors.length > 0) {
+    throw configError(errors);
+  }
+
+  return {
+    config: Object.freeze(config),
+    sources,
+    configFile,
+    rest: flags.rest
+  };
+}
+
+// The configuration with secrets masked, safe to log or print
+function describeConfig(config) {
+  const described = {};
+  for (const option of OPTIONS) {
+    const value = config[option.key];
+    if (option.type === 'workspaces') {
+      described[option.key] = value.map(workspace => ({ ...workspace, apiKey: workspace.apiKey ? `****${workspace.apiKey.slice(-4)}` : workspace.apiKey }));
+    } else if (option.secret && Array.isArray(value)) {
+      described[option.key] = value.map(() => '****');
+    } else if (option.secret && value) {
+      described[option.key] = `****${String(value).slice(-4)}`;
+    } else {
+      described[option.key] = value;
+    }
+  }
+  return described;
+}
+
+module.exports = {
+  OPTIONS,
+  DEFAULT_CONFIG_FILES,
+  flagName,
+  parseFlags,
+  loadConfig,
+  describeConfig
+};
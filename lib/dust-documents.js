@@ -0,0 +1,337 @@
+/**
+ * Document upsert and delete for Dust data sources
+ * Backs the dust_upsert_document, dust_upload_file and dust_delete_document tools.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildDocumentUri, matchesDataSourceRef } = require('./dust-resources');
+
+const MAX_TITLE_LENGTH = 512;
+const MAX_TAGS = 32;
+const MAX_TAG_LENGTH = 256;
+
+const DATA_SOURCE_PROPERTY = {
+  type: 'string',
+  description: 'Target data source, by id, name or dust:// URI'
+};
+
+const DOCUMENT_ID_PROPERTY = {
+  type: 'string',
+  description: 'Document id inside the data source; upserting an existing id replaces the document'
+};
+
+const UPSERT_DOCUMENT_TOOL = {
+  name: 'dust_upsert_document',
+  title: 'Upsert Dust document',
+  description: 'Create or replace a text document in a Dust data source.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      dataSource: DATA_SOURCE_PROPERTY,
+      documentId: DOCUMENT_ID_PROPERTY,
+      text: { type: 'string', description: 'Document content' },
+      title: { type: 'string', description: 'Document title' },
+      tags: { type: 'array', items: { type: 'string' }, description: 'Tags used to filter searches' },
+      sourceUrl: { type: 'string', description: 'URL of the original document' }
+    },
+    required: ['dataSource', 'documentId', 'text']
+  }
+};
+
+const UPLOAD_FILE_TOOL = {
+  name: 'dust_upload_file',
+  title: 'Upload file to Dust',
+  description: 'Upload a local text file to a Dust data source. Files larger than the document size limit are split into several documents. Only available when the server runs in stdio mode.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      dataSource: DATA_SOURCE_PROPERTY,
+      path: { type: 'string', description: 'Path of the local file' },
+      documentId: { type: 'string', description: 'Document id; defaults to the file name' },
+      title: { type: 'string', description: 'Document title; defaults to the file name' },
+      tags: { type: 'array', items: { type: 'string' }, description: 'Tags used to filter searches' },
+      sourceUrl: { type: 'string', description: 'URL of the original document' }
+    },
+    required: ['dataSource', 'path']
+  }
+};
+
+const DELETE_DOCUMENT_TOOL = {
+  name: 'dust_delete_document',
+  title: 'Delete Dust document',
+  description: 'Delete a document from a Dust data source.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      dataSource: DATA_SOURCE_PROPERTY,
+      documentId: DOCUMENT_ID_PROPERTY
+    },
+    required: ['dataSource', 'documentId']
+  },
+  annotations: {
+    destructiveHint: true
+  }
+};
+
+const DOCUMENT_TOOLS = [UPSERT_DOCUMENT_TOOL, UPLOAD_FILE_TOOL, DELETE_DOCUMENT_TOOL];
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+// Checks shared by every tool: data source, optional metadata. Returns an error message or null
+function validateDocumentMetadata({ dataSource, title, tags, sourceUrl }) {
+  if (!isNonEmptyString(dataSource)) {
+    return 'dataSource must be a non-empty string';
+  }
+  if (title !== undefined && (typeof title !== 'string' || title.length > MAX_TITLE_LENGTH)) {
+    return `title must be a string of at most ${MAX_TITLE_LENGTH} characters`;
+  }
+  if (tags !== undefined) {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || !tag || tag.length > MAX_TAG_LENGTH)) {
+      return `tags must be non-empty strings of at most ${MAX_TAG_LENGTH} characters`;
+    }
+    if (tags.length > MAX_TAGS) {
+      return `at most ${MAX_TAGS} tags are allowed`;
+    }
+  }
+  if (sourceUrl !== undefined) {
+    try {
+      new URL(sourceUrl);
+    } catch (error) {
+      return 'sourceUrl must be an absolute URL';
+    }
+  }
+  return null;
+}
+
+function isHighSurrogate(code) {
+  return code >= 0xd800 && code <= 0xdbff;
+}
+
+/**
+ * Split text into parts of at most maxBytes (UTF-8), preferring paragraph, then line, then word boundaries
+ */
+function splitText(text, maxBytes) {
+  const parts = [];
+  let rest = text;
+
+  while (Buffer.byteLength(rest, 'utf8') > maxBytes) {
+    // Longest prefix that fits, measured in bytes
+    let end = Math.min(rest.length, maxBytes);
+    while (end > 1 && Buffer.byteLength(rest.slice(0, end), 'utf8') > maxBytes) {
+      end = Math.floor(end * 0.9);
+    }
+    // Never cut between the two halves of a surrogate pair (emoji and other characters beyond U+FFFF)
+    if (isHighSurrogate(rest.charCodeAt(end - 1))) {
+      end = end > 1 ? end - 1 : 2;
+    }
+
+    // Back off to the last paragraph break in the second half of the window,
+    // else the last line break, else the last whitespace; parts keep their trailing separator
+    const window = rest.slice(0, end);
+    const minEnd = end / 2;
+    const paragraphAt = window.lastIndexOf('\n\n');
+    const lineAt = window.lastIndexOf('\n');
+    const spaceAt = window.search(/\s\S*$/);
+    if (paragraphAt > minEnd) {
+      end = paragraphAt + 2;
+    } else if (lineAt > minEnd) {
+      end = lineAt + 1;
+    } else if (spaceAt > minEnd) {
+      end = spaceAt + 1;
+    }
+
+    parts.push(rest.slice(0, end));
+    rest = rest.slice(end);
+  }
+
+  if (rest.length > 0 || parts.length === 0) {
+    parts.push(rest);
+  }
+  return parts;
+}
+
+/**
+ * Create the document operations for one workspace
+ * @param {Object} options
+ * @param {Object} options.dustApi - axios instance authenticated against Dust
+ * @param {string} options.workspaceId - Dust workspace id
+ * @param {Function} options.listDataSources - async () => [{ space, dataSource }]
+ * @param {number} options.maxDocumentBytes - largest document accepted by an upsert
+ * @param {number} options.maxUploadBytes - largest file accepted by an upload
+ * @param {Object} options.logger
+ */
+function createDustDocuments({ dustApi, workspaceId, listDataSources, maxDocumentBytes, maxUploadBytes, logger }) {
+  const basePath = `/api/v1/w/${workspaceId}`;
+
+  // Errors flagged with invalidParams are the caller's fault and map to -32602
+  const invalidParams = (message) => {
+    const error = new Error(message);
+    error.invalidParams = true;
+    return error;
+  };
+
+  const resolveDataSource = async (ref) => {
+    const dataSources = await listDataSources();
+    const entry = dataSources.find(candidate => matchesDataSourceRef(candidate, ref, workspaceId));
+    if (!entry) {
+      throw invalidParams(`unknown data source ${ref}`);
+    }
+    return entry;
+  };
+
+  const documentPath = ({ space, dataSource }, documentId) => {
+    const dataSourceId = dataSource.sId || dataSource.name;
+    return `${basePath}/spaces/${encodeURIComponent(space.sId)}/data_sources/${encodeURIComponent(dataSourceId)}/documents/${encodeURIComponent(documentId)}`;
+  };
+
+  const documentExists = async (entry, documentId) => {
+    try {
+      await dustApi.get(documentPath(entry, documentId));
+      return true;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return false;
+      }
+      throw error;
+    }
+  };
+
+  const documentUri = ({ space, dataSource }, documentId) => (
+    buildDocumentUri(workspaceId, space.sId, dataSource.sId || dataSource.name, documentId)
+  );
+
+  const postDocument = async (entry, documentId, { text, title, tags, sourceUrl }) => {
+    // Upserts by document id can safely be repeated, so they are retried like GETs
+    await dustApi.post(documentPath(entry, documentId), {
+      text,
+      title: title || null,
+      tags: tags || [],
+      source_url: sourceUrl || null,
+      light_document_output: true
+    }, { idempotent: true });
+    return { documentId, uri: documentUri(entry, documentId), bytes: Buffer.byteLength(text, 'utf8') };
+  };
+
+  /**
+   * Create or replace one document
+   */
+  const upsert = async (args) => {
+    const metadataError = validateDocumentMetadata(args);
+    if (metadataError) {
+      throw invalidParams(metadataError);
+    }
+    if (!isNonEmptyString(args.documentId)) {
+      throw invalidParams('documentId must be a non-empty string');
+    }
+    if (typeof args.text !== 'string' || !args.text) {
+      throw invalidParams('text must be a non-empty string');
+    }
+    const bytes = Buffer.byteLength(args.text, 'utf8');
+    if (bytes > maxDocumentBytes) {
+      throw invalidParams(`text is ${bytes} bytes, above the ${maxDocumentBytes} bytes limit; use dust_upload_file to split it`);
+    }
+
+    const entry = await resolveDataSource(args.dataSource);
+    logger.info(`Upserting document ${args.documentId} (${bytes} bytes) in data source ${entry.dataSource.name}`);
+    const document = await postDocument(entry, args.documentId, args);
+    return { dataSource: entry.dataSource.name, documents: [document] };
+  };
+
+  /**
+   * Upload a local text file, split into numbered documents when it is too large for one
+   */
+  const uploadFile = async (args) => {
+    const metadataError = validateDocumentMetadata(args);
+    if (metadataError) {
+      throw invalidParams(metadataError);
+    }
+    if (!isNonEmptyString(args.path)) {
+      throw invalidParams('path must be a non-empty string');
+    }
+
+    const filePath = path.resolve(args.path);
+    let stat;
+    try {
+      stat = await fs.promises.stat(filePath);
+    } catch (error) {
+      throw invalidParams(`cannot read ${filePath}: ${error.code || error.message}`);
+    }
+    if (!stat.isFile()) {
+      throw invalidParams(`${filePath} is not a file`);
+    }
+    if (stat.size > maxUploadBytes) {
+      throw invalidParams(`${filePath} is ${stat.size} bytes, above the ${maxUploadBytes} bytes upload limit`);
+    }
+
+    const text = await fs.promises.readFile(filePath, 'utf8');
+    if (text.includes('\u0000')) {
+      throw invalidParams(`${filePath} looks like a binary file; only text files can be uploaded`);
+    }
+    if (!text) {
+      throw invalidParams(`${filePath} is empty`);
+    }
+
+    const entry = await resolveDataSource(args.dataSource);
+    const baseId = args.documentId || path.basename(filePath);
+    const baseTitle = args.title || path.basename(filePath);
+    const parts = splitText(text, maxDocumentBytes);
+    logger.info(`Uploading ${filePath} (${stat.size} bytes) to data source ${entry.dataSource.name} as ${parts.length} document(s)`);
+
+    // Sequential so a rejection stops the upload at the first failing part
+    const documents = [];
+    for (let i = 0; i < parts.length; i++) {
+      const single = parts.length === 1;
+      documents.push(await postDocument(entry, single ? baseId : `${baseId}_part_${i + 1}`, {
+        text: parts[i],
+        title: single ? baseTitle : `${baseTitle} (part ${i + 1}/${parts.length})`,
+        tags: single ? args.tags : [...(args.tags || []), `part:${i + 1}`],
+        sourceUrl: args.sourceUrl
+      }));
+    }
+
+    // An earlier upload of the same file in more parts left the parts beyond these behind
+    // (parts are numbered without gaps, so the first missing one ends the search)
+    const removedParts = [];
+    let stale = parts.length === 1 ? 1 : parts.length + 1;
+    while (await documentExists(entry, `${baseId}_part_${stale}`)) {
+      await dustApi.delete(documentPath(entry, `${baseId}_part_${stale}`));
+      removedParts.push(`${baseId}_part_${stale}`);
+      stale++;
+    }
+    if (removedParts.length > 0) {
+      logger.info(`Deleted ${removedParts.length} part(s) left from an earlier upload of ${baseId}`);
+    }
+    return { dataSource: entry.dataSource.name, documents, removedParts };
+  };
+
+  /**
+   * Delete one document
+   */
+  const remove = async (args) => {
+    if (!isNonEmptyString(args.dataSource)) {
+      throw invalidParams('dataSource must be a non-empty string');
+    }
+    if (!isNonEmptyString(args.documentId)) {
+      throw invalidParams('documentId must be a non-empty string');
+    }
+
+    const entry = await resolveDataSource(args.dataSource);
+    logger.info(`Deleting document ${args.documentId} from data source ${entry.dataSource.name}`);
+    await dustApi.delete(documentPath(entry, args.documentId));
+    return { dataSource: entry.dataSource.name, documentId: args.documentId, deleted: true };
+  };
+
+  return { upsert, uploadFile, remove };
+}
+
+module.exports = {
+  UPSERT_DOCUMENT_TOOL,
+  UPLOAD_FILE_TOOL,
+  DELETE_DOCUMENT_TOOL,
+  DOCUMENT_TOOLS,
+  splitText,
+  createDustDocuments
+};
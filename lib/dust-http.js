@@ -0,0 +1,176 @@
+/**
+ * Resilient HTTP client for the Dust API
+ * An axios instance whose calls time out, are retried with exponential backoff (honoring
+ * Retry-After) when that is safe, and go through a circuit breaker that fails fast while
+ * Dust is down. Callers use it like any axios instance.
+ */
+
+const axios = require('axios');
+const { setTimeout: sleep } = require('timers/promises');
+
+// Methods that can be repeated without changing the outcome
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+// Statuses worth retrying: throttling and transient upstream failures
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+// Network errors raised before the request reached Dust, safe to retry for any method
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// Seconds or HTTP date of a Retry-After header, in milliseconds; null when absent or invalid
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+// Failures that say something about Dust's health, as opposed to a bad request
+function isServiceFailure(error) {
+  return !error.response || error.response.status >= 500;
+}
+
+/**
+ * Whether a failed request may be sent again
+ * Non-idempotent requests (POST creating conversations or messages) are only retried when
+ * Dust surely did not process them: throttled (429) or never sent. A request can declare
+ * itself safe to repeat with `idempotent: true` in its axios config (e.g. document upserts),
+ * and opt out of retries with `retry: false` (e.g. health checks, which must answer quickly).
+ */
+function isRetryable(error, requestConfig) {
+  if (axios.isCancel(error) || requestConfig.retry === false) {
+    return false;
+  }
+  const method = (requestConfig.method || 'get').toLowerCase();
+  const idempotent = requestConfig.idempotent === true || IDEMPOTENT_METHODS.includes(method);
+
+  if (!error.response) {
+    return idempotent || NOT_SENT_CODES.includes(error.code);
+  }
+  const { status } = error.response;
+  if (status === 429) {
+    return true;
+  }
+  return idempotent && RETRYABLE_STATUSES.includes(status);
+}
+
+/**
+ * Create the Dust API client
+ * @param {Object} options
+ * @param {string} options.baseUrl
+ * @param {string} options.apiKey
+ * @param {number} options.timeoutMs - per attempt
+ * @param {number} options.maxRetries - attempts after the first one
+ * @param {number} options.retryBaseMs - first backoff delay, doubled on every retry
+ * @param {number} options.retryMaxMs - longest wait between attempts; a longer Retry-After is not waited for
+ * @param {Object} options.breaker - from createCircuitBreaker
+ * @param {Object} options.logger
+ * @param {Function} [options.onRetry] - called with (requestConfig, error) before each retry
+ * @param {Function} [options.onAttempt] - called with (requestConfig, status, durationMs) after each attempt;
+ *   status is the HTTP status, or network_error, timeout, cancelled or circuit_open (durationMs null)
+ * @returns {import('axios').AxiosInstance}
+ */
+function createDustHttpClient({ baseUrl, apiKey, timeoutMs, maxRetries, retryBaseMs, retryMaxMs, breaker, logger, onRetry, onAttempt }) {
+  const client = axios.create({
+    baseURL: baseUrl,
+    timeout: timeoutMs,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`
+    }
+  });
+
+  // Exponential backoff with full jitter, unless Dust said how long to wait
+  function retryDelay(error, attempt) {
+    const retryAfter = error.response ? parseRetryAfter(error.response.headers['retry-after']) : null;
+    if (retryAfter !== null) {
+      return retryAfter <= retryMaxMs ? retryAfter : null;
+    }
+    const ceiling = Math.min(retryBaseMs * 2 ** attempt, retryMaxMs);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  function reportAttempt(requestConfig, status) {
+    if (onAttempt) {
+      const durationMs = requestConfig.dustStartedAt ? Date.now() - requestConfig.dustStartedAt : null;
+      onAttempt(requestConfig, status, durationMs);
+    }
+  }
+
+  client.interceptors.request.use((requestConfig) => {
+    try {
+      breaker.acquire();
+    } catch (error) {
+      reportAttempt(requestConfig, 'circuit_open');
+      throw error;
+    }
+    requestConfig.dustStartedAt = Date.now();
+    return requestConfig;
+  });
+
+  client.interceptors.response.use(
+    (response) => {
+      breaker.recordSuccess();
+      reportAttempt(response.config, response.status);
+      return response;
+    },
+    async (error) => {
+      // Refused by the breaker in the request interceptor: nothing was sent
+      if (error.circuitOpen || !error.config) {
+        throw error;
+      }
+      const requestConfig = error.config;
+
+      if (axios.isCancel(error)) {
+        breaker.release();
+        reportAttempt(requestConfig, 'cancelled');
+        throw error;
+      }
+      if (error.response) {
+        reportAttempt(requestConfig, error.response.status);
+      } else {
+        reportAttempt(requestConfig, error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' ? 'timeout' : 'network_error');
+      }
+      if (isServiceFailure(error)) {
+        breaker.recordFailure(error.response ? `HTTP ${error.response.status}` : (error.code || error.message));
+      } else {
+        // Dust answered (4xx, 429): it is up, whatever the request's fate
+        breaker.recordSuccess();
+      }
+
+      const attempt = requestConfig.dustAttempt || 0;
+      if (attempt >= maxRetries || !isRetryable(error, requestConfig)) {
+        throw error;
+      }
+      const delay = retryDelay(error, attempt);
+      if (delay === null) {
+        throw error;
+      }
+
+      const status = error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+      logger.warn(`Dust ${requestConfig.method.toUpperCase()} ${requestConfig.url} failed (${status}), retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+      if (onRetry) {
+        onRetry(requestConfig, error);
+      }
+      try {
+        await sleep(delay, undefined, { signal: requestConfig.signal });
+      } catch (abortError) {
+        // The caller gave up while we were waiting
+        throw error;
+      }
+      requestConfig.dustAttempt = attempt + 1;
+      return client.request(requestConfig);
+    }
+  );
+
+  return client;
+}
+
+module.exports = {
+  parseRetryAfter,
+  isRetryable,
+  createDustHttpClient
+};
@@ -0,0 +1,266 @@
+/**
+ * Dust data sources as MCP resources
+ * Data sources and their documents are addressed with dust:// URIs:
+ *   dust://{workspaceId}/{spaceId}/{dataSourceId}
+ *   dust://{workspaceId}/{spaceId}/{dataSourceId}/{documentId}
+ */
+
+const URI_SCHEME = 'dust://';
+
+// Documents listed per resources/list page
+const PAGE_SIZE = 100;
+
+// Data sources are listed on every resources/list page, so cache them briefly
+const DATA_SOURCE_CACHE_TTL_MS = 60 * 1000;
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'dust://{workspaceId}/{spaceId}/{dataSourceId}',
+    name: 'Dust data source',
+    description: 'A Dust data source; reading it lists its documents',
+    mimeType: 'text/markdown'
+  },
+  {
+    uriTemplate: 'dust://{workspaceId}/{spaceId}/{dataSourceId}/{documentId}',
+    name: 'Dust document',
+    description: 'The text of a document in a Dust data source',
+    mimeType: 'text/plain'
+  }
+];
+
+// Data sources are addressed by sId in the public API; older workspaces only have names
+function dataSourceIdOf(dataSource) {
+  return dataSource.sId || dataSource.name;
+}
+
+function buildDataSourceUri(workspaceId, spaceId, dataSourceId) {
+  return `${URI_SCHEME}${encodeURIComponent(workspaceId)}/${encodeURIComponent(spaceId)}/${encodeURIComponent(dataSourceId)}`;
+}
+
+function buildDocumentUri(workspaceId, spaceId, dataSourceId, documentId) {
+  return `${buildDataSourceUri(workspaceId, spaceId, dataSourceId)}/${encodeURIComponent(documentId)}`;
+}
+
+/**
+ * Parse a dust:// URI
+ * @returns {Object|null} { workspaceId, spaceId, dataSourceId, documentId? }, or null when malformed
+ */
+function parseDustUri(uri) {
+  if (typeof uri !== 'string' || !uri.startsWith(URI_SCHEME)) {
+    return null;
+  }
+
+  const segments = uri.slice(URI_SCHEME.length).split('/');
+  if (segments.length < 3 || segments.length > 4 || segments.some(segment => !segment)) {
+    return null;
+  }
+
+  try {
+    const [workspaceId, spaceId, dataSourceId, documentId] = segments.map(decodeURIComponent);
+    return { workspaceId, spaceId, dataSourceId, documentId };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Does a data source entry match a reference given by a client: its id, name or dust:// URI?
+function matchesDataSourceRef({ space, dataSource }, ref, workspaceId) {
+  const parsed = parseDustUri(ref);
+  if (parsed) {
+    return parsed.workspaceId === workspaceId && parsed.spaceId === space.sId &&
+      (parsed.dataSourceId === dataSource.sId || parsed.dataSourceId === dataSource.name);
+  }
+  return ref === dataSource.sId || String(ref).toLowerCase() === String(dataSource.name).toLowerCase();
+}
+
+// Opaque pagination cursor: which data source we are in and how many of its documents were listed
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64').toString('utf8'));
+    if (Number.isInteger(position.index) && Number.isInteger(position.offset) && position.index >= 0 && position.offset >= 0) {
+      return position;
+    }
+  } catch (error) {
+    // Fall through to the invalid cursor result
+  }
+  return null;
+}
+
+/**
+ * Create the resource handlers for one workspace
+ * @param {Object} options
+ * @param {Object} options.dustApi - axios instance authenticated against Dust
+ * @param {string} options.workspaceId - Dust workspace id
+ * @param {Object} options.logger
+ */
+function createDustResources({ dustApi, workspaceId, logger }) {
+  const basePath = `/api/v1/w/${workspaceId}`;
+  let dataSourceCache = { dataSources: null, fetchedAt: 0 };
+
+  // Every data source of the workspace with the space it lives in
+  const listDataSources = async () => {
+    if (dataSourceCache.dataSources && Date.now() - dataSourceCache.fetchedAt < DATA_SOURCE_CACHE_TTL_MS) {
+      return dataSourceCache.dataSources;
+    }
+
+    const spacesResponse = await dustApi.get(`${basePath}/spaces`);
+    const spaces = spacesResponse.data.spaces || [];
+
+    const dataSources = [];
+    for (const space of spaces) {
+      const response = await dustApi.get(`${basePath}/spaces/${space.sId}/data_sources`);
+      for (const dataSource of response.data.data_sources || []) {
+        dataSources.push({ space, dataSource });
+      }
+    }
+
+    logger.debug(`Found ${dataSources.length} data sources in ${spaces.length} spaces`);
+    dataSourceCache = { dataSources, fetchedAt: Date.now() };
+    return dataSources;
+  };
+
+  const listDocuments = async (spaceId, dataSourceId, { limit, offset }) => {
+    const response = await dustApi.get(
+      `${basePath}/spaces/${encodeURIComponent(spaceId)}/data_sources/${encodeURIComponent(dataSourceId)}/documents`,
+      { params: { limit, offset } }
+    );
+    return {
+      documents: response.data.documents || [],
+      total: response.data.total || 0
+    };
+  };
+
+  const getDocument = async (spaceId, dataSourceId, documentId) => {
+    const response = await dustApi.get(
+      `${basePath}/spaces/${encodeURIComponent(spaceId)}/data_sources/${encodeURIComponent(dataSourceId)}/documents/${encodeURIComponent(documentId)}`
+    );
+    return response.data.document;
+  };
+
+  const dataSourceResource = ({ space, dataSource }) => ({
+    uri: buildDataSourceUri(workspaceId, space.sId, dataSourceIdOf(dataSource)),
+    name: dataSource.name,
+    title: `${dataSource.name} (${space.name})`,
+    description: dataSource.description || `Dust data source in space ${space.name}`,
+    mimeType: 'text/markdown'
+  });
+
+  const documentResource = (space, dataSource, document) => ({
+    uri: buildDocumentUri(workspaceId, space.sId, dataSourceIdOf(dataSource), document.document_id),
+    name: document.title || document.document_id,
+    description: document.source_url ? `From ${document.source_url}` : `Document in ${dataSource.name}`,
+    mimeType: 'text/plain'
+  });
+
+  /**
+   * resources/list: data sources and their documents, walked one data source after the other
+   * @param {string} [cursor] - nextCursor of the previous page
+   */
+  const list = async (cursor) => {
+    const position = cursor ? decodeCursor(cursor) : { index: 0, offset: 0 };
+    if (!position) {
+      const error = new Error('Invalid cursor');
+      error.invalidParams = true;
+      throw error;
+    }
+
+    const dataSources = await listDataSources();
+    const resources = [];
+    let { index, offset } = position;
+
+    while (index < dataSources.length && resources.length < PAGE_SIZE) {
+      const entry = dataSources[index];
+      if (offset === 0) {
+        resources.push(dataSourceResource(entry));
+      }
+
+      const { documents, total } = await listDocuments(entry.space.sId, dataSourceIdOf(entry.dataSource), {
+        // Soft page size: always ask for at least one document so the walk makes progress
+        limit: Math.max(PAGE_SIZE - resources.length, 1),
+        offset
+      });
+      resources.push(...documents.map(document => documentResource(entry.space, entry.dataSource, document)));
+      offset += documents.length;
+
+      if (documents.length === 0 || offset >= total) {
+        index += 1;
+        offset = 0;
+      }
+    }
+
+    const result = { resources };
+    if (index < dataSources.length) {
+      result.nextCursor = encodeCursor({ index, offset });
+    }
+    return result;
+  };
+
+  /**
+   * resources/read: a document as text, or a data source as a markdown index of its documents
+   * Returns null when the URI does not point into this workspace.
+   */
+  const read = async (uri) => {
+    const parsed = parseDustUri(uri);
+    if (!parsed || parsed.workspaceId !== workspaceId) {
+      return null;
+    }
+    const { spaceId, dataSourceId, documentId } = parsed;
+
+    if (documentId) {
+      const document = await getDocument(spaceId, dataSourceId, documentId);
+      return {
+        contents: [
+          {
+            uri,
+            mimeType: 'text/plain',
+            text: document.text || '',
+            _meta: {
+              title: document.title || null,
+              sourceUrl: document.source_url || null,
+              tags: document.tags || [],
+              timestamp: document.timestamp || null
+            }
+          }
+        ]
+      };
+    }
+
+    const { documents, total } = await listDocuments(spaceId, dataSourceId, { limit: PAGE_SIZE, offset: 0 });
+    const lines = [
+      `# Data source ${dataSourceId}`,
+      '',
+      `${total} documents${total > documents.length ? `, first ${documents.length} listed` : ''}.`,
+      '',
+      ...documents.map(document => `- [${document.title || document.document_id}](${buildDocumentUri(workspaceId, spaceId, dataSourceId, document.document_id)})`)
+    ];
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: 'text/markdown',
+          text: lines.join('\n')
+        }
+      ]
+    };
+  };
+
+  return {
+    list,
+    read,
+    templates: () => ({ resourceTemplates: RESOURCE_TEMPLATES }),
+    listDataSources
+  };
+}
+
+module.exports = {
+  RESOURCE_TEMPLATES,
+  buildDataSourceUri,
+  buildDocumentUri,
+  parseDustUri,
+  matchesDataSourceRef,
+  createDustResources
+};
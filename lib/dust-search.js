@@ -0,0 +1,232 @@
+/**
+ * Semantic search over Dust data sources
+ * Runs Dust's data source search on one or many data sources and merges the chunks by score.
+ */
+
+const { buildDocumentUri, matchesDataSourceRef } = require('./dust-resources');
+
+const DEFAULT_TOP_K = 8;
+const MAX_TOP_K = 64;
+
+// Tool definition exposed next to the agent tools
+const SEARCH_TOOL = {
+  name: 'dust_search',
+  title: 'Search Dust knowledge',
+  description: 'Semantic search over the Dust data sources of the workspace. Returns the best matching chunks with their document ids, scores and source URLs.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'What to search for'
+      },
+      dataSources: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Data sources to search, by id, name or dust:// URI. Defaults to all data sources'
+      },
+      top_k: {
+        type: 'integer',
+        minimum: 1,
+        maximum: MAX_TOP_K,
+        description: `Number of chunks to return (default ${DEFAULT_TOP_K})`
+      },
+      tags_in: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Only documents with at least one of these tags'
+      },
+      tags_not: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Exclude documents with any of these tags'
+      },
+      timestamp_gt: {
+        type: ['string', 'integer'],
+        description: 'Only documents updated after this date (ISO 8601 or epoch milliseconds)'
+      },
+      timestamp_lt: {
+        type: ['string', 'integer'],
+        description: 'Only documents updated before this date (ISO 8601 or epoch milliseconds)'
+      }
+    },
+    required: ['query']
+  }
+};
+
+// Accept ISO dates or epoch milliseconds, return epoch milliseconds or NaN
+function toTimestamp(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'string' && /^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  return Date.parse(value);
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Check search params, returning an error message or null
+ */
+function validateSearchParams(params) {
+  const { query, dataSources, top_k: topK, tags_in: tagsIn, tags_not: tagsNot, timestamp_gt: after, timestamp_lt: before } = params || {};
+
+  if (typeof query !== 'string' || !query.trim()) {
+    return 'query must be a non-empty string';
+  }
+  if (dataSources !== undefined && !isStringArray(dataSources)) {
+    return 'dataSources must be an array of strings';
+  }
+  if (topK !== undefined && (!Number.isInteger(topK) || topK < 1 || topK > MAX_TOP_K)) {
+    return `top_k must be an integer between 1 and ${MAX_TOP_K}`;
+  }
+  if (tagsIn !== undefined && !isStringArray(tagsIn)) {
+    return 'tags_in must be an array of strings';
+  }
+  if (tagsNot !== undefined && !isStringArray(tagsNot)) {
+    return 'tags_not must be an array of strings';
+  }
+  if (after !== undefined && Number.isNaN(toTimestamp(after))) {
+    return 'timestamp_gt must be an ISO 8601 date or epoch milliseconds';
+  }
+  if (before !== undefined && Number.isNaN(toTimestamp(before))) {
+    return 'timestamp_lt must be an ISO 8601 date or epoch milliseconds';
+  }
+  return null;
+}
+
+/**
+ * Create the search function for one workspace
+ * @param {Object} options
+ * @param {Object} options.dustApi - axios instance authenticated against Dust
+ * @param {string} options.workspaceId - Dust workspace id
+ * @param {Function} options.listDataSources - async () => [{ space, dataSource }]
+ * @param {Object} options.logger
+ */
+function createDustSearch({ dustApi, workspaceId, listDataSources, logger }) {
+  const basePath = `/api/v1/w/${workspaceId}`;
+
+  const searchDataSource = async ({ space, dataSource }, params, topK) => {
+    const dataSourceId = dataSource.sId || dataSource.name;
+    const query = new URLSearchParams({
+      query: params.query,
+      top_k: String(topK),
+      full_text: 'false'
+    });
+    (params.tags_in || []).forEach(tag => query.append('tags_in', tag));
+    (params.tags_not || []).forEach(tag => query.append('tags_not', tag));
+    if (params.timestamp_gt !== undefined) {
+      query.set('timestamp_gt', String(toTimestamp(params.timestamp_gt)));
+    }
+    if (params.timestamp_lt !== undefined) {
+      query.set('timestamp_lt', String(toTimestamp(params.timestamp_lt)));
+    }
+
+    const response = await dustApi.get(
+      `${basePath}/spaces/${encodeURIComponent(space.sId)}/data_sources/${encodeURIComponent(dataSourceId)}/search`,
+      { params: query }
+    );
+
+    // Flatten documents into one result per chunk
+    const results = [];
+    for (const document of response.data.documents || []) {
+      for (const chunk of document.chunks || []) {
+        results.push({
+          documentId: document.document_id,
+          title: document.title || null,
+          sourceUrl: document.source_url || null,
+          tags: document.tags || [],
+          timestamp: document.timestamp || null,
+          score: chunk.score,
+          text: chunk.text,
+          dataSource: { id: dataSourceId, name: dataSource.name, spaceId: space.sId },
+          uri: buildDocumentUri(workspaceId, space.sId, dataSourceId, document.document_id)
+        });
+      }
+    }
+    return results;
+  };
+
+  /**
+   * Search the selected data sources (all by default) and return the top_k best chunks
+   * A data source that fails is listed in failedDataSources and the others still answer;
+   * only when every one of them fails does the search throw (with the first failure).
+   * Throws an error flagged with invalidParams for unknown data sources.
+   */
+  const search = async (params) => {
+    const topK = params.top_k || DEFAULT_TOP_K;
+    const allDataSources = await listDataSources();
+
+    let selected = allDataSources;
+    if (params.dataSources && params.dataSources.length > 0) {
+      const unknown = params.dataSources.filter(
+        ref => !allDataSources.some(entry => matchesDataSourceRef(entry, ref, workspaceId))
+      );
+      if (unknown.length > 0) {
+        const error = new Error(`unknown data sources ${unknown.join(', ')}`);
+        error.invalidParams = true;
+        throw error;
+      }
+      selected = allDataSources.filter(
+        entry => params.dataSources.some(ref => matchesDataSourceRef(entry, ref, workspaceId))
+      );
+    }
+
+    logger.info(`Searching ${selected.length} data sources`, { query: params.query });
+    const settled = await Promise.allSettled(selected.map(entry => searchDataSource(entry, params, topK)));
+
+    const failedDataSources = [];
+    settled.forEach((outcome, index) => {
+      if (outcome.status === 'rejected') {
+        const { space, dataSource } = selected[index];
+        logger.warn(`Search failed in data source ${dataSource.name}: ${outcome.reason.message}`);
+        failedDataSources.push({ id: dataSource.sId || dataSource.name, name: dataSource.name, spaceId: space.sId, error: outcome.reason.message });
+      }
+    });
+    if (selected.length > 0 && failedDataSources.length === selected.length) {
+      throw settled[0].reason;
+    }
+
+    const results = settled
+      .filter(outcome => outcome.status === 'fulfilled')
+      .flatMap(outcome => outcome.value)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+
+    return {
+      query: params.query,
+      searchedDataSources: selected.length - failedDataSources.length,
+      failedDataSources,
+      results
+    };
+  };
+
+  return { search };
+}
+
+// Plain text rendering of search results for tool content blocks
+// Data sources that could not be searched are named after the results
+function formatSearchResults({ query, results, failedDataSources = [] }) {
+  const text = results.length === 0
+    ? `No results for "${query}".`
+    : results.map((result, index) => [
+      `${index + 1}. ${result.title || result.documentId} (score ${Number(result.score).toFixed(3)}, ${result.dataSource.name})`,
+      result.sourceUrl ? `   Source: ${result.sourceUrl}` : `   Resource: ${result.uri}`,
+      `   ${result.text.replace(/\s+/g, ' ').trim()}`
+    ].join('\n')).join('\n\n');
+  if (failedDataSources.length === 0) {
+    return text;
+  }
+  return `${text}\n\nNot searched, Dust failed: ${failedDataSources.map(failed => `${failed.name} (${failed.error})`).join(', ')}`;
+}
+
+module.exports = {
+  SEARCH_TOOL,
+  validateSearchParams,
+  createDustSearch,
+  formatSearchResults
+};
@@ -0,0 +1,625 @@
+/**
+ * A Dust workspace
+ * The clients of one workspace (the SDK and the resilient HTTP client, sharing a circuit
+ * breaker), its agents, the conversations its agents answer in, and its readiness checks.
+ * Used by the MCP server and by the dust-mcp command line tool.
+ */
+
+const { DustAPI } = require('@dust-tt/client');
+const { setTimeout: sleep } = require('timers/promises');
+const { agentIdOf, matchesAgentId, matchesAgentRef, filterExposedAgents } = require('./agent-tools');
+const { createCircuitBreaker } = require('./circuit-breaker');
+const { createDustHttpClient } = require('./dust-http');
+const { dustEndpoint } = require('./metrics');
+const { createDustResources } = require('./dust-resources');
+const { createDustSearch } = require('./dust-search');
+const { createDustDocuments } = require('./dust-documents');
+const { createActivityMapper } = require('./agent-events');
+
+// Agent configurations are cached briefly since MCP clients list tools often
+const AGENT_CACHE_TTL_MS = 60 * 1000;
+
+// Find the agent message answering a given user message in a conversation
+function findAgentReply(conversation, userMessageId) {
+  const messages = (conversation.content || []).map(versions => versions[versions.length - 1]);
+  return messages.find(m => m && m.type === 'agent_message' && m.parentMessageId === userMessageId) || null;
+}
+
+// Status label of a chat that ended with an error, for the chat duration metric
+function chatErrorStatus(error) {
+  if (error.cancelled) {
+    return 'cancelled';
+  }
+  return error.timedOut ? 'timeout' : 'error';
+}
+
+// A failed Dust call, described for the readiness report
+function dustCheckError(error, what) {
+  if (error.response) {
+    const { status } = error.response;
+    const reason = status === 401 ? 'Dust rejected the API key' : `${what} failed`;
+    const failure = new Error(`${reason} (HTTP ${status})`);
+    failure.details = { httpStatus: status };
+    return failure;
+  }
+  return error;
+}
+
+/**
+ * Connect to one Dust workspace
+ * Each workspace has its own SDK and HTTP clients, authenticated with its API key against its
+ * domain, and its own circuit breaker so one workspace being unreachable does not stop the others.
+ * @param {Object} options
+ * @param {Object} options.settings - from resolveWorkspaces
+ * @param {Object} options.config - from loadConfig: HTTP, circuit, timeout and message context settings
+ * @param {Object} options.naming - from createWorkspaceNaming
+ * @param {Object} options.logger
+ * @param {Object} options.metrics - from createBridgeMetrics
+ * @returns {Object} the settings, with dustClient, dustApi, breaker, callDustSdk, resources, search and
+ *   documents, and the agent, conversation and readiness check functions below
+ */
+function createDustWorkspace({ settings, config, naming, logger, metrics }) {
+  const { workspaceId, baseUrl } = settings;
+
+  // Same constructor shape as the official SDK documentation (see dust-test-client.js)
+  const dustClient = new DustAPI(
+    { url: baseUrl },
+    {
+      workspaceId,
+      apiKey: settings.apiKey
+    },
+    {
+      // The SDK logs with (object, message) arguments
+      info: (obj, message) => logger.debug(`[DustAPI] ${message || ''}`, obj),
+      warn: (obj, message) => logger.warn(`[DustAPI] ${message || ''}`),
+      error: (obj, message) => logger.error(`[DustAPI] ${message || ''}`, obj && obj.error)
+    }
+  );
+
+  // Shared by the HTTP client and the SDK calls, so both fail fast while Dust is down
+  const breaker = createCircuitBreaker({
+    failureThreshold: config.circuitFailureThreshold,
+    cooldownMs: config.circuitCooldownMs,
+    logger,
+    name: naming.qualified ? `Dust API (${settings.id})` : 'Dust API'
+  });
+
+  // Also set up direct HTTP API access, with timeouts, retries and the circuit breaker
+  const dustApi = createDustHttpClient({
+    baseUrl,
+    apiKey: settings.apiKey,
+    timeoutMs: config.httpTimeoutMs,
+    maxRetries: config.httpRetries,
+    retryBaseMs: config.httpRetryBaseMs,
+    retryMaxMs: config.httpRetryMaxMs,
+    breaker,
+    logger,
+    onRetry: (requestConfig) => {
+      metrics.dustRetries.inc({ workspace: settings.id, method: requestConfig.method.toUpperCase(), endpoint: dustEndpoint(requestConfig.url) });
+    },
+    onAttempt: (requestConfig, status, durationMs) => {
+      const labels = { workspace: settings.id, method: (requestConfig.method || 'get').toUpperCase(), endpoint: dustEndpoint(requestConfig.url) };
+      metrics.dustRequests.inc({ ...labels, status });
+      if (durationMs !== null) {
+        metrics.dustDuration.observe(labels, durationMs / 1000);
+      }
+    }
+  });
+
+  // Run a Dust SDK call (it has its own HTTP stack) through the circuit breaker
+  // SDK calls are not retried: uploads and streams are not safe to repeat blindly
+  async function callDustSdk(call) {
+    breaker.acquire();
+    let result;
+    try {
+      result = await call();
+    } catch (error) {
+      breaker.recordFailure(error.message);
+      throw error;
+    }
+    // Any answer from Dust, even a refusal, shows it is up
+    if (result.isErr() && result.error.type === 'unexpected_network_error') {
+      breaker.recordFailure(result.error.message);
+    } else {
+      breaker.recordSuccess();
+    }
+    return result;
+  }
+
+  // Data sources and documents of the workspace, exposed as MCP resources
+  const resources = createDustResources({
+    dustApi,
+    workspaceId,
+    logger
+  });
+
+  // Semantic search across those data sources
+  const search = createDustSearch({
+    dustApi,
+    workspaceId,
+    listDataSources: resources.listDataSources,
+    logger
+  });
+
+  // Document upserts and deletes in those data sources
+  const documents = createDustDocuments({
+    dustApi,
+    workspaceId,
+    listDataSources: resources.listDataSources,
+    maxDocumentBytes: config.maxDocumentBytes,
+    maxUploadBytes: config.maxUploadBytes,
+    logger
+  });
+
+  const conversationsPath = `/api/v1/w/${workspaceId}/assistant/conversations`;
+  let agentCache = { agents: null, fetchedAt: 0 };
+
+  // List the agent configurations of the workspace
+  async function listAgents({ refresh = false } = {}) {
+    if (!refresh && agentCache.agents && Date.now() - agentCache.fetchedAt < AGENT_CACHE_TTL_MS) {
+      return agentCache.agents;
+    }
+
+    const response = await dustApi.get(`/api/v1/w/${workspaceId}/assistant/agent_configurations`);
+    const agents = response.data.agentConfigurations || [];
+    agentCache = { agents, fetchedAt: Date.now() };
+    return agents;
+  }
+
+  // The agents exposed after applying the workspace's allow and deny lists
+  async function listExposedAgents() {
+    return filterExposedAgents(await listAgents(), {
+      allowlist: settings.agentAllowlist,
+      denylist: settings.agentDenylist
+    });
+  }
+
+  // Create a new Dust conversation
+  async function createConversation() {
+    try {
+      logger.info('Creating new Dust conversation');
+      const response = await dustApi.post(conversationsPath, {
+        title: 'MCP Chat Session'
+      });
+      logger.debug('Conversation created', response.data);
+      return response.data;
+    } catch (error) {
+      logger.error('Error creating conversation:', error);
+      const wrapped = new Error(`Failed to create conversation: ${error.message}`);
+      wrapped.circuitOpen = error.circuitOpen;
+      wrapped.retryAfter = error.retryAfter;
+      throw wrapped;
+    }
+  }
+
+  // Fetch a conversation with all its messages
+  // Errors are flagged with the HTTP status Dust answered, e.g. 404 for an unknown conversation
+  async function getConversation(conversationId, { signal } = {}) {
+    try {
+      const response = await dustApi.get(`${conversationsPath}/${conversationId}`, { signal });
+      return response.data.conversation;
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw error;
+      }
+      const wrapped = new Error(`Failed to get conversation ${conversationId}: ${error.message}`);
+      wrapped.status = error.response ? error.response.status : undefined;
+      wrapped.circuitOpen = error.circuitOpen;
+      wrapped.retryAfter = error.retryAfter;
+      throw wrapped;
+    }
+  }
+
+  // User context attached to every message posted to Dust
+  // The context MUST be an object with username and timezone fields according to API validation
+  function buildMessageContext() {
+    return {
+      username: config.username || 'default_user',
+      timezone: config.timezone || 'UTC',
+      fullName: config.fullName || null,
+      origin: 'api'
+    };
+  }
+
+  // Add a message to a Dust conversation
+  // When agentId is given the agent is mentioned and starts answering the message
+  async function addMessage(conversationId, message, agentId) {
+    try {
+      logger.debug(`Adding message to conversation ${conversationId}:`, message);
+
+      // Construct the payload with the correct format for Dust API
+      const payload = {
+        content: message.content,
+        mentions: agentId ? [{ configurationId: agentId }] : [],
+        context: buildMessageContext()
+      };
+
+      // Log the exact payload we're sending to ensure it's correct
+      logger.debug('Sending payload to Dust API', payload);
+
+      const response = await dustApi.post(`${conversationsPath}/${conversationId}/messages`, payload);
+
+      logger.debug('Message added successfully');
+      return response.data;
+    } catch (error) {
+      logger.error(`Error posting message to conversation ${conversationId}:`, error);
+      if (error.response && error.response.data) {
+        logger.error('Dust API error response:', error.response.data);
+      }
+      const wrapped = new Error(`Failed to post message: ${error.message}`);
+      wrapped.status = error.response ? error.response.status : undefined;
+      wrapped.circuitOpen = error.circuitOpen;
+      wrapped.retryAfter = error.retryAfter;
+      throw wrapped;
+    }
+  }
+
+  // Poll a conversation until the agent has finished answering a user message
+  // Throws an error flagged with timedOut once timeoutMs elapses
+  // Aborting the signal stops polling with the signal's reason (a cancelled error)
+  async function waitForAgentMessage(conversationId, userMessageId, { pollInterval = 1000, timeoutMs = config.timeout * 1000, signal } = {}) {
+    const deadline = Date.now() + timeoutMs;
+
+    try {
+      while (Date.now() < deadline) {
+        const response = await dustApi.get(`${conversationsPath}/${conversationId}`, { signal });
+        const agentMessage = findAgentReply(response.data.conversation, userMessageId);
+        if (agentMessage && agentMessage.status !== 'created') {
+          return agentMessage;
+        }
+        metrics.pollRetries.inc();
+        await sleep(Math.min(pollInterval, Math.max(deadline - Date.now(), 0)), undefined, { signal });
+      }
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw signal.reason;
+      }
+      throw error;
+    }
+
+    const error = new Error(`Agent did not answer within ${Math.round(timeoutMs / 1000)} seconds`);
+    error.timedOut = true;
+    throw error;
+  }
+
+  // Stop an agent message from generating on the Dust side
+  // Failures are only logged: the client already gave up on the answer
+  async function cancelMessage(conversationId, agentMessageId) {
+    if (!agentMessageId) {
+      return;
+    }
+    try {
+      const result = await callDustSdk(() => dustClient.cancelMessageGeneration({ conversationId, messageIds: [agentMessageId] }));
+      if (result.isErr()) {
+        logger.warn(`Failed to cancel agent message ${agentMessageId}: ${result.error.message}`);
+        return;
+      }
+      logger.info(`Cancelled agent message ${agentMessageId} in conversation ${conversationId}`);
+    } catch (error) {
+      logger.warn(`Failed to cancel agent message ${agentMessageId}: ${error.message}`);
+    }
+  }
+
+  // Upload chat attachments to Dust and add them to the conversation as content fragments
+  // Must run before the user message is posted so the agent sees the files
+  async function attachFiles(conversationId, attachments) {
+    const attached = [];
+
+    for (const attachment of attachments) {
+      logger.info(`Uploading attachment ${attachment.name} (${attachment.contentType}, ${attachment.buffer.length} bytes)`);
+      const uploadRes = await callDustSdk(() => dustClient.uploadFile({
+        contentType: attachment.contentType,
+        fileName: attachment.name,
+        fileSize: attachment.buffer.length,
+        useCase: 'conversation',
+        useCaseMetadata: { conversationId },
+        fileObject: new File([attachment.buffer], attachment.name, { type: attachment.contentType })
+      }));
+      if (uploadRes.isErr()) {
+        throw new Error(`Failed to upload attachment ${attachment.name}: ${uploadRes.error.message}`);
+      }
+      const fileId = uploadRes.value.sId;
+
+      await dustApi.post(`${conversationsPath}/${conversationId}/content_fragments`, {
+        title: attachment.name,
+        fileId,
+        context: buildMessageContext()
+      });
+      attached.push({ fileId, name: attachment.name, contentType: attachment.contentType });
+    }
+
+    return attached;
+  }
+
+  // Get the given agent answering the last message
+  // With a conversationId only the new user message is posted into that conversation,
+  // otherwise a new conversation is created and seeded with the earlier messages
+  // Attachments are uploaded and attached right before the user message
+  async function createRun(messages, agentId, existingConversationId, attachments = []) {
+    // The last message is the user message
+    const userMessage = messages[messages.length - 1];
+    if (naming.qualified) {
+      logger.addContext({ workspace: settings.id });
+    }
+
+    try {
+      let conversationId = existingConversationId;
+
+      if (conversationId) {
+        logger.info(`Continuing conversation ${conversationId} with Dust agent ${agentId}`);
+        logger.addContext({ conversationId });
+      } else {
+        logger.info(`Creating conversation with Dust agent ${agentId}`);
+
+        // Create a new conversation first
+        const conversation = await createConversation();
+        conversationId = conversation.conversation.sId;
+        logger.info(`Created conversation with ID: ${conversationId}`);
+        logger.addContext({ conversationId });
+
+        // Add context messages (all but the last one which is from the user)
+        for (let i = 0; i < messages.length - 1; i++) {
+          await addMessage(conversationId, messages[i]);
+          logger.debug(`Added context message ${i + 1}/${messages.length - 1}`);
+        }
+      }
+
+      const attached = await attachFiles(conversationId, attachments);
+
+      // Post the user message mentioning the agent, which starts the agent message
+      let posted;
+      try {
+        posted = await addMessage(conversationId, userMessage, agentId);
+      } catch (error) {
+        if (existingConversationId && error.status === 404) {
+          throw new Error(`Conversation ${existingConversationId} not found`);
+        }
+        throw error;
+      }
+      const userMessageId = posted.message.sId;
+      const agentMessage = (posted.agentMessages || [])[0];
+      if (agentMessage) {
+        logger.addContext({ agentMessageId: agentMessage.sId });
+      }
+      logger.info(`User message ${userMessageId} posted${agentMessage ? `, agent message ${agentMessage.sId} started` : ''}`);
+
+      return {
+        conversationId,
+        userMessageId,
+        agentMessageId: agentMessage ? agentMessage.sId : null,
+        message: userMessage,
+        attachments: attached
+      };
+    } catch (error) {
+      logger.error('Error in conversation flow:', error);
+      throw error;
+    }
+  }
+
+  // Send messages to an agent and wait for its complete answer
+  // Used by the non-streaming chat method and by tool calls
+  // Aborting the signal cancels the agent message in Dust and throws a cancelled error
+  async function ask({ agentId, messages, conversationId, attachments, timeoutMs, signal }) {
+    const startedAt = Date.now();
+    const observeDuration = (status) => {
+      metrics.chatDuration.observe({ agent: naming.qualify(settings.id, agentId), mode: 'blocking', status }, (Date.now() - startedAt) / 1000);
+    };
+
+    let run;
+    try {
+      run = await createRun(messages, agentId, conversationId, attachments);
+    } catch (error) {
+      observeDuration('error');
+      throw error;
+    }
+
+    let agentMessage;
+    try {
+      agentMessage = await waitForAgentMessage(run.conversationId, run.userMessageId, { timeoutMs, signal });
+    } catch (error) {
+      observeDuration(chatErrorStatus(error));
+      if (error.cancelled) {
+        await cancelMessage(run.conversationId, run.agentMessageId);
+      }
+      // Keep the ids so callers can tell the client where to pick the answer up later
+      error.conversationId = run.conversationId;
+      error.agentMessageId = run.agentMessageId;
+      throw error;
+    }
+
+    logger.info(`Agent message ${agentMessage.sId} finished with status ${agentMessage.status}`);
+    observeDuration(agentMessage.status);
+    return {
+      conversationId: run.conversationId,
+      userMessageId: run.userMessageId,
+      attachments: run.attachments,
+      agentMessage
+    };
+  }
+
+  // Stream the agent answer to a user message from Dust's event stream
+  // onDelta is called with each generated token chunk as it arrives
+  // onActivity receives thinking/action events (see lib/agent-events.js) when given
+  async function streamAnswer({ conversationId, userMessageId, signal, onDelta, onActivity }) {
+    const conversation = await getConversation(conversationId);
+
+    const streamResult = await callDustSdk(() => dustClient.streamAgentAnswerEvents({
+      conversation,
+      userMessageId,
+      signal
+    }));
+    if (streamResult.isErr()) {
+      throw new Error(`Failed to start stream: ${streamResult.error.message}`);
+    }
+
+    const mapAgentEvent = createActivityMapper();
+    let content = '';
+    for await (const event of streamResult.value.eventStream) {
+      if (!event) {
+        continue;
+      }
+
+      switch (event.type) {
+        case 'generation_tokens': {
+          if (event.classification === 'tokens') {
+            content += event.text;
+            onDelta(event.text);
+          } else if (onActivity && event.classification === 'chain_of_thought') {
+            onActivity(mapAgentEvent(event));
+          }
+          break;
+        }
+        case 'agent_message_success': {
+          // The final message is authoritative over the accumulated tokens
+          return { status: 'succeeded', content: event.message.content || content, messageId: event.message.sId };
+        }
+        case 'agent_error':
+        case 'user_message_error': {
+          return { status: 'failed', content, error: event.error.message };
+        }
+        default: {
+          // Chain of thought and actions are forwarded as activity events
+          const activity = onActivity ? mapAgentEvent(event) : null;
+          if (activity) {
+            onActivity(activity);
+          }
+          break;
+        }
+      }
+    }
+
+    throw new Error('Event stream ended before the agent message completed');
+  }
+
+  // Dust checks are not retried and use the readiness timeout, so probes answer quickly
+  const healthRequestOptions = { retry: false, timeout: config.healthCheckTimeoutMs };
+
+  // Readiness checks, named after the workspace when there are several (e.g. sales/workspace_access)
+  // See lib/health-checks.js for the check format
+  function healthChecks() {
+    return [
+      {
+        name: naming.qualify(settings.id, 'dust_connectivity'),
+        run: async () => {
+          // Any answer below 500 shows Dust is reachable, whatever it makes of the API key
+          let response;
+          try {
+            response = await dustApi.get('/api/v1/me', {
+              ...healthRequestOptions,
+              validateStatus: status => status < 500
+            });
+          } catch (error) {
+            throw dustCheckError(error, `Reaching ${baseUrl}`);
+          }
+          return { details: { baseUrl, httpStatus: response.status } };
+        }
+      },
+      {
+        name: naming.qualify(settings.id, 'workspace_access'),
+        run: async () => {
+          try {
+            const response = await dustApi.get(`/api/v1/w/${workspaceId}/spaces`, healthRequestOptions);
+            return { details: { workspaceId, spaces: (response.data.spaces || []).length } };
+          } catch (error) {
+            throw dustCheckError(error, `Access to workspace ${workspaceId}`);
+          }
+        }
+      },
+      {
+        name: naming.qualify(settings.id, 'configured_agent'),
+        run: async () => {
+          let agents;
+          try {
+            const response = await dustApi.get(`/api/v1/w/${workspaceId}/assistant/agent_configurations`, healthRequestOptions);
+            agents = response.data.agentConfigurations || [];
+          } catch (error) {
+            throw dustCheckError(error, 'Listing agents');
+          }
+          const agent = agents.find(candidate => matchesAgentId(candidate, settings.agentId));
+          if (!agent) {
+            const error = new Error(`Agent ${settings.agentId} not found in workspace ${workspaceId}`);
+            error.details = { agentId: settings.agentId, availableAgents: agents.length };
+            throw error;
+          }
+          const details = { agentId: agentIdOf(agent), name: agent.name };
+          // Chats without a model use this agent, so hiding it only breaks those
+          const exposed = filterExposedAgents([agent], { allowlist: settings.agentAllowlist, denylist: settings.agentDenylist });
+          if (exposed.length === 0) {
+            return { status: 'warn', message: 'Agent is hidden by the agent allowlist or denylist', details };
+          }
+          return { details };
+        }
+      },
+      {
+        name: naming.qualify(settings.id, 'circuit_breaker'),
+        // In-memory state, always current
+        cache: false,
+        run: async () => {
+          const circuit = breaker.snapshot();
+          if (circuit.state === 'open') {
+            return { status: 'fail', message: `Dust API circuit open until ${circuit.retryAt}`, details: circuit };
+          }
+          if (circuit.state === 'half_open') {
+            return { status: 'warn', message: 'Dust API circuit half-open, trying Dust again', details: circuit };
+          }
+          return { details: circuit };
+        }
+      }
+    ];
+  }
+
+  return {
+    ...settings,
+    dustClient,
+    dustApi,
+    breaker,
+    callDustSdk,
+    resources,
+    search,
+    documents,
+    listAgents,
+    listExposedAgents,
+    getConversation,
+    addMessage,
+    waitForAgentMessage,
+    cancelMessage,
+    createRun,
+    ask,
+    streamAnswer,
+    healthChecks
+  };
+}
+
+/**
+ * Resolve the agent a chat targets: the requested model, or the default agent
+ * A model qualified with a workspace ("sales/abc123", "sales/@Helper") is looked up in that workspace;
+ * other references in the default workspace first, then in the others
+ * @param {Object} options
+ * @param {Array<Object>} options.workspaces - from createDustWorkspace
+ * @param {Object} options.defaultWorkspace - where chats without a qualified model go
+ * @param {Object} options.naming - from createWorkspaceNaming
+ * @param {string} [model] - model id or agent reference; the default agent when omitted
+ * @returns {Promise<Object|null>} { workspace, agent }, or null when the agent does not exist, is not exposed or is not active
+ */
+async function resolveAgent({ workspaces, defaultWorkspace, naming }, model) {
+  const { workspace: named, ref } = model ? naming.split(model) : { workspace: defaultWorkspace.id, ref: defaultWorkspace.agentId };
+  const candidates = named
+    ? workspaces.filter(workspace => workspace.id === named)
+    : [defaultWorkspace, ...workspaces.filter(workspace => workspace !== defaultWorkspace)];
+
+  for (const workspace of candidates) {
+    const agents = await workspace.listExposedAgents();
+    const agent = agents.find(candidate => matchesAgentRef(candidate, ref));
+    if (agent) {
+      return agent.status && agent.status !== 'active' ? null : { workspace, agent };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  AGENT_CACHE_TTL_MS,
+  findAgentReply,
+  createDustWorkspace,
+  resolveAgent
+};
@@ -0,0 +1,108 @@
+/**
+ * Readiness checks
+ * Runs named checks (Dust connectivity, workspace access, ...) and reports each one's
+ * outcome and latency. Results are cached for a while so frequent probes from a load
+ * balancer or orchestrator do not turn into as many calls to Dust.
+ */
+
+// A check passes, passes with a warning (still ready), or fails
+const CHECK_STATUSES = ['pass', 'warn', 'fail'];
+
+function timeoutAfter(ms, name) {
+  let timer;
+  const promise = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} check timed out after ${ms}ms`)), ms);
+  });
+  return { promise, cancel: () => clearTimeout(timer) };
+}
+
+/**
+ * Create the readiness checks
+ * @param {Object} options
+ * @param {Array<Object>} options.checks - { name, run, cache }: run is async and returns
+ *   { status?, message?, details? } (status defaults to 'pass'); a thrown error fails the check.
+ *   Checks with cache: false (cheap, in-memory ones) run on every report.
+ * @param {number} options.ttlMs - how long results are reused
+ * @param {number} options.timeoutMs - a check still running after this fails
+ * @param {Function} [options.now] - clock, for tests
+ * @returns {Object} { report }
+ */
+function createHealthChecks({ checks, ttlMs, timeoutMs, now = Date.now }) {
+  const cache = new Map();
+  // Concurrent probes share one run of each check
+  const pending = new Map();
+
+  async function runCheck(check) {
+    const startedAt = now();
+    const timeout = timeoutAfter(timeoutMs, check.name);
+    let result;
+    try {
+      const outcome = (await Promise.race([check.run(), timeout.promise])) || {};
+      result = {
+        status: CHECK_STATUSES.includes(outcome.status) ? outcome.status : 'pass',
+        message: outcome.message,
+        details: outcome.details
+      };
+    } catch (error) {
+      result = { status: 'fail', message: error.message, details: error.details };
+    } finally {
+      timeout.cancel();
+    }
+    return {
+      ...result,
+      latencyMs: now() - startedAt,
+      checkedAt: new Date(now()).toISOString()
+    };
+  }
+
+  function resultOf(check) {
+    if (check.cache === false) {
+      return runCheck(check);
+    }
+    const cached = cache.get(check.name);
+    if (cached && now() - cached.at < ttlMs) {
+      return Promise.resolve({ ...cached.result, cached: true });
+    }
+    if (!pending.has(check.name)) {
+      pending.set(check.name, runCheck(check)
+        .then((result) => {
+          cache.set(check.name, { at: now(), result });
+          return result;
+        })
+        .finally(() => pending.delete(check.name)));
+    }
+    return pending.get(check.name).then(result => ({ ...result, cached: false }));
+  }
+
+  /**
+   * Run (or reuse) every check
+   * @returns {Promise<{ready, status, checks}>} ready is false when any check failed
+   */
+  async function report() {
+    // Uncached checks run last, so they see the state left by the others (e.g. a circuit opened by their failures)
+    const byName = {};
+    const cached = checks.filter(check => check.cache !== false);
+    const cachedResults = await Promise.all(cached.map(resultOf));
+    cached.forEach((check, index) => {
+      byName[check.name] = cachedResults[index];
+    });
+    for (const check of checks.filter(candidate => candidate.cache === false)) {
+      byName[check.name] = await resultOf(check);
+    }
+    const results = checks.map(check => byName[check.name]);
+    const ready = results.every(result => result.status !== 'fail');
+    return {
+      ready,
+      status: ready ? 'ready' : 'not_ready',
+      // In declaration order
+      checks: Object.fromEntries(checks.map(check => [check.name, byName[check.name]]))
+    };
+  }
+
+  return { report };
+}
+
+module.exports = {
+  CHECK_STATUSES,
+  createHealthChecks
+};
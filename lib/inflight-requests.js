@@ -0,0 +1,92 @@
+/**
+ * In-flight request registry
+ * Tracks the running requests that can be cancelled (chat, agent tool calls, streams),
+ * each with the AbortController its Dust calls listen to.
+ */
+
+// Request ids are only unique within the session that sent them
+function keyOf(scope, requestId) {
+  return `${scope}:${JSON.stringify(requestId)}`;
+}
+
+// Errors flagged with cancelled tell callers the request was aborted on purpose
+function cancelledError(reason) {
+  const error = new Error(`Request cancelled${reason ? `: ${reason}` : ''}`);
+  error.cancelled = true;
+  return error;
+}
+
+/**
+ * Create a registry of cancellable requests
+ * @returns {Object} { start, cancel, isSilenced, finish, has, size }
+ */
+function createInflightRegistry() {
+  const requests = new Map();
+
+  return {
+    /**
+     * Register a request and get the controller aborting it
+     * @param {string} scope - session id, or another namespace such as 'stream'
+     * @param {string|number} requestId
+     * @param {AbortSignal} [parentSignal] - aborts the request as well, e.g. a client disconnect
+     */
+    start(scope, requestId, parentSignal) {
+      const controller = new AbortController();
+      const entry = { controller, silent: false };
+      requests.set(keyOf(scope, requestId), entry);
+
+      if (parentSignal) {
+        if (parentSignal.aborted) {
+          entry.silent = true;
+          controller.abort(cancelledError('client disconnected'));
+        } else {
+          parentSignal.addEventListener('abort', () => {
+            entry.silent = true;
+            controller.abort(cancelledError('client disconnected'));
+          }, { once: true });
+        }
+      }
+      return controller;
+    },
+
+    /**
+     * Cancel a running request
+     * @param {Object} options
+     * @param {string} options.reason - why it was cancelled, for logs and the error message
+     * @param {boolean} options.silent - the cancelled request must not get a response
+     * @returns {boolean} whether a running request was found
+     */
+    cancel(scope, requestId, { reason, silent = false } = {}) {
+      const entry = requests.get(keyOf(scope, requestId));
+      if (!entry || entry.controller.signal.aborted) {
+        return false;
+      }
+      entry.silent = silent;
+      entry.controller.abort(cancelledError(reason));
+      return true;
+    },
+
+    // Whether the response of a cancelled request should be dropped
+    isSilenced(scope, requestId) {
+      const entry = requests.get(keyOf(scope, requestId));
+      return Boolean(entry && entry.silent);
+    },
+
+    finish(scope, requestId) {
+      requests.delete(keyOf(scope, requestId));
+    },
+
+    has(scope, requestId) {
+      return requests.has(keyOf(scope, requestId));
+    },
+
+    size() {
+      return requests.size;
+    }
+  };
+}
+
+module.exports = {
+  cancelledError,
+  createInflightRegistry
+};
@@ -0,0 +1,56 @@
+/**
+ * JSON-RPC 2.0 helpers shared by the HTTP and stdio transports
+ */
+
+// Standard JSON-RPC error codes, plus the server-defined ones used by this server
+const ERROR_CODES = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  SERVER_ERROR: -32000,
+  REQUEST_TIMEOUT: -32001,
+  // Code the MCP specification assigns to unknown resources
+  RESOURCE_NOT_FOUND: -32002,
+  NOT_INITIALIZED: -32003,
+  UNAUTHORIZED: -32004,
+  FORBIDDEN: -32005,
+  RATE_LIMITED: -32006,
+  // Same code as LSP's RequestCancelled
+  REQUEST_CANCELLED: -32800
+};
+
+// Build a successful JSON-RPC response
+function rpcResult(id, result) {
+  return {
+    jsonrpc: '2.0',
+    id,
+    result
+  };
+}
+
+// Build a JSON-RPC error response, with optional structured data
+function rpcError(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) {
+    error.data = data;
+  }
+  return {
+    jsonrpc: '2.0',
+    id: id === undefined ? null : id,
+    error
+  };
+}
+
+// Notifications carry no id and never get a response
+function isNotification(request) {
+  return !request || request.id === undefined || request.id === null;
+}
+
+module.exports = {
+  ERROR_CODES,
+  rpcResult,
+  rpcError,
+  isNotification
+};
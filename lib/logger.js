@@ -0,0 +1,325 @@
+/**
+ * Structured logging
+ * Every record is one JSON line, written to the console and to daily log files that rotate
+ * by size and are pruned after a retention period. File writes are asynchronous so logging
+ * never blocks the event loop. Records carry the context of the request being served
+ * (request id, session, conversation) and are redacted before being written.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+};
+
+const REDACTIONS = ['secrets', 'emails', 'content'];
+
+// Keys whose values are always credentials
+const SECRET_KEYS = /^(authorization|cookie|set-cookie|x-api-key|api[-_]?key|apikey|(access|refresh|id)?[-_]?token|secret|client[-_]?secret|password)$/i;
+// Credentials recognizable in free text: bearer headers, Dust API keys, JWTs
+const SECRET_PATTERNS = [
+  [/(Bearer\s+)[^\s"',]+/gi, '$1[REDACTED]'],
+  [/\bsk-[A-Za-z0-9_-]{8,}/g, '[REDACTED]'],
+  [/\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g, '[REDACTED]']
+];
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g;
+// Keys holding what users and agents write: messages, streamed tokens and thinking, tool outputs
+const CONTENT_KEYS = [
+  'content', 'text', 'query', 'prompt', 'message', 'messages', 'userContent', 'agentContent',
+  'delta', 'snippet', 'arguments', 'output', 'outputs'
+];
+// Serialized errors keep their message, which says what went wrong rather than what was written
+const serializedErrors = new WeakSet();
+// Nesting beyond this depth is not logged
+const MAX_DEPTH = 8;
+
+/**
+ * Create a redactor for log records
+ * @param {Object} options
+ * @param {Array<string>} options.redact - any of 'secrets', 'emails', 'content'
+ * @param {Array<string>} [options.secrets] - literal values to hide (API keys, auth tokens)
+ * @returns {Function} value => redacted copy
+ */
+function createRedactor({ redact = [], secrets = [] }) {
+  const hideSecrets = redact.includes('secrets');
+  const hideEmails = redact.includes('emails');
+  const hideContent = redact.includes('content');
+  const literals = secrets.filter(secret => secret && secret.length >= 8);
+
+  function redactString(value) {
+    let result = value;
+    if (hideSecrets) {
+      for (const secret of literals) {
+        result = result.split(secret).join('[REDACTED]');
+      }
+      for (const [pattern, replacement] of SECRET_PATTERNS) {
+        result = result.replace(pattern, replacement);
+      }
+    }
+    if (hideEmails) {
+      result = result.replace(EMAIL_PATTERN, '[email]');
+    }
+    return result;
+  }
+
+  function redactValue(value, depth, seen) {
+    if (typeof value === 'string') {
+      return redactString(value);
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    if (Buffer.isBuffer(value)) {
+      return `[${value.length} bytes]`;
+    }
+    if (seen.has(value)) {
+      return '[Circular]';
+    }
+    if (depth >= MAX_DEPTH) {
+      return '[Truncated]';
+    }
+    seen.add(value);
+    let result;
+    if (Array.isArray(value)) {
+      result = value.map(item => redactValue(item, depth + 1, seen));
+    } else {
+      result = {};
+      for (const [key, item] of Object.entries(value)) {
+        if (hideSecrets && SECRET_KEYS.test(key) && item) {
+          result[key] = '[REDACTED]';
+        } else if (hideContent && CONTENT_KEYS.includes(key) && item && !(key === 'message' && serializedErrors.has(value))) {
+          result[key] = typeof item === 'string' ? `[${item.length} chars]` : '[redacted]';
+        } else {
+          result[key] = redactValue(item, depth + 1, seen);
+        }
+      }
+    }
+    seen.delete(value);
+    return result;
+  }
+
+  return value => redactValue(value, 0, new Set());
+}
+
+// Errors lose their message and stack in JSON.stringify
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+  const serialized = { message: error.message, stack: error.stack };
+  serializedErrors.add(serialized);
+  if (error.code) {
+    serialized.code = error.code;
+  }
+  if (error.response) {
+    serialized.status = error.response.status;
+    serialized.response = error.response.data;
+  }
+  return serialized;
+}
+
+/**
+ * Create the log file writer
+ * Files are named <prefix>-<YYYY-MM-DD>.log; once a file reaches maxBytes the next one is
+ * <prefix>-<YYYY-MM-DD>.1.log, and so on. Files older than retentionDays are deleted.
+ * @param {Object} options
+ * @param {string} options.dir
+ * @param {string} [options.prefix]
+ * @param {number} options.maxBytes - 0 for no size limit
+ * @param {number} options.retentionDays - 0 to keep every file
+ * @param {Function} [options.now] - clock, for tests
+ * @returns {Object} { write, close }
+ */
+function createFileSink({ dir, prefix = 'mcp-server', maxBytes, retentionDays, now = Date.now }) {
+  const namePattern = new RegExp(`^${prefix}-(\\d{4}-\\d{2}-\\d{2})(\\.\\d+)?\\.log$`);
+  let stream = null;
+  let day = null;
+  let index = 0;
+  let size = 0;
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  function fileName() {
+    return path.join(dir, `${prefix}-${day}${index > 0 ? `.${index}` : ''}.log`);
+  }
+
+  function openStream() {
+    if (stream) {
+      stream.end();
+    }
+    stream = fs.createWriteStream(fileName(), { flags: 'a' });
+    stream.on('error', (error) => {
+      process.stderr.write(`Cannot write log file ${fileName()}: ${error.message}\n`);
+    });
+  }
+
+  // Start the day's first file, or resume its last one after a restart
+  function openDay(today) {
+    day = today;
+    index = 0;
+    size = 0;
+    for (;;) {
+      let stat;
+      try {
+        stat = fs.statSync(fileName());
+      } catch (error) {
+        break;
+      }
+      if (!maxBytes || stat.size < maxBytes) {
+        size = stat.size;
+        break;
+      }
+      index += 1;
+    }
+    openStream();
+    prune();
+  }
+
+  async function prune() {
+    if (!retentionDays) {
+      return;
+    }
+    const oldest = new Date(now() - retentionDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    try {
+      const files = await fs.promises.readdir(dir);
+      await Promise.all(files
+        .filter(file => {
+          const match = namePattern.exec(file);
+          return match && match[1] < oldest;
+        })
+        .map(file => fs.promises.unlink(path.join(dir, file)).catch(() => {})));
+    } catch (error) {
+      process.stderr.write(`Cannot prune log files in ${dir}: ${error.message}\n`);
+    }
+  }
+
+  function write(line) {
+    const today = new Date(now()).toISOString().slice(0, 10);
+    const bytes = Buffer.byteLength(line);
+    if (today !== day) {
+      openDay(today);
+    } else if (maxBytes && size > 0 && size + bytes > maxBytes) {
+      index += 1;
+      size = 0;
+      openStream();
+    }
+    size += bytes;
+    stream.write(line);
+  }
+
+  // Resolves once buffered lines are on disk
+  function close() {
+    return new Promise((resolve) => {
+      if (!stream) {
+        resolve();
+        return;
+      }
+      stream.end(resolve);
+      stream = null;
+      day = null;
+    });
+  }
+
+  return { write, close };
+}
+
+/**
+ * Create a logger
+ * Methods take a message and optional details: an Error (logged with its stack) or an
+ * object (logged under "data"). Debug details are only serialized when debug is enabled.
+ * @param {Object} options
+ * @param {string} [options.level] - debug, info, warn, error or silent
+ * @param {Object} [options.output] - stream receiving every line (stdout, or stderr in stdio mode)
+ * @param {Object} [options.file] - { dir, prefix, maxBytes, retentionDays } to also write log files
+ * @param {Array<string>} [options.redact] - any of 'secrets', 'emails', 'content'
+ * @param {Array<string>} [options.secrets] - literal values never to log
+ * @param {Function} [options.now] - clock, for tests
+ * @returns {Object} { debug, info, warn, error, isLevelEnabled, runWithContext, addContext, close }
+ */
+function createLogger({ level = 'info', output = process.stdout, file = null, redact = ['secrets'], secrets = [], now = Date.now } = {}) {
+  if (!(level in LEVELS)) {
+    throw new Error(`Unknown log level ${level}; use one of ${Object.keys(LEVELS).join(', ')}`);
+  }
+  const unknown = redact.filter(kind => !REDACTIONS.includes(kind));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown log redaction ${unknown.join(', ')}; use any of ${REDACTIONS.join(', ')}`);
+  }
+
+  const threshold = LEVELS[level];
+  const redactor = createRedactor({ redact, secrets });
+  const sink = file ? createFileSink({ ...file, now }) : null;
+  const context = new AsyncLocalStorage();
+
+  function isLevelEnabled(recordLevel) {
+    return LEVELS[recordLevel] >= threshold;
+  }
+
+  function log(recordLevel, message, details) {
+    if (!isLevelEnabled(recordLevel)) {
+      return;
+    }
+    const record = {
+      time: new Date(now()).toISOString(),
+      level: recordLevel,
+      msg: message,
+      ...context.getStore()
+    };
+    if (details instanceof Error) {
+      record.error = serializeError(details);
+    } else if (details !== undefined && details !== null) {
+      record.data = details;
+    }
+
+    let line;
+    try {
+      line = JSON.stringify(redactor(record)) + '\n';
+    } catch (error) {
+      line = JSON.stringify(redactor({ time: record.time, level: recordLevel, msg: message, logError: error.message })) + '\n';
+    }
+    output.write(line);
+    if (sink) {
+      sink.write(line);
+    }
+  }
+
+  /**
+   * Run fn with fields added to every record logged while it runs, across awaits
+   * @returns {*} what fn returns
+   */
+  function runWithContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+  }
+
+  // Add fields to the current context once they are known (e.g. a new conversation id)
+  function addContext(fields) {
+    const store = context.getStore();
+    if (store) {
+      Object.assign(store, fields);
+    }
+  }
+
+  return {
+    debug: (message, details) => log('debug', message, details),
+    info: (message, details) => log('info', message, details),
+    warn: (message, details) => log('warn', message, details),
+    error: (message, details) => log('error', message, details),
+    isLevelEnabled,
+    runWithContext,
+    addContext,
+    close: () => (sink ? sink.close() : Promise.resolve())
+  };
+}
+
+module.exports = {
+  LEVELS,
+  REDACTIONS,
+  createRedactor,
+  createFileSink,
+  createLogger
+};
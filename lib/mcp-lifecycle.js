@@ -0,0 +1,64 @@
+/**
+ * MCP lifecycle support
+ * Protocol version negotiation, server capabilities and per-connection session state
+ * See https://modelcontextprotocol.io/specification/2025-06-18/basic/lifecycle
+ */
+
+const crypto = require('crypto');
+
+// Protocol versions this server can speak, newest first
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const LATEST_PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[0];
+
+// Methods a client may call before the session is initialized
+const PRE_INITIALIZE_METHODS = ['initialize', 'ping'];
+
+// Capabilities declared to clients in the initialize result
+const SERVER_CAPABILITIES = {
+  tools: { listChanged: false },
+  resources: { subscribe: false, listChanged: false },
+  prompts: { listChanged: false }
+};
+
+/**
+ * Pick the protocol version for a session
+ * Echo the client's version when we support it, otherwise offer our latest one
+ * and let the client decide whether it can continue.
+ */
+function negotiateProtocolVersion(requestedVersion) {
+  if (SUPPORTED_PROTOCOL_VERSIONS.includes(requestedVersion)) {
+    return requestedVersion;
+  }
+  return LATEST_PROTOCOL_VERSION;
+}
+
+/**
+ * Create the state for one MCP session (one stdio process or one HTTP Mcp-Session-Id)
+ */
+function createSession({ principal = null, clientKey = null } = {}) {
+  return {
+    id: crypto.randomUUID(),
+    // Authenticated client that opened the session (null over stdio or without auth)
+    principal,
+    // Client the session's calls are rate limited as
+    clientKey,
+    initialized: false,
+    ready: false,
+    protocolVersion: null,
+    clientInfo: null,
+    clientCapabilities: {},
+    createdAt: new Date().toISOString(),
+    // Idle tracking of HTTP sessions: requests running, and when the last one ended (ms)
+    activeRequests: 0,
+    lastActiveAt: Date.now()
+  };
+}
+
+module.exports = {
+  SUPPORTED_PROTOCOL_VERSIONS,
+  LATEST_PROTOCOL_VERSION,
+  PRE_INITIALIZE_METHODS,
+  SERVER_CAPABILITIES,
+  negotiateProtocolVersion,
+  createSession
+};
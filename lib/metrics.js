@@ -0,0 +1,241 @@
+/**
+ * Prometheus metrics
+ * A minimal registry of counters, gauges and histograms rendered in the Prometheus text
+ * exposition format, and the metrics of the bridge: JSON-RPC calls, Dust API calls,
+ * chat latency, open streams and polling.
+ */
+
+// Prometheus client defaults, in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+// Agents take seconds to minutes to answer
+const CHAT_BUCKETS = [0.5, 1, 2, 5, 10, 20, 30, 60, 120, 300];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labelNames, values, extra = '') {
+  const pairs = labelNames.map((name, index) => `${name}="${escapeLabelValue(values[index])}"`);
+  if (extra) {
+    pairs.push(extra);
+  }
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatNumber(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return String(value);
+}
+
+/**
+ * Create a metrics registry
+ * Every metric takes a labels object holding exactly its label names.
+ * @returns {Object} { counter, gauge, histogram, render }
+ */
+function createMetricsRegistry() {
+  const metrics = [];
+
+  // Series are keyed by their label values in label name order
+  function seriesKey(labelNames, labels = {}) {
+    return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+  }
+
+  function register(metric) {
+    if (metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    metrics.push(metric);
+    return metric;
+  }
+
+  // Metrics without labels have a single series, reported from the start
+  function initialSeries(labelNames) {
+    return new Map(labelNames.length === 0 ? [[seriesKey([]), 0]] : []);
+  }
+
+  function counter({ name, help, labelNames = [] }) {
+    const series = initialSeries(labelNames);
+    register({
+      name,
+      help,
+      type: 'counter',
+      lines: () => [...series].map(([key, value]) => `${name}${formatLabels(labelNames, JSON.parse(key))} ${formatNumber(value)}`)
+    });
+    return {
+      inc(labels, value = 1) {
+        const key = seriesKey(labelNames, labels);
+        series.set(key, (series.get(key) || 0) + value);
+      }
+    };
+  }
+
+  function gauge({ name, help, labelNames = [] }) {
+    const series = initialSeries(labelNames);
+    register({
+      name,
+      help,
+      type: 'gauge',
+      lines: () => [...series].map(([key, value]) => `${name}${formatLabels(labelNames, JSON.parse(key))} ${formatNumber(value)}`)
+    });
+    const add = (labels, value) => {
+      const key = seriesKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + value);
+    };
+    return {
+      inc: (labels, value = 1) => add(labels, value),
+      dec: (labels, value = 1) => add(labels, -value),
+      set: (labels, value) => series.set(seriesKey(labelNames, labels), value)
+    };
+  }
+
+  function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const bounds = [...buckets].sort((a, b) => a - b).concat(Infinity);
+    const series = new Map();
+    register({
+      name,
+      help,
+      type: 'histogram',
+      lines: () => {
+        const lines = [];
+        for (const [key, { counts, sum, count }] of series) {
+          const values = JSON.parse(key);
+          bounds.forEach((bound, index) => {
+            lines.push(`${name}_bucket${formatLabels(labelNames, values, `le="${formatNumber(bound)}"`)} ${counts[index]}`);
+          });
+          lines.push(`${name}_sum${formatLabels(labelNames, values)} ${sum}`);
+          lines.push(`${name}_count${formatLabels(labelNames, values)} ${count}`);
+        }
+        return lines;
+      }
+    });
+    return {
+      observe(labels, value) {
+        const key = seriesKey(labelNames, labels);
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { counts: bounds.map(() => 0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+        // Buckets are cumulative: a value counts in every bucket at or above it
+        bounds.forEach((bound, index) => {
+          if (value <= bound) {
+            entry.counts[index] += 1;
+          }
+        });
+        entry.sum += value;
+        entry.count += 1;
+      }
+    };
+  }
+
+  // Text exposition format, version 0.0.4
+  function render() {
+    const lines = [];
+    for (const metric of metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      lines.push(...metric.lines());
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return {
+    counter,
+    gauge,
+    histogram,
+    render
+  };
+}
+
+// Path segments followed by an id, and the placeholder replacing that id
+const PATH_IDS = {
+  w: ':wId',
+  spaces: ':spaceId',
+  data_sources: ':dsId',
+  documents: ':documentId',
+  conversations: ':cId',
+  messages: ':mId',
+  agent_configurations: ':agentId'
+};
+
+/**
+ * Dust API endpoint of a request path, with ids replaced so label values stay few
+ * e.g. /api/v1/w/ws1/assistant/conversations/c1/messages -> /api/v1/w/:wId/assistant/conversations/:cId/messages
+ */
+function dustEndpoint(url) {
+  const pathname = String(url || '').replace(/^https?:\/\/[^/]+/, '').split('?')[0];
+  const segments = pathname.split('/');
+  return segments
+    .map((segment, index) => {
+      const placeholder = index > 0 ? PATH_IDS[segments[index - 1]] : null;
+      return placeholder && segment ? placeholder : segment;
+    })
+    .join('/');
+}
+
+/**
+ * Create the metrics of the bridge
+ * @returns {Object} the registry and its metrics
+ */
+function createBridgeMetrics() {
+  const registry = createMetricsRegistry();
+
+  return {
+    registry,
+    rpcRequests: registry.counter({
+      name: 'mcp_rpc_requests_total',
+      help: 'JSON-RPC requests by method and status (ok, or the error name)',
+      labelNames: ['method', 'status']
+    }),
+    rpcDuration: registry.histogram({
+      name: 'mcp_rpc_request_duration_seconds',
+      help: 'Time to answer JSON-RPC requests',
+      labelNames: ['method']
+    }),
+    dustRequests: registry.counter({
+      name: 'dust_api_requests_total',
+      help: 'Dust API calls by workspace, endpoint and status code (or network_error, timeout, cancelled, circuit_open)',
+      labelNames: ['workspace', 'method', 'endpoint', 'status']
+    }),
+    dustDuration: registry.histogram({
+      name: 'dust_api_request_duration_seconds',
+      help: 'Duration of Dust API calls, per attempt',
+      labelNames: ['workspace', 'method', 'endpoint']
+    }),
+    dustRetries: registry.counter({
+      name: 'dust_api_retries_total',
+      help: 'Dust API calls retried after a failure',
+      labelNames: ['workspace', 'method', 'endpoint']
+    }),
+    pollRetries: registry.counter({
+      name: 'dust_poll_retries_total',
+      help: 'Conversation polls that found the agent message still running'
+    }),
+    chatFirstToken: registry.histogram({
+      name: 'dust_chat_time_to_first_token_seconds',
+      help: 'Time from a streamed chat request to the first answer token sent to the client',
+      labelNames: ['agent'],
+      buckets: CHAT_BUCKETS
+    }),
+    chatDuration: registry.histogram({
+      name: 'dust_chat_duration_seconds',
+      help: 'Time from a chat request to the end of the agent answer',
+      labelNames: ['agent', 'mode', 'status'],
+      buckets: CHAT_BUCKETS
+    }),
+    activeStreams: registry.gauge({
+      name: 'mcp_active_streams',
+      help: 'Open /mcp/stream responses'
+    })
+  };
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  CHAT_BUCKETS,
+  createMetricsRegistry,
+  dustEndpoint,
+  createBridgeMetrics
+};
@@ -0,0 +1,248 @@
+/**
+ * OAuth 2.1 bearer token validation
+ * Following the MCP authorization specification, the server acts as an OAuth resource server:
+ * it accepts JWT access tokens issued by an external authorization server, checks their
+ * signature against the issuer's JWKS, their issuer, audience, lifetime and scopes, and
+ * publishes Protected Resource Metadata (RFC 9728) so clients can find the authorization server.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+// How long fetched signing keys are trusted, and how often an unknown key id may trigger a refetch
+const JWKS_CACHE_MS = 10 * 60 * 1000;
+const JWKS_MIN_REFRESH_MS = 30 * 1000;
+// Tolerated clock difference with the authorization server, in seconds
+const CLOCK_SKEW_SECONDS = 30;
+
+// Signature algorithms accepted for access tokens, with their node:crypto verify options
+const ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' },
+  EdDSA: { hash: null }
+};
+
+// Rejected tokens carry the OAuth error code used in the WWW-Authenticate challenge
+function tokenError(message, { oauthError = 'invalid_token', status = 401 } = {}) {
+  const error = new Error(message);
+  error.authStatus = status;
+  error.oauthError = oauthError;
+  return error;
+}
+
+// Decode a JWT header or payload, which must be a JSON object
+function decodeSegment(segment, label) {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw tokenError(`Malformed access token ${label}`);
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw tokenError(`Malformed access token ${label}`);
+  }
+  return value;
+}
+
+// Scopes granted by a token, from the "scope" string (RFC 9068) or a "scp" array
+function scopesOf(claims) {
+  if (typeof claims.scope === 'string') {
+    return claims.scope.split(' ').filter(Boolean);
+  }
+  if (Array.isArray(claims.scp)) {
+    return claims.scp;
+  }
+  return [];
+}
+
+/**
+ * Create a validator for JWT access tokens
+ * @param {Object} options
+ * @param {string} options.issuer - expected "iss" claim, also the advertised authorization server
+ * @param {string} options.audience - expected "aud" claim, normally the URL of this MCP endpoint
+ * @param {string} [options.jwksUrl] - signing keys; discovered from the issuer metadata when omitted
+ * @param {Array<string>} [options.requiredScopes] - scopes every token must grant
+ * @param {Object} options.logger
+ * @returns {Object} { verify }
+ */
+function createJwtVerifier({ issuer, audience, jwksUrl, requiredScopes = [], logger }) {
+  let jwksUri = jwksUrl || null;
+  let keys = new Map();
+  let fetchedAt = 0;
+  let pendingFetch = null;
+
+  // RFC 8414 metadata first, then OpenID Connect discovery
+  async function discoverJwksUri() {
+    const base = issuer.replace(/\/+$/, '');
+    for (const wellKnown of ['/.well-known/oauth-authorization-server', '/.well-known/openid-configuration']) {
+      try {
+        const response = await axios.get(`${base}${wellKnown}`, { timeout: 10000 });
+        if (response.data && response.data.jwks_uri) {
+          return response.data.jwks_uri;
+        }
+      } catch (error) {
+        logger.debug(`No authorization server metadata at ${base}${wellKnown}: ${error.message}`);
+      }
+    }
+    throw new Error(`Cannot find the JWKS of ${issuer}; set MCP_OAUTH_JWKS_URL`);
+  }
+
+  async function fetchKeys() {
+    if (!jwksUri) {
+      jwksUri = await discoverJwksUri();
+    }
+    const response = await axios.get(jwksUri, { timeout: 10000 });
+    const fetched = new Map();
+    for (const jwk of (response.data && response.data.keys) || []) {
+      if (jwk.use && jwk.use !== 'sig') {
+        continue;
+      }
+      try {
+        fetched.set(jwk.kid || '', { jwk, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) });
+      } catch (error) {
+        logger.warn(`Skipping unusable JWKS key ${jwk.kid}: ${error.message}`);
+      }
+    }
+    keys = fetched;
+    fetchedAt = Date.now();
+    logger.info(`Loaded ${keys.size} signing keys from ${jwksUri}`);
+  }
+
+  // Concurrent requests share one JWKS fetch
+  function refreshKeys() {
+    if (!pendingFetch) {
+      pendingFetch = fetchKeys().finally(() => {
+        pendingFetch = null;
+      });
+    }
+    return pendingFetch;
+  }
+
+  async function signingKey(kid) {
+    if (Date.now() - fetchedAt > JWKS_CACHE_MS) {
+      await refreshKeys();
+    }
+    let entry = keys.get(kid || '');
+    // Unknown key ids may mean the issuer rotated its keys
+    if (!entry && Date.now() - fetchedAt > JWKS_MIN_REFRESH_MS) {
+      await refreshKeys();
+      entry = keys.get(kid || '');
+    }
+    if (!entry && !kid && keys.size === 1) {
+      entry = keys.values().next().value;
+    }
+    if (!entry) {
+      throw tokenError('Access token is signed with an unknown key');
+    }
+    return entry.key;
+  }
+
+  /**
+   * Validate an access token
+   * @param {string} token
+   * @returns {Promise<{subject, clientId, scopes, claims}>}
+   */
+  async function verify(token) {
+    const segments = token.split('.');
+    if (segments.length !== 3) {
+      throw tokenError('Access token is not a JWT');
+    }
+    const [encodedHeader, encodedPayload, encodedSignature] = segments;
+    const header = decodeSegment(encodedHeader, 'header');
+    const claims = decodeSegment(encodedPayload, 'payload');
+
+    // Own properties only, so "constructor" or "__proto__" are not algorithms; the value is not echoed back
+    if (typeof header.alg !== 'string' || !Object.hasOwn(ALGORITHMS, header.alg)) {
+      throw tokenError('Unsupported access token algorithm');
+    }
+    const algorithm = ALGORITHMS[header.alg];
+
+    let key;
+    try {
+      key = await signingKey(header.kid);
+    } catch (error) {
+      if (error.authStatus) {
+        throw error;
+      }
+      logger.error('Error loading the authorization server keys:', error);
+      throw tokenError('Access token cannot be validated right now');
+    }
+
+    const valid = crypto.verify(
+      algorithm.hash,
+      Buffer.from(`${encodedHeader}.${encodedPayload}`),
+      { key, padding: algorithm.padding, dsaEncoding: algorithm.dsaEncoding },
+      Buffer.from(encodedSignature, 'base64url')
+    );
+    if (!valid) {
+      throw tokenError('Access token signature is invalid');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== 'number' || claims.exp < now - CLOCK_SKEW_SECONDS) {
+      throw tokenError('Access token expired');
+    }
+    if (typeof claims.nbf === 'number' && claims.nbf > now + CLOCK_SKEW_SECONDS) {
+      throw tokenError('Access token is not valid yet');
+    }
+    if (issuer && claims.iss !== issuer) {
+      throw tokenError('Access token was issued by another authorization server');
+    }
+    // Tokens must be issued for this server, not passed through from another resource
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (audience && !audiences.includes(audience)) {
+      throw tokenError('Access token was issued for another resource');
+    }
+
+    const scopes = scopesOf(claims);
+    const missing = requiredScopes.filter(scope => !scopes.includes(scope));
+    if (missing.length > 0) {
+      throw tokenError(`Access token lacks the scopes ${missing.join(' ')}`, {
+        oauthError: 'insufficient_scope',
+        status: 403
+      });
+    }
+
+    return {
+      subject: claims.sub || null,
+      clientId: claims.client_id || claims.azp || null,
+      scopes,
+      claims
+    };
+  }
+
+  return { verify };
+}
+
+/**
+ * Protected Resource Metadata document (RFC 9728) for this MCP server
+ * @param {Object} options
+ * @param {string} options.resource - URL of the MCP endpoint
+ * @param {string} options.issuer - authorization server
+ * @param {Array<string>} [options.scopes]
+ */
+function protectedResourceMetadata({ resource, issuer, scopes = [] }) {
+  const metadata = {
+    resource,
+    authorization_servers: [issuer],
+    bearer_methods_supported: ['header']
+  };
+  if (scopes.length > 0) {
+    metadata.scopes_supported = scopes;
+  }
+  return metadata;
+}
+
+module.exports = {
+  ALGORITHMS,
+  tokenError,
+  createJwtVerifier,
+  protectedResourceMetadata
+};
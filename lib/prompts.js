@@ -0,0 +1,150 @@
+/**
+ * MCP prompts
+ * Every exposed Dust agent gets an "ask" prompt, and teams can add their own
+ * prompt templates in a local JSON file (see prompts.example.json).
+ */
+
+const fs = require('fs');
+
+// Placeholders look like {{argumentName}}
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z0-9_-]+)\s*\}\}/g;
+
+// The single argument of agent prompts
+const AGENT_PROMPT_ARGUMENTS = [
+  {
+    name: 'question',
+    description: 'What to ask the agent',
+    required: true
+  }
+];
+
+// Prompt definition for one agent, reusing the name of the agent's tool
+function agentPrompt({ tool, agent }) {
+  return {
+    name: tool.name,
+    title: `Ask @${agent.name}`,
+    description: agent.description
+      ? `Ask @${agent.name}: ${agent.description}`
+      : `Ask the Dust agent @${agent.name}`,
+    arguments: AGENT_PROMPT_ARGUMENTS
+  };
+}
+
+// Messages of an agent prompt: a user message routing the question to the agent's tool
+function renderAgentPrompt({ tool, agent }, args) {
+  return {
+    description: `Ask @${agent.name}`,
+    messages: [
+      {
+        role: 'user',
+        content: {
+          type: 'text',
+          text: `Ask the Dust agent @${agent.name} (tool ${tool.name}): ${args.question}`
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * Load user-defined prompt templates
+ * A missing file means no templates; a malformed one throws with the path and the offending entry.
+ * @param {string} filePath - JSON file of the form { "prompts": [ ... ] }
+ * @returns {Promise<Array>}
+ */
+async function loadPromptTemplates(filePath) {
+  let raw;
+  try {
+    raw = await fs.promises.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`${filePath}: invalid JSON (${error.message})`);
+  }
+  const templates = Array.isArray(data.prompts) ? data.prompts : [];
+
+  templates.forEach((template, index) => {
+    if (typeof template.name !== 'string' || !/^[a-zA-Z0-9_-]{1,64}$/.test(template.name)) {
+      throw new Error(`${filePath}: prompt #${index + 1} needs a name made of letters, digits, "_" or "-"`);
+    }
+    const hasTemplate = typeof template.template === 'string';
+    const hasMessages = Array.isArray(template.messages) && template.messages.every(
+      message => ['user', 'assistant'].includes(message.role) && typeof message.text === 'string'
+    );
+    if (!hasTemplate && !hasMessages) {
+      throw new Error(`${filePath}: prompt "${template.name}" needs a "template" string or "messages" with role and text`);
+    }
+    if (template.arguments !== undefined && !Array.isArray(template.arguments)) {
+      throw new Error(`${filePath}: arguments of prompt "${template.name}" must be an array`);
+    }
+  });
+
+  return templates;
+}
+
+// Prompt definition (as listed by prompts/list) of a user-defined template
+function templatePrompt(template) {
+  return {
+    name: template.name,
+    title: template.title,
+    description: template.description,
+    arguments: (template.arguments || []).map(argument => ({
+      name: argument.name,
+      description: argument.description,
+      required: Boolean(argument.required)
+    }))
+  };
+}
+
+// Replace {{name}} placeholders; unknown placeholders become empty strings
+function fillPlaceholders(text, args) {
+  return text.replace(PLACEHOLDER_PATTERN, (match, name) => (args[name] !== undefined ? String(args[name]) : ''));
+}
+
+// Messages of a user-defined template with its arguments filled in
+// Optional arguments fall back to their "default" when the client leaves them out
+function renderPromptTemplate(template, args) {
+  const defaults = {};
+  (template.arguments || []).forEach((argument) => {
+    if (argument.default !== undefined) {
+      defaults[argument.name] = argument.default;
+    }
+  });
+  args = { ...defaults, ...args };
+
+  const sourceMessages = template.messages || [{ role: 'user', text: template.template }];
+  return {
+    description: template.description,
+    messages: sourceMessages.map(message => ({
+      role: message.role,
+      content: {
+        type: 'text',
+        text: fillPlaceholders(message.text, args)
+      }
+    }))
+  };
+}
+
+// Names of required arguments missing from args
+function missingArguments(prompt, args) {
+  return (prompt.arguments || [])
+    .filter(argument => argument.required && (args[argument.name] === undefined || args[argument.name] === ''))
+    .map(argument => argument.name);
+}
+
+module.exports = {
+  agentPrompt,
+  renderAgentPrompt,
+  loadPromptTemplates,
+  templatePrompt,
+  renderPromptTemplate,
+  missingArguments
+};
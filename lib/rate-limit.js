@@ -0,0 +1,165 @@
+/**
+ * Per-client rate limiting
+ * Every chat creates a Dust conversation and run, so each client (auth token, or IP when
+ * auth is off) gets a requests-per-minute budget, a cap on concurrent streams and a daily
+ * message quota. Counters live in memory and start over when the server restarts.
+ */
+
+const MINUTE_MS = 60 * 1000;
+// Suggested wait when the stream cap is hit, since streams end at unknown times
+const STREAM_RETRY_SECONDS = 5;
+// Idle clients are dropped from memory once there are this many
+const SWEEP_THRESHOLD = 1000;
+
+// Client a request is counted against
+function clientKey(principal, ip) {
+  return principal ? principal.id : `ip:${ip || 'unknown'}`;
+}
+
+// Start of the next UTC day, when daily quotas reset
+function nextUtcMidnight(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+/**
+ * Create a rate limiter; a limit of 0 disables that limit
+ * @param {Object} options
+ * @param {number} options.requestsPerMinute - chat, tool and search calls per rolling minute
+ * @param {number} options.maxConcurrentStreams - open /mcp/stream responses
+ * @param {number} options.dailyMessages - messages sent to agents per UTC day
+ * @param {Function} [options.now] - clock, for tests
+ * @returns {Object} { consume, acquireStream, usage }
+ */
+function createRateLimiter({ requestsPerMinute = 0, maxConcurrentStreams = 0, dailyMessages = 0, now = Date.now }) {
+  const clients = new Map();
+
+  function sweep(time) {
+    for (const [key, client] of clients) {
+      const idle = client.requests.every(at => time - at >= MINUTE_MS) && client.streams === 0;
+      if (idle && time >= client.dayResetsAt) {
+        clients.delete(key);
+      }
+    }
+  }
+
+  function clientState(key) {
+    const time = now();
+    let client = clients.get(key);
+    if (!client) {
+      if (clients.size >= SWEEP_THRESHOLD) {
+        sweep(time);
+      }
+      client = { requests: [], streams: 0, messages: 0, dayResetsAt: nextUtcMidnight(time) };
+      clients.set(key, client);
+    }
+    // Forget requests older than the rolling minute, and yesterday's messages
+    client.requests = client.requests.filter(at => time - at < MINUTE_MS);
+    if (time >= client.dayResetsAt) {
+      client.messages = 0;
+      client.dayResetsAt = nextUtcMidnight(time);
+    }
+    return client;
+  }
+
+  /**
+   * Count a call against the client's limits, unless one is exhausted
+   * @param {string} key - from clientKey
+   * @param {Object} options
+   * @param {boolean} options.message - the call sends a message to an agent
+   * @returns {null|{limit, max, retryAfter, message}} null when allowed, else why not
+   */
+  function consume(key, { message = false } = {}) {
+    const time = now();
+    const client = clientState(key);
+
+    if (requestsPerMinute > 0 && client.requests.length >= requestsPerMinute) {
+      const retryAfter = Math.ceil((client.requests[0] + MINUTE_MS - time) / 1000);
+      return {
+        limit: 'requestsPerMinute',
+        max: requestsPerMinute,
+        retryAfter: Math.max(retryAfter, 1),
+        message: `Rate limit exceeded: ${requestsPerMinute} requests per minute`
+      };
+    }
+    if (message && dailyMessages > 0 && client.messages >= dailyMessages) {
+      return {
+        limit: 'dailyMessages',
+        max: dailyMessages,
+        retryAfter: Math.ceil((client.dayResetsAt - time) / 1000),
+        message: `Daily quota exceeded: ${dailyMessages} messages per day`
+      };
+    }
+
+    client.requests.push(time);
+    if (message) {
+      client.messages += 1;
+    }
+    return null;
+  }
+
+  /**
+   * Reserve a stream slot for the client
+   * @returns {{release: Function}|{refusal: Object}} release must be called once the stream ends
+   */
+  function acquireStream(key) {
+    const client = clientState(key);
+    if (maxConcurrentStreams > 0 && client.streams >= maxConcurrentStreams) {
+      return {
+        refusal: {
+          limit: 'concurrentStreams',
+          max: maxConcurrentStreams,
+          retryAfter: STREAM_RETRY_SECONDS,
+          message: `Too many concurrent streams: at most ${maxConcurrentStreams}`
+        }
+      };
+    }
+
+    client.streams += 1;
+    let released = false;
+    return {
+      release() {
+        if (!released) {
+          released = true;
+          client.streams -= 1;
+        }
+      }
+    };
+  }
+
+  // Current usage and limits of a client; null limits are disabled
+  function usage(key) {
+    const time = now();
+    const client = clientState(key);
+    return {
+      client: key,
+      requestsPerMinute: {
+        limit: requestsPerMinute || null,
+        used: client.requests.length,
+        resetsInSeconds: client.requests.length > 0
+          ? Math.ceil((client.requests[0] + MINUTE_MS - time) / 1000)
+          : 0
+      },
+      concurrentStreams: {
+        limit: maxConcurrentStreams || null,
+        active: client.streams
+      },
+      dailyMessages: {
+        limit: dailyMessages || null,
+        used: client.messages,
+        resetsAt: new Date(client.dayResetsAt).toISOString()
+      }
+    };
+  }
+
+  return {
+    consume,
+    acquireStream,
+    usage
+  };
+}
+
+module.exports = {
+  clientKey,
+  createRateLimiter
+};
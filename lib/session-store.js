@@ -0,0 +1,226 @@
+/**
+ * Session store
+ * Records which Dust conversation each MCP session talked to, with the agent,
+ * timestamps and message history, so past conversations can be listed and resumed.
+ *
+ * Backends:
+ * - memory: kept in process, lost on restart
+ * - file: a JSON snapshot plus a journal of changes, survives restarts
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Copy records on the way in and out so callers cannot mutate the store
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// Conversation record without its message history, for listings
+function summarize(record) {
+  const { messages, ...summary } = record;
+  return { ...summary, messageCount: messages.length };
+}
+
+/**
+ * In-memory backend
+ * @param {Array} [initialRecords] - records to start with
+ */
+function createMemoryStore(initialRecords = []) {
+  const records = new Map(initialRecords.map(record => [record.conversationId, record]));
+
+  return {
+    type: 'memory',
+
+    async get(conversationId) {
+      const record = records.get(conversationId);
+      return record ? clone(record) : null;
+    },
+
+    // Most recently updated first; filter keeps the records a caller may see
+    async list({ limit = 50, offset = 0, filter = null } = {}) {
+      const sorted = [...records.values()]
+        .filter(record => !filter || filter(clone(record)))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+      return {
+        total: sorted.length,
+        conversations: sorted.slice(offset, offset + limit).map(summarize)
+      };
+    },
+
+    // Create the record on first use, then append messages and refresh its metadata
+    // ownerId (the principal that started the conversation) is only set on creation
+    async append(conversationId, { sessionId, ownerId, agentId, agentName } = {}, messages = []) {
+      const now = new Date().toISOString();
+      let record = records.get(conversationId);
+      if (!record) {
+        record = {
+          conversationId,
+          sessionId: sessionId || null,
+          ownerId: ownerId || null,
+          agentId: agentId || null,
+          agentName: agentName || null,
+          createdAt: now,
+          updatedAt: now,
+          messages: []
+        };
+        records.set(conversationId, record);
+      }
+
+      if (sessionId) {
+        record.sessionId = sessionId;
+      }
+      if (agentId) {
+        record.agentId = agentId;
+        record.agentName = agentName || record.agentName;
+      }
+      record.messages.push(...clone(messages).map(message => ({ createdAt: now, ...message })));
+      record.updatedAt = now;
+      return clone(record);
+    },
+
+    async delete(conversationId) {
+      return records.delete(conversationId);
+    },
+
+    snapshot() {
+      return clone([...records.values()]);
+    }
+  };
+}
+
+/**
+ * JSON file backend
+ * The file holds a snapshot of every record; changes are appended to a journal next to it
+ * (`<file>.log`, one JSON line per change) and folded into the snapshot every compactAfter changes.
+ * Both are loaded at startup.
+ * @param {string} filePath - location of the JSON snapshot
+ * @param {Object} [options]
+ * @param {number} [options.compactAfter] - journal lines that trigger a snapshot rewrite
+ */
+function createFileStore(filePath, { compactAfter = 500 } = {}) {
+  const journalPath = `${filePath}.log`;
+  const records = new Map();
+  // Snapshots and journal lines carry a generation: lines older than the snapshot were already
+  // folded into it, when a crash came between writing the snapshot and emptying the journal
+  let generation = 0;
+  let journalLines = 0;
+
+  if (fs.existsSync(filePath)) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    generation = data.generation || 0;
+    for (const record of data.conversations || []) {
+      records.set(record.conversationId, record);
+    }
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  if (fs.existsSync(journalPath)) {
+    const lines = fs.readFileSync(journalPath, 'utf8').split('\n').filter(line => line.trim());
+    lines.forEach((line, index) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // Only the last line can be torn, by a crash while it was being appended
+        if (index === lines.length - 1) {
+          return;
+        }
+        throw new Error(`Invalid line ${index + 1} in session journal ${journalPath}: ${error.message}`);
+      }
+      if (entry.generation === generation) {
+        applyJournalEntry(records, entry);
+        journalLines++;
+      }
+    });
+  }
+
+  // records keeps up with the journal, not with memory: changes still queued for the journal
+  // must not reach a snapshot, or they would be replayed on top of it
+  const memory = createMemoryStore(clone([...records.values()]));
+  let pendingWrite = Promise.resolve();
+
+  // Replace the snapshot in one rename so a crash never leaves it half written, then start a new journal
+  const compact = async () => {
+    const tmpPath = `${filePath}.tmp`;
+    const data = JSON.stringify({ generation: generation + 1, conversations: [...records.values()] }, null, 2);
+    await fs.promises.writeFile(tmpPath, data);
+    await fs.promises.rename(tmpPath, filePath);
+    generation++;
+    journalLines = 0;
+    await fs.promises.writeFile(journalPath, '');
+  };
+
+  // Serialize writes: append the change to the journal, compacting once it grows long
+  const persist = (entry) => {
+    pendingWrite = pendingWrite.catch(() => {}).then(async () => {
+      await fs.promises.appendFile(journalPath, `${JSON.stringify({ generation, ...entry })}\n`);
+      applyJournalEntry(records, entry);
+      journalLines++;
+      if (journalLines >= compactAfter) {
+        await compact();
+      }
+    });
+    return pendingWrite;
+  };
+
+  return {
+    ...memory,
+    type: 'file',
+
+    async append(conversationId, meta, messages = []) {
+      const record = await memory.append(conversationId, meta, messages);
+      const { messages: history, ...fields } = record;
+      await persist({ op: 'append', record: fields, messages: history.slice(history.length - messages.length) });
+      return record;
+    },
+
+    async delete(conversationId) {
+      const deleted = await memory.delete(conversationId);
+      if (deleted) {
+        await persist({ op: 'delete', conversationId });
+      }
+      return deleted;
+    }
+  };
+}
+
+// Replay one journal line onto the loaded records
+function applyJournalEntry(records, entry) {
+  if (entry.op === 'delete') {
+    records.delete(entry.conversationId);
+    return;
+  }
+  const existing = records.get(entry.record.conversationId);
+  records.set(entry.record.conversationId, {
+    ...entry.record,
+    messages: [...(existing ? existing.messages : []), ...entry.messages]
+  });
+}
+
+/**
+ * Create the store selected in the configuration
+ * @param {Object} options
+ * @param {string} options.type - 'memory' or 'file'
+ * @param {string} [options.path] - JSON snapshot for the file backend (its journal is <path>.log)
+ */
+function createSessionStore({ type = 'memory', path: filePath } = {}) {
+  switch (type) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      if (!filePath) {
+        throw new Error('The file session store needs a path');
+      }
+      return createFileStore(filePath);
+    default:
+      throw new Error(`Unknown session store type: ${type}`);
+  }
+}
+
+module.exports = {
+  createMemoryStore,
+  createFileStore,
+  createSessionStore
+};
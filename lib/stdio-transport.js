@@ -0,0 +1,83 @@
+/**
+ * Stdio transport for the MCP server
+ * Reads newline-delimited JSON-RPC messages from stdin and writes responses to stdout,
+ * which is how Claude Desktop and most MCP hosts spawn servers as child processes.
+ */
+
+const readline = require('readline');
+const { ERROR_CODES, rpcError, isNotification } = require('./json-rpc');
+
+/**
+ * Start serving JSON-RPC over stdio
+ * @param {Object} options
+ * @param {Function} options.handleRequest - async (request) => response object, or null for notifications
+ * @param {Object} options.logger - logger writing to stderr
+ * @param {Function} [options.onClose] - async, awaited before exiting once stdin closes (e.g. to flush logs)
+ * @param {stream.Readable} [options.input] - defaults to process.stdin
+ * @param {stream.Writable} [options.output] - defaults to process.stdout
+ * @returns {Object} transport with a send() helper and a close() method
+ */
+function startStdioTransport({ handleRequest, logger, onClose, input = process.stdin, output = process.stdout }) {
+  const rl = readline.createInterface({ input, terminal: false });
+
+  // stdout carries the protocol stream only, one JSON message per line
+  const send = (message) => {
+    output.write(JSON.stringify(message) + '\n');
+  };
+
+  const handleLine = async (line) => {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      return;
+    }
+
+    let request;
+    try {
+      request = JSON.parse(trimmed);
+    } catch (error) {
+      logger.warn(`Invalid JSON received on stdin: ${error.message}`);
+      send(rpcError(null, ERROR_CODES.PARSE_ERROR, 'Parse error'));
+      return;
+    }
+
+    try {
+      const response = await handleRequest(request);
+      // Notifications (no id) never get a response
+      if (response && !isNotification(request)) {
+        send(response);
+      }
+    } catch (error) {
+      logger.error('Error handling stdio request:', error);
+      if (!isNotification(request)) {
+        send(rpcError(request.id, ERROR_CODES.SERVER_ERROR, error.message || 'Internal server error'));
+      }
+    }
+  };
+
+  // Track in-flight requests so closing stdin does not cut off pending answers
+  const pending = new Set();
+
+  rl.on('line', (line) => {
+    const task = handleLine(line);
+    pending.add(task);
+    task.finally(() => pending.delete(task));
+  });
+
+  rl.on('close', async () => {
+    logger.info('stdin closed, shutting down stdio transport');
+    await Promise.allSettled([...pending]);
+    if (onClose) {
+      await onClose();
+    }
+    process.exit(0);
+  });
+
+  logger.info('MCP Server listening on stdio');
+
+  return {
+    send,
+    close: () => rl.close()
+  };
+}
+
+module.exports = { startStdioTransport };
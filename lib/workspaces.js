@@ -0,0 +1,220 @@
+/**
+ * Dust workspaces served by the bridge
+ * Each workspace has its own API key, domain and default agent. With more than one workspace,
+ * model ids, tool and prompt names and readiness checks are prefixed with the workspace's
+ * short id, e.g. model "sales/abc123" and tool "sales__ask_helper"; with a single workspace
+ * names stay as they were.
+ */
+
+const { matchesAgentRef } = require('./agent-tools');
+
+// Short ids go into tool names, which must match ^[a-zA-Z0-9_-]{1,64}$
+const WORKSPACE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,19}$/;
+// Id of the workspace built from the top-level settings when no workspaces are listed
+const DEFAULT_WORKSPACE_ID = 'default';
+// Separators between the workspace id and the rest of a qualified name
+const REF_SEPARATOR = '/';
+const TOOL_SEPARATOR = '__';
+
+// Keys of a workspace entry and their types (lists accept arrays or comma-separated strings)
+const ENTRY_KEYS = {
+  id: 'string',
+  name: 'string',
+  workspaceId: 'string',
+  apiKey: 'string',
+  baseUrl: 'string',
+  agentId: 'string',
+  agentAllowlist: 'list',
+  agentDenylist: 'list'
+};
+
+// Environment variable overriding the API key of a workspace, e.g. DUST_API_KEY_SALES
+function apiKeyEnvName(id) {
+  return `DUST_API_KEY_${id.toUpperCase().replace(/-/g, '_')}`;
+}
+
+function toList(value) {
+  if (Array.isArray(value)) {
+    return value.map(item => String(item).trim()).filter(Boolean);
+  }
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Check the workspaces option: an array of entries, or that array as a JSON string (env, flags)
+ * @param {*} raw
+ * @param {Object} env - where DUST_API_KEY_<ID> overrides are read
+ * @returns {{ value: Array<Object> } | { error: string }}
+ */
+function coerceWorkspaces(raw, env) {
+  let entries = raw;
+  if (typeof raw === 'string') {
+    try {
+      entries = JSON.parse(raw);
+    } catch (error) {
+      return { error: `must be a JSON array of workspaces: ${error.message}` };
+    }
+  }
+  if (!Array.isArray(entries)) {
+    return { error: 'must be a list of workspaces' };
+  }
+
+  const problems = [];
+  const value = [];
+  entries.forEach((entry, index) => {
+    const label = entry && typeof entry.id === 'string' && entry.id ? `workspace ${entry.id}` : `workspace #${index + 1}`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      problems.push(`${label} must be an object`);
+      return;
+    }
+    const unknown = Object.keys(entry).filter(key => !(key in ENTRY_KEYS));
+    if (unknown.length > 0) {
+      problems.push(`${label} has unknown keys ${unknown.join(', ')}`);
+    }
+    const workspace = {};
+    for (const [key, type] of Object.entries(ENTRY_KEYS)) {
+      const item = entry[key];
+      if (item === undefined || item === null || item === '') {
+        continue;
+      }
+      if (type === 'list') {
+        if (!Array.isArray(item) && typeof item !== 'string') {
+          problems.push(`${label}: ${key} must be a list`);
+          continue;
+        }
+        workspace[key] = toList(item);
+      } else if (typeof item !== 'string' && typeof item !== 'number') {
+        problems.push(`${label}: ${key} must be a string`);
+      } else {
+        workspace[key] = String(item).trim();
+      }
+    }
+
+    if (!workspace.id || !WORKSPACE_ID_PATTERN.test(workspace.id)) {
+      problems.push(`${label}: id must be 1 to 20 lowercase letters, digits or dashes`);
+      return;
+    }
+    const envKey = env[apiKeyEnvName(workspace.id)];
+    if (envKey) {
+      workspace.apiKey = envKey.trim();
+    }
+    for (const key of ['workspaceId', 'apiKey', 'agentId']) {
+      if (!workspace[key]) {
+        problems.push(key === 'apiKey'
+          ? `${label}: apiKey is required (or set ${apiKeyEnvName(workspace.id)})`
+          : `${label}: ${key} is required`);
+      }
+    }
+    if (workspace.baseUrl && !/^https?:\/\/[^\s/]+/i.test(workspace.baseUrl)) {
+      problems.push(`${label}: baseUrl must be an http(s) URL`);
+    }
+    value.push(workspace);
+  });
+
+  for (const key of ['id', 'workspaceId']) {
+    const seen = new Set();
+    for (const workspace of value) {
+      if (workspace[key] && seen.has(workspace[key])) {
+        problems.push(`${key} ${workspace[key]} is used by more than one workspace`);
+      }
+      seen.add(workspace[key]);
+    }
+  }
+
+  return problems.length > 0 ? { error: `are invalid: ${problems.join('; ')}` } : { value };
+}
+
+/**
+ * Settings of every workspace, with the top-level options as defaults
+ * Without a workspaces list, the top-level apiKey, workspaceId and agentId make up the only workspace.
+ * @param {Object} config - from loadConfig
+ * @returns {Array<Object>} { id, name, workspaceId, apiKey, baseUrl, agentId, agentAllowlist, agentDenylist }
+ */
+function resolveWorkspaces(config) {
+  const entries = config.workspaces.length > 0
+    ? config.workspaces
+    : [{ id: DEFAULT_WORKSPACE_ID, name: config.workspaceName, workspaceId: config.workspaceId, apiKey: config.apiKey, agentId: config.agentId }];
+
+  return entries.map(entry => ({
+    id: entry.id,
+    name: entry.name || entry.workspaceId,
+    workspaceId: entry.workspaceId,
+    apiKey: entry.apiKey,
+    baseUrl: (entry.baseUrl || config.baseUrl).replace(/\/+$/, ''),
+    agentId: entry.agentId,
+    agentAllowlist: entry.agentAllowlist || config.agentAllowlist,
+    agentDenylist: entry.agentDenylist || config.agentDenylist
+  }));
+}
+
+/**
+ * Naming of agents, tools and checks across workspaces
+ * @param {Array<string>} workspaceIds - short ids, in configuration order
+ * @returns {Object} { qualified, qualify, toolPrefix, split, matchesAgentRef }
+ */
+function createWorkspaceNaming(workspaceIds) {
+  const qualified = workspaceIds.length > 1;
+
+  // "sales/abc123" for agent abc123 of the sales workspace; unchanged with one workspace
+  const qualify = (workspaceId, name) => (qualified ? `${workspaceId}${REF_SEPARATOR}${name}` : String(name));
+
+  // Prefix of tool (and agent prompt) names, which cannot contain "/"
+  const toolPrefix = workspaceId => (qualified ? `${workspaceId}${TOOL_SEPARATOR}` : '');
+
+  // Split a client reference like "sales/@Helper" into its workspace and the rest
+  // workspace is null when the reference names no configured workspace
+  const split = (ref) => {
+    const text = String(ref);
+    const index = text.indexOf(REF_SEPARATOR);
+    if (index > 0 && workspaceIds.includes(text.slice(0, index))) {
+      return { workspace: text.slice(0, index), ref: text.slice(index + 1) };
+    }
+    return { workspace: null, ref: text };
+  };
+
+  // Whether an agent of a workspace matches a reference, qualified or not
+  const matchesWorkspaceAgentRef = (workspaceId, agent, ref) => {
+    const parsed = split(ref);
+    if (parsed.workspace && parsed.workspace !== workspaceId) {
+      return false;
+    }
+    return matchesAgentRef(agent, parsed.ref);
+  };
+
+  return {
+    qualified,
+    qualify,
+    toolPrefix,
+    split,
+    matchesAgentRef: matchesWorkspaceAgentRef
+  };
+}
+
+// A knowledge tool (search, documents) with a workspace argument, for when there are several
+// Without it, calls go to the workspace of the dust:// URIs they name, or the default one
+function withWorkspaceArgument(tool, workspaceIds, defaultWorkspaceId) {
+  return {
+    ...tool,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: {
+        ...tool.inputSchema.properties,
+        workspace: {
+          type: 'string',
+          enum: workspaceIds,
+          description: `Workspace to use (default: the workspace of the dust:// URIs given, or ${defaultWorkspaceId})`
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  WORKSPACE_ID_PATTERN,
+  DEFAULT_WORKSPACE_ID,
+  apiKeyEnvName,
+  coerceWorkspaces,
+  resolveWorkspaces,
+  createWorkspaceNaming,
+  withWorkspaceArgument
+};
@@ -1,573 +1,1545 @@
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const { DustAPI } = require('@dust-tt/client');
-const axios = require('axios');
-const fs = require('fs');
-const path = require('path');
-
-// Load environment variables
-dotenv.config();
-
-// Set up logging
-const logDir = path.join(__dirname, 'logs');
-if (!fs.existsSync(logDir)) {
-  fs.mkdirSync(logDir);
-}
-
-const logFile = path.join(logDir, `mcp-server-${new Date().toISOString().split('T')[0]}.log`);
-
-// Create a logging utility
-const logger = {
-  info: (message) => {
-    const logMessage = `[INFO] [${new Date().toISOString()}] ${message}`;
-    console.log(logMessage);
-    fs.appendFileSync(logFile, logMessage + '\n');
-  },
-  error: (message, error) => {
-    const errorDetails = error ? `\n${error.stack || error.message || JSON.stringify(error)}` : '';
-    const logMessage = `[ERROR] [${new Date().toISOString()}] ${message}${errorDetails}`;
-    console.error(logMessage);
-    fs.appendFileSync(logFile, logMessage + '\n');
-  },
-  warn: (message) => {
-    const logMessage = `[WARN] [${new Date().toISOString()}] ${message}`;
-    console.warn(logMessage);
-    fs.appendFileSync(logFile, logMessage + '\n');
-  },
-  debug: (message, obj) => {
-    const details = obj ? `\n${JSON.stringify(obj, null, 2)}` : '';
-    const logMessage = `[DEBUG] [${new Date().toISOString()}] ${message}${details}`;
-    console.log(logMessage);
-    fs.appendFileSync(logFile, logMessage + '\n');
-  }
-};
-
-// Server configuration
-const config = {
-  mcpName: process.env.MCP_NAME || 'Dust MCP Server JS',
-  mcpHost: process.env.MCP_HOST || '127.0.0.1',
-  mcpPort: parseInt(process.env.MCP_PORT || '5001', 10),
-  timeout: parseInt(process.env.MCP_TIMEOUT || '30', 10),
-  agentId: process.env.DUST_AGENT_ID || '442875',
-  workspaceId: process.env.DUST_WORKSPACE_ID || '',
-  apiKey: process.env.DUST_API_KEY || '',
-  agentName: process.env.DUST_AGENT_NAME || 'SystemsThinking',
-  baseUrl: process.env.DUST_DOMAIN || 'https://dust.tt',
-  timezone: process.env.DUST_TIMEZONE || 'UTC',
-  username: process.env.DUST_USERNAME || '',
-  fullName: process.env.DUST_FULLNAME || ''
-};
+const crypto = require('crypto');
+const { startStdioTransport } = require('./lib/stdio-transport');
+const { ERROR_CODES, rpcResult, rpcError, isNotification } = require('./lib/json-rpc');
+const {
+  SUPPORTED_PROTOCOL_VERSIONS,
+  PRE_INITIALIZE_METHODS,
+  SERVER_CAPABILITIES,
+  negotiateProtocolVersion,
+  createSession
+} = require('./lib/mcp-lifecycle');
+const {
+  agentIdOf,
+  modelFromAgent,
+  buildAgentTools
+} = require('./lib/agent-tools');
+const { createSessionStore } = require('./lib/session-store');
+const { loadAttachments } = require('./lib/attachments');
+const { createInflightRegistry } = require('./lib/inflight-requests');
+const { loadStaticTokens, createAuthenticator, canUseAgent } = require('./lib/auth');
+const { protectedResourceMetadata } = require('./lib/oauth');
+const { clientKey, createRateLimiter } = require('./lib/rate-limit');
+const { createLogger } = require('./lib/logger');
+const { createBridgeMetrics } = require('./lib/metrics');
+const { createHealthChecks } = require('./lib/health-checks');
+const { loadConfig, describeConfig } = require('./lib/config');
+const { resolveWorkspaces, createWorkspaceNaming, withWorkspaceArgument } = require('./lib/workspaces');
+const { validateActivityEvents, selectActivityEvents, describeAction } = require('./lib/agent-events');
+const { parseDustUri } = require('./lib/dust-resources');
+const { createDustWorkspace, resolveAgent: resolveWorkspaceAgent } = require('./lib/dust-workspace');
+const {
+  SEARCH_TOOL,
+  validateSearchParams,
+  formatSearchResults
+} = require('./lib/dust-search');
+const {
+  UPSERT_DOCUMENT_TOOL,
+  UPLOAD_FILE_TOOL,
+  DELETE_DOCUMENT_TOOL
+} = require('./lib/dust-documents');
+const {
+  agentPrompt,
+  renderAgentPrompt,
+  loadPromptTemplates,
+  templatePrompt,
+  renderPromptTemplate,
+  missingArguments
+} = require('./lib/prompts');
+const packageInfo = require('./package.json');
+
+// Set by start(): the transport, the configuration (see lib/config.js) and what is built from it
+// Every handler reads its settings from config
+let useStdio = false;
+let config;
+// The Dust workspaces to serve: the workspaces list, or the single workspace of DUST_WORKSPACE_ID
+let workspaceSettings;
+let logger;
+// JSON body parser sized from the configuration, see start()
+let jsonBodyParser;
+
+// Room for the JSON-RPC envelope and the other arguments around an uploaded file or document
+const JSON_BODY_OVERHEAD_BYTES = 1024 * 1024;
 
 // Initialize Express app
 const app = express();
-app.use(express.json());
-app.use(cors());
-
-// Initialize Dust client with configuration from .env
-// DustAPI constructor expects the API key as the first parameter
-const dustClient = new DustAPI(
-  config.apiKey,
-  { 
-    workspaceId: config.workspaceId,
-    baseUrl: config.baseUrl
-  }
-);
-
-// Also set up direct HTTP API access
-const dustApi = axios.create({
-  baseURL: config.baseUrl,
-  headers: {
-    'Content-Type': 'application/json',
-    'Authorization': `Bearer ${config.apiKey}`
-  }
+app.use((req, res, next) => jsonBodyParser(req, res, next));
+// Browser clients need to read the session header set on initialize
+app.use(cors({ exposedHeaders: ['Mcp-Session-Id', 'WWW-Authenticate', 'X-Request-Id'] }));
+
+// Every log line written while serving a request carries its id, also sent back as X-Request-Id
+// Clients may pass their own id to correlate with their logs
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', requestId);
+  logger.runWithContext({ requestId }, next);
 });
 
-logger.info('Starting MCP Server with Dust integration');
-logger.info('MCP Server Configuration:');
-logger.info(`- MCP Name: ${config.mcpName}`);
-logger.info(`- MCP Host: ${config.mcpHost}`);
-logger.info(`- MCP Port: ${config.mcpPort}`);
-logger.info('\nDust Configuration:');
-logger.info(`- API Key (masked): ****${config.apiKey.slice(-4)}`);
-logger.info(`- Workspace ID: ${config.workspaceId}`);
-logger.info(`- Agent ID: ${config.agentId}`);
-logger.info(`- Agent Name: ${config.agentName}`);
-logger.info(`- Base URL: ${config.baseUrl}`);
-
-// Get Dust assistant information
-async function getDustAssistant() {
+// Inbound authentication of the HTTP endpoints (stdio clients are local and not authenticated)
+let resourceUrl;
+let resourceMetadataUrl;
+let authenticator;
+
+// Authenticate requests to the MCP endpoints, setting req.principal
+// Refusals are JSON-RPC errors with a WWW-Authenticate challenge
+async function requireAuth(req, res, next) {
+  if (!authenticator.enabled) {
+    req.principal = null;
+    next();
+    return;
+  }
+  let principal;
   try {
-    // Get agent configurations using the correct endpoint
-    const response = await dustApi.get(`/api/v1/w/${config.workspaceId}/assistant/agent_configurations`);
-    const agents = response.data.agentConfigurations || [];
-    
-    // Find our agent by ID (with proper type handling)
-    const targetAgent = agents.find(agent => String(agent.id) === String(config.agentId));
-    
-    if (!targetAgent) {
-      console.warn(`Agent with ID ${config.agentId} not found. Using default values.`);
-      // Log available agents for reference
-      if (agents.length > 0) {
-        console.log('Available agents:', agents.map(a => `${a.name} (${a.id})`).join(', '));
-      }
-      
-      // Return mock data if agent not found
-      return {
-        id: config.agentId,
-        name: config.agentName,
-        description: `Agent from the ${process.env.DUST_WORKSPACE_NAME || 'WorkwithAI_Launchpad'} workspace`,
-        workspaceId: config.workspaceId
-      };
-    }
-    
-    return {
-      id: targetAgent.id,
-      name: targetAgent.name,
-      description: targetAgent.description || `Agent from the ${process.env.DUST_WORKSPACE_NAME} workspace`,
-      workspaceId: process.env.DUST_WORKSPACE_ID
-    };
+    principal = await authenticator.authenticate(req.get('Authorization'));
   } catch (error) {
-    console.error('Error fetching Dust assistant information:', error);
-    // Return mock data as fallback
-    return {
-      id: process.env.DUST_AGENT_ID,
-      name: process.env.DUST_AGENT_NAME || 'SystemsThinking',
-      description: `Agent from the ${process.env.DUST_WORKSPACE_NAME || 'WorkwithAI_Launchpad'} workspace`,
-      workspaceId: process.env.DUST_WORKSPACE_ID
-    };
+    if (!error.authStatus) {
+      next(error);
+      return;
+    }
+    // Express 4 does not catch rejected middleware: a failing refusal must not take the process down
+    try {
+      logger.warn(`Refused ${req.method} ${req.path}: ${error.message}`);
+      const code = error.authStatus === 403 ? ERROR_CODES.FORBIDDEN : ERROR_CODES.UNAUTHORIZED;
+      res.setHeader('WWW-Authenticate', authenticator.challenge(error));
+      res.status(error.authStatus).json(rpcError((req.body && req.body.id) || null, code, error.message));
+    } catch (refusalError) {
+      next(refusalError);
+    }
+    return;
   }
+  req.principal = principal;
+  next();
 }
 
-// Create a new Dust conversation
-async function createDustConversation() {
+// /metrics answers to its own token when METRICS_TOKEN is set, and to the /mcp tokens otherwise
+let metricsAuthenticator = null;
+
+async function requireMetricsAuth(req, res, next) {
+  if (!metricsAuthenticator) {
+    await requireAuth(req, res, next);
+    return;
+  }
   try {
-    logger.info('Creating new Dust conversation');
-    const response = await dustApi.post(`/api/v1/w/${config.workspaceId}/assistant/conversations`, {
-      title: 'MCP Chat Session'
-    });
-    logger.debug('Conversation created', response.data);
-    return response.data;
+    await metricsAuthenticator.authenticate(req.get('Authorization'));
   } catch (error) {
-    logger.error('Error creating conversation:', error);
-    throw new Error(`Failed to create conversation: ${error.message}`);
+    logger.warn(`Refused ${req.method} ${req.path}: ${error.message}`);
+    res.setHeader('WWW-Authenticate', 'Bearer realm="metrics"');
+    res.status(401).type('text/plain').send(`${error.message}\n`);
+    return;
   }
+  next();
 }
 
-// Add a message to a Dust conversation
-async function addDustMessage(conversationId, message) {
+// Per-client budgets, keyed by auth token or IP (see lib/rate-limit.js)
+let rateLimiter;
+
+// JSON-RPC error for a call refused by the rate limiter, or null when it may run
+// Counts the call when it is allowed; message marks calls that send a message to an agent
+function rateLimitError(id, session, { message = false } = {}) {
+  const refusal = rateLimiter.consume(session.clientKey, { message });
+  if (!refusal) {
+    return null;
+  }
+  logger.warn(`Rate limited ${session.clientKey}: ${refusal.message}`);
+  return rpcError(id, ERROR_CODES.RATE_LIMITED, refusal.message, {
+    limit: refusal.limit,
+    max: refusal.max,
+    retryAfter: refusal.retryAfter
+  });
+}
+
+// Prometheus metrics, served at /metrics
+const metrics = createBridgeMetrics();
+
+// Model ids, tool names and check names are qualified with the workspace when there are several
+let naming;
+
+// Clients, agents and conversations of each workspace (see lib/dust-workspace.js)
+let workspaces;
+// Chats without a workspace-qualified model go to this workspace's default agent
+let defaultWorkspace;
+
+// The workspace of a short id, or of a Dust workspace sId (as found in dust:// URIs)
+function workspaceById(id) {
+  return workspaces.find(workspace => workspace.id === id) || null;
+}
+
+function workspaceByDustId(workspaceId) {
+  return workspaces.find(workspace => workspace.workspaceId === workspaceId) || null;
+}
+
+// Local record of MCP sessions and their Dust conversations
+let sessionStore;
+
+// Whether a principal may use an agent of a workspace; token allowlists may name agents with their workspace
+function mayUseAgent(principal, workspace, agent) {
+  return canUseAgent(principal, agent, (candidate, ref) => naming.matchesAgentRef(workspace.id, candidate, ref));
+}
+
+// List the agents this server exposes in a workspace, after applying its allow and deny lists
+// With a principal, only the agents its token may use
+async function listExposedAgents(workspace, principal = null) {
+  const agents = await workspace.listExposedAgents();
+  return agents.filter(agent => mayUseAgent(principal, workspace, agent));
+}
+
+// Exposed agents of every workspace, as { workspace, agent } entries
+async function listAllExposedAgents(principal = null) {
+  const perWorkspace = await Promise.all(workspaces.map(async workspace => (
+    (await listExposedAgents(workspace, principal)).map(agent => ({ workspace, agent }))
+  )));
+  return perWorkspace.flat();
+}
+
+// Model id of an agent: its sId, qualified with the workspace when there are several
+function modelIdOf(workspace, agent) {
+  return naming.qualify(workspace.id, agentIdOf(agent));
+}
+
+// Describe an agent as a model for getModels and the server metadata
+function modelOf({ workspace, agent }) {
+  return modelFromAgent(agent, {
+    id: modelIdOf(workspace, agent),
+    workspace: naming.qualified ? workspace.id : undefined
+  });
+}
+
+// Model of the default agent, the one chats without a model go to
+let defaultModel;
+
+// Resolve the agent a chat request targets: the requested model, or the default agent
+// Returns { workspace, agent }, or null when the agent does not exist, is not exposed or is not active
+function resolveAgent(model) {
+  return resolveWorkspaceAgent({ workspaces, defaultWorkspace, naming }, model);
+}
+
+// Record a finished exchange in the session store, under the agent's model id and the caller's principal
+// Failures are only logged: losing history must never fail the chat itself
+async function recordExchange({ sessionId, principal, conversationId, workspace, agent, userMessageId, userContent, agentMessageId, agentContent }) {
   try {
-    logger.debug(`Adding message to conversation ${conversationId}:`, message);
-    
-    // Construct the payload with the correct format for Dust API
-    // The context MUST be an object with username and timezone fields according to API validation
-    const payload = { 
-      content: message.content,
-      mentions: [],
-      context: {
-        username: config.username || 'default_user',
-        timezone: config.timezone || 'UTC'
-      }
-    };
-    
-    // Log the exact payload we're sending to ensure it's correct
-    logger.debug('Sending payload to Dust API: ' + JSON.stringify(payload));
-    
-    const response = await dustApi.post(
-      `/api/v1/w/${config.workspaceId}/assistant/conversations/${conversationId}/messages`,
-      payload
+    await sessionStore.append(
+      conversationId,
+      { sessionId, ownerId: principal ? principal.id : null, agentId: modelIdOf(workspace, agent), agentName: agent.name },
+      [
+        { role: 'user', messageId: userMessageId, content: userContent },
+        { role: 'assistant', messageId: agentMessageId, content: agentContent }
+      ]
     );
-    
-    logger.debug('Message added successfully');
-    return response.data;
   } catch (error) {
-    logger.error(`Error posting message to conversation ${conversationId}:`, error);
-    if (error.response && error.response.data) {
-      logger.error('Dust API error response:', error.response.data);
-    }
-    throw new Error(`Failed to post message: ${error.message}`);
+    logger.error(`Error recording conversation ${conversationId} in the session store:`, error);
   }
 }
 
-// Create a new Dust run with streaming
-async function createDustRun(messages) {
-  // The last message is the user message
-  const userMessage = messages[messages.length - 1];
+// Whether a principal may see a recorded conversation: one it started, with an agent it may still use
+// Without a principal (auth disabled, stdio) every conversation is visible
+function mayAccessConversation(principal, record) {
+  if (!principal) {
+    return true;
+  }
+  if (record.ownerId !== principal.id) {
+    return false;
+  }
+  const { workspace: workspaceId, ref: agentId } = naming.split(record.agentId || '');
+  const recordedAgent = { sId: agentId, name: record.agentName };
+  return canUseAgent(principal, recordedAgent, (candidate, ref) => naming.matchesAgentRef(workspaceId || defaultWorkspace.id, candidate, ref));
+}
+
+// The recorded conversation of an id if the principal may access it, else null
+async function accessibleConversation(principal, conversationId) {
+  const record = await sessionStore.get(conversationId);
+  return record && mayAccessConversation(principal, record) ? record : null;
+}
+
+// Error message for a chat continuing a conversation the principal may not access, or null
+// Authenticated callers may only continue the conversations recorded for them
+async function conversationAccessError(principal, conversationId) {
+  if (!conversationId || !principal || await accessibleConversation(principal, conversationId)) {
+    return null;
+  }
+  return `Conversation ${conversationId} not found`;
+}
+
+// Check the params shared by streaming and blocking chat, returning an error message or null
+function validateChatParams(params) {
+  const { messages, conversationId, model } = params || {};
   
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return 'messages must be a non-empty array';
+  }
+  if (messages.some(message => !message || typeof message.content !== 'string')) {
+    return 'every message needs a string content';
+  }
+  if (conversationId !== undefined && (typeof conversationId !== 'string' || !conversationId)) {
+    return 'conversationId must be a non-empty string';
+  }
+  if (model !== undefined && typeof model !== 'string') {
+    return 'model must be a string';
+  }
+  return validateActivityEvents(params.events);
+}
+
+// Create MCP endpoints for the server
+
+// Endpoint for MCP server metadata
+app.get('/mcp', requireAuth, async (req, res) => {
   try {
-    console.log('Creating conversation with Dust assistant');
-    console.log('Assistant ID:', config.agentId);
-    console.log('Workspace ID:', config.workspaceId);
-    
-    // Create a new conversation first
-    const conversation = await createDustConversation();
-    console.log(`Created conversation with ID: ${conversation.conversation.sId}`);
-    const conversationId = conversation.conversation.sId;
-    
-    // Add context messages (all but the last one which is from the user)
-    if (messages.length > 1) {
-      for (let i = 0; i < messages.length - 1; i++) {
-        const contextMessage = messages[i];
-        await addDustMessage(conversationId, contextMessage);
-        console.log(`Added context message ${i + 1}/${messages.length - 1}`);
+    const agents = await listAllExposedAgents(req.principal);
+    res.json({
+      jsonrpc: '2.0',
+      result: {
+        name: config.mcpName,
+        description: 'A Model Context Protocol server for Dust.tt',
+        vendor: {
+          name: config.fullName || 'Dust User',
+        },
+        models: agents.map(modelOf),
+        defaultModel,
+        protocolVersions: SUPPORTED_PROTOCOL_VERSIONS,
+        methods: RPC_METHODS
       }
+    });
+  } catch (error) {
+    logger.error('Error listing agents for server metadata:', error);
+    res.status(500).json(rpcError(null, ERROR_CODES.SERVER_ERROR, `Failed to list agents: ${error.message}`));
+  }
+});
+
+// Stream the Dust assistant response
+app.get('/mcp/stream', requireAuth, async (req, res) => {
+  try {
+    // The run is cancelled when the client disconnects or calls chat.cancel with this request id,
+    // the one set as X-Request-Id (and carried by log lines) by the middleware above
+    const requestId = res.getHeader('X-Request-Id');
+    const startedAt = Date.now();
+    logger.info('Received stream request');
+    if (inflightRequests.has(STREAM_SCOPE, requestId)) {
+      res.status(409).json(rpcError(null, ERROR_CODES.INVALID_REQUEST, `A stream with request id ${requestId} is already running`));
+      return;
+    }
+    
+    // Parse the request query parameters
+    const method = req.query.method;
+    let params;
+    try {
+      params = JSON.parse(req.query.params || '{}');
+    } catch (error) {
+      logger.warn(`Malformed stream params: ${error.message}`);
+      res.status(400).json(rpcError(null, ERROR_CODES.PARSE_ERROR, `Parse error: params is not valid JSON (${error.message})`));
+      return;
+    }
+    logger.info(`Parsed method: ${method}`);
+    logger.debug('Parsed params:', params);
+    
+    if (method !== 'chat') {
+      logger.warn(`Method ${method} not supported for streaming`);
+      res.status(400).json(rpcError(null, ERROR_CODES.METHOD_NOT_FOUND, `Method ${method} not supported`));
+      return;
     }
     
-    // Now add the user message and run the model
-    console.log('Posting user message and running model...');
+    // Convert the messages to Dust format
+    const { messages, conversationId: existingConversationId } = params;
     
-    // Add the user message
-    const message = await addDustMessage(conversationId, userMessage);
-    console.log('Message posted, creating run...');
+    const paramsError = validateChatParams(params);
+    if (paramsError) {
+      logger.error(`Invalid chat params: ${paramsError}`);
+      res.status(400).json(rpcError(null, ERROR_CODES.INVALID_PARAMS, `Invalid params: ${paramsError}`));
+      return;
+    }
     
-    // Create and start a run to process the message
+    logger.info(`Chat request with ${messages.length} messages${existingConversationId ? ` in conversation ${existingConversationId}` : ''}`);
+    
+    // Route the request to the agent (and workspace) selected by the model param
+    const resolved = await resolveAgent(params.model);
+    if (!resolved) {
+      logger.warn(`Unknown or hidden model: ${params.model || defaultModel}`);
+      res.status(400).json(rpcError(null, ERROR_CODES.INVALID_PARAMS, `Invalid params: unknown model ${params.model || defaultModel}`));
+      return;
+    }
+    const { workspace, agent } = resolved;
+    if (!mayUseAgent(req.principal, workspace, agent)) {
+      logger.warn(`${req.principal.id} may not use agent ${agent.name}`);
+      res.status(403).json(rpcError(null, ERROR_CODES.FORBIDDEN, `Forbidden: this token may not use @${agent.name}`));
+      return;
+    }
+    const conversationError = await conversationAccessError(req.principal, existingConversationId);
+    if (conversationError) {
+      logger.warn(`${req.principal.id} may not continue conversation ${existingConversationId}`);
+      res.status(400).json(rpcError(null, ERROR_CODES.INVALID_PARAMS, `Invalid params: ${conversationError}`));
+      return;
+    }
+    
+    let attachments;
     try {
-      // Try with the format: /api/v1/w/{workspaceId}/assistant/conversations/{conversationId}/runs
-      const runResponse = await dustApi.post(
-        `/api/v1/w/${config.workspaceId}/assistant/conversations/${conversationId}/runs`,
-        {
-          assistant: config.agentId,
-          stream: false,
-          blocking: true
-        }
+      attachments = await loadChatAttachments(params.attachments);
+    } catch (error) {
+      if (!error.invalidParams) {
+        throw error;
+      }
+      res.status(400).json(rpcError(null, ERROR_CODES.INVALID_PARAMS, `Invalid params: ${error.message}`));
+      return;
+    }
+    
+    // A stream counts as a chat message and holds one of the client's stream slots until it closes
+    const streamClient = clientKey(req.principal, req.ip);
+    const slot = rateLimiter.acquireStream(streamClient);
+    const refusal = slot.refusal || rateLimiter.consume(streamClient, { message: true });
+    if (refusal) {
+      if (slot.release) {
+        slot.release();
+      }
+      logger.warn(`Rate limited ${streamClient}: ${refusal.message}`);
+      res.setHeader('Retry-After', String(refusal.retryAfter));
+      res.status(429).json(rpcError(null, ERROR_CODES.RATE_LIMITED, refusal.message, {
+        limit: refusal.limit,
+        max: refusal.max,
+        retryAfter: refusal.retryAfter
+      }));
+      return;
+    }
+    res.on('close', slot.release);
+    
+    // Only now that the request is accepted does the response become an event stream:
+    // refusals above are plain JSON, which clients tell apart by the Content-Type
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    
+    // Helper function to send SSE data
+    const sendEvent = (data) => {
+      logger.debug('Sending SSE event:', data);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    };
+    
+    metrics.activeStreams.inc();
+    res.on('close', () => metrics.activeStreams.dec());
+    
+    // Latency metrics of this chat, labelled with its agent
+    const observeFirstToken = () => {
+      metrics.chatFirstToken.observe({ agent: modelIdOf(workspace, agent) }, (Date.now() - startedAt) / 1000);
+    };
+    const observeChat = (status) => {
+      metrics.chatDuration.observe({ agent: modelIdOf(workspace, agent), mode: 'stream', status }, (Date.now() - startedAt) / 1000);
+    };
+    
+    const disconnect = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        logger.info(`Stream client for request ${requestId} disconnected`);
+        disconnect.abort();
+      }
+    });
+    const cancel = inflightRequests.start(STREAM_SCOPE, requestId, disconnect.signal);
+    
+    try {
+      // Post the message in Dust and start streaming the response
+      const { conversationId, userMessageId, agentMessageId, attachments: attached } = await workspace.createRun(
+        messages,
+        agentIdOf(agent),
+        existingConversationId,
+        attachments
       );
       
-      const runId = runResponse.data.run.sId;
-      console.log(`Run created with ID: ${runId}`);
+      if (cancel.signal.aborted) {
+        await workspace.cancelMessage(conversationId, agentMessageId);
+        observeChat('cancelled');
+        res.end();
+        return;
+      }
       
-      return {
-        conversationId: conversationId,
-        runId: runId,
-        message: userMessage
+      // Helper for chat events of this response
+      const sendChatEvent = (payload) => {
+        sendEvent({
+          jsonrpc: '2.0',
+          method: 'chat',
+          params: {
+            id: agentMessageId,
+            conversationId,
+            ...payload
+          }
+        });
       };
+      
+      // Send the initial response event
+      sendChatEvent({ type: 'start', requestId, attachments: attached });
+      
+      // Activity events are only sent for the types this request opted in to
+      const activityEvents = selectActivityEvents(params.events, config.streamEvents);
+      const sendActivity = (activity) => {
+        if (activityEvents.has(activity.type)) {
+          sendChatEvent(activity);
+        }
+      };
+      
+      // Give up on the event stream once the configured timeout elapses
+      const timeoutController = new AbortController();
+      const timeout = setTimeout(() => timeoutController.abort(), config.timeout * 1000);
+      
+      let result;
+      let streamed = false;
+      try {
+        result = await workspace.streamAnswer({
+          conversationId,
+          userMessageId,
+          signal: AbortSignal.any([cancel.signal, timeoutController.signal]),
+          onDelta: (delta) => {
+            if (!streamed) {
+              observeFirstToken();
+            }
+            streamed = true;
+            sendChatEvent({ type: 'delta', delta, role: 'assistant' });
+          },
+          onActivity: sendActivity
+        });
+      } catch (streamError) {
+        if (cancel.signal.aborted) {
+          result = { status: 'cancelled', error: cancel.signal.reason.message };
+        } else if (timeoutController.signal.aborted) {
+          logger.error('Event stream timed out');
+          result = { status: 'failed', error: 'Request timed out', timedOut: true };
+        } else {
+          // Fall back to polling the conversation until the agent message is done
+          logger.warn(`Event stream unavailable (${streamError.message}), falling back to polling`);
+          try {
+            const agentMessage = await workspace.waitForAgentMessage(conversationId, userMessageId, { signal: cancel.signal });
+            // Polling only sees finished actions, reported as results
+            for (const action of agentMessage.actions || []) {
+              sendActivity({ type: 'action_result', action: describeAction(action, { withOutput: true }) });
+            }
+            result = agentMessage.status === 'succeeded'
+              ? { status: 'succeeded', content: agentMessage.content || '', messageId: agentMessage.sId, polled: true }
+              : { status: 'failed', error: agentMessage.error ? agentMessage.error.message : 'Run failed' };
+          } catch (pollError) {
+            if (pollError.cancelled) {
+              result = { status: 'cancelled', error: pollError.message };
+            } else {
+              logger.error('Error polling agent message:', pollError);
+              result = { status: 'failed', error: pollError.message };
+            }
+          }
+        }
+      } finally {
+        clearTimeout(timeout);
+      }
+      
+      if (result.status === 'cancelled') {
+        await workspace.cancelMessage(conversationId, agentMessageId);
+        observeChat('cancelled');
+        if (!disconnect.signal.aborted) {
+          sendChatEvent({ type: 'cancelled', reason: result.error });
+        }
+        res.end();
+        return;
+      }
+      
+      if (result.status !== 'succeeded') {
+        observeChat(result.timedOut ? 'timeout' : 'failed');
+        sendChatEvent({ type: 'error', error: result.error || 'Run failed' });
+        res.end();
+        return;
+      }
+      
+      // Polled answers (and streams that produced no tokens) arrive as one content event
+      if (result.polled || !streamed) {
+        if (!streamed) {
+          observeFirstToken();
+        }
+        sendChatEvent({ type: 'content', content: result.content, role: 'assistant' });
+      }
+      
+      await recordExchange({
+        sessionId: null,
+        principal: req.principal,
+        conversationId,
+        workspace,
+        agent,
+        userMessageId,
+        userContent: messages[messages.length - 1].content,
+        agentMessageId: result.messageId || agentMessageId,
+        agentContent: result.content
+      });
+      
+      // The end event always carries the complete answer
+      logger.info('Sending completion event');
+      sendChatEvent({ type: 'end', content: result.content });
+      observeChat('succeeded');
+      res.end();
+      
     } catch (error) {
-      console.error('Error creating run:', error.message);
-      throw new Error(`Failed to create run: ${error.message}`);
+      logger.error('Error in chat request:', error);
+      observeChat('error');
+      sendEvent({
+        jsonrpc: '2.0',
+        method: 'chat',
+        params: {
+          type: 'error',
+          error: `Error: ${error.message}`
+        }
+      });
+      res.end();
+    } finally {
+      inflightRequests.finish(STREAM_SCOPE, requestId);
+    }
+    
+  } catch (error) {
+    logger.error('Error setting up stream:', error);
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    // A stream is a GET without a JSON-RPC id: errors answer with id null, like the refusals above
+    res.status(500).json(rpcError(null, ERROR_CODES.SERVER_ERROR, error.message || 'Internal server error'));
+  }
+});
+
+// MCP sessions opened over HTTP, keyed by the Mcp-Session-Id header
+// Sessions idle for config.sessionIdleTimeoutMs are swept away by sweepHttpSessions
+const httpSessions = new Map();
+
+// Forget the HTTP sessions idle for too long; sessions with a request running are kept
+function sweepHttpSessions(now = Date.now()) {
+  for (const [sessionId, session] of httpSessions) {
+    if (session.activeRequests === 0 && now - session.lastActiveAt >= config.sessionIdleTimeoutMs) {
+      httpSessions.delete(sessionId);
+      logger.info(`Expired MCP session ${sessionId} after ${Math.round((now - session.lastActiveAt) / 1000)}s idle`);
+    }
+  }
+}
+
+// Running requests that chat.cancel and notifications/cancelled can stop
+// RPC requests are scoped by session id, streams by STREAM_SCOPE and their own request id
+const inflightRequests = createInflightRegistry();
+const STREAM_SCOPE = 'stream';
+
+// Handle the initialize handshake: negotiate the protocol version and declare capabilities
+function handleInitialize(id, params, session) {
+  if (!params || typeof params.protocolVersion !== 'string') {
+    return rpcError(id, ERROR_CODES.INVALID_PARAMS, 'Invalid params: protocolVersion is required');
+  }
+  
+  const protocolVersion = negotiateProtocolVersion(params.protocolVersion);
+  if (protocolVersion !== params.protocolVersion) {
+    logger.warn(`Client requested unsupported protocol version ${params.protocolVersion}, offering ${protocolVersion}`);
+  }
+  
+  session.initialized = true;
+  session.protocolVersion = protocolVersion;
+  session.clientInfo = params.clientInfo || null;
+  session.clientCapabilities = params.capabilities || {};
+  
+  const clientName = session.clientInfo ? `${session.clientInfo.name} ${session.clientInfo.version || ''}`.trim() : 'unknown client';
+  logger.info(`Initialized MCP session ${session.id} with ${clientName} (protocol ${protocolVersion})`);
+  
+  return rpcResult(id, {
+    protocolVersion,
+    capabilities: SERVER_CAPABILITIES,
+    serverInfo: {
+      name: config.mcpName,
+      version: packageInfo.version
+    },
+    instructions: naming.qualified
+      ? `Bridge to the Dust.tt agents of workspaces ${workspaces.map(workspace => `${workspace.id} (${workspace.name})`).join(', ')}. Model ids and tool names start with the workspace.`
+      : `Bridge to the Dust.tt agents of workspace ${defaultWorkspace.workspaceId}.`
+  });
+}
+
+// Current agent tools of every workspace: active agents allowed by the allow and deny lists
+// Names are built from every exposed agent so they do not depend on the token's allowlist
+// Returns { tool, agent, workspace } entries
+async function listAgentTools(principal = null) {
+  const perWorkspace = await Promise.all(workspaces.map(async (workspace) => {
+    const agents = await listExposedAgents(workspace);
+    const tools = buildAgentTools(agents.filter(agent => !agent.status || agent.status === 'active'), {
+      namePrefix: naming.toolPrefix(workspace.id),
+      workspaceName: naming.qualified ? workspace.name : undefined
+    });
+    return tools.map(agentTool => ({ ...agentTool, workspace }));
+  }));
+  return perWorkspace.flat().filter(({ workspace, agent }) => mayUseAgent(principal, workspace, agent));
+}
+
+// Knowledge tools listed before the agent tools, with a workspace argument when there are several
+// Reading local files is only allowed when the server runs on the user's machine over stdio
+function knowledgeTools() {
+  const tools = useStdio
+    ? [SEARCH_TOOL, UPSERT_DOCUMENT_TOOL, UPLOAD_FILE_TOOL, DELETE_DOCUMENT_TOOL]
+    : [SEARCH_TOOL, UPSERT_DOCUMENT_TOOL, DELETE_DOCUMENT_TOOL];
+  if (!naming.qualified) {
+    return tools;
+  }
+  const ids = workspaces.map(workspace => workspace.id);
+  return tools.map(tool => withWorkspaceArgument(tool, ids, defaultWorkspace.id));
+}
+
+// Workspace of a search or document call: its workspace argument, else the workspace of the
+// dust:// URIs it names, else the default workspace
+// Throws an error flagged with invalidParams for an unknown workspace
+function workspaceForKnowledgeCall(args) {
+  if (args.workspace !== undefined) {
+    const workspace = workspaceById(args.workspace);
+    if (!workspace) {
+      const error = new Error(`unknown workspace ${args.workspace}`);
+      error.invalidParams = true;
+      throw error;
     }
+    return workspace;
+  }
+  const refs = [args.dataSource, ...(Array.isArray(args.dataSources) ? args.dataSources : [])];
+  for (const ref of refs) {
+    const parsed = parseDustUri(ref);
+    if (parsed && workspaceByDustId(parsed.workspaceId)) {
+      return workspaceByDustId(parsed.workspaceId);
+    }
+  }
+  return defaultWorkspace;
+}
+
+// tools/list: the knowledge tools and one tool per Dust agent
+async function handleToolsList(id, session) {
+  const agentTools = await listAgentTools(session.principal);
+  return rpcResult(id, {
+    tools: [...knowledgeTools(), ...agentTools.map(({ tool }) => tool)]
+  });
+}
+
+// Tool result for a Dust call that failed: tool execution errors go in the result, so the model sees them
+// Carries Dust's own message, and its HTTP status and error type when Dust answered
+function dustToolError(id, error, action) {
+  const status = error.response ? error.response.status : undefined;
+  const dustError = error.response && error.response.data && error.response.data.error;
+  const reason = dustError && dustError.message ? dustError.message : error.message;
+  return rpcResult(id, {
+    content: [{ type: 'text', text: `${status ? 'Dust rejected' : 'Dust failed'} ${action}: ${reason}` }],
+    structuredContent: { error: { message: reason, status, type: dustError ? dustError.type : undefined } },
+    isError: true
+  });
+}
+
+// dust_upsert_document, dust_upload_file and dust_delete_document
+async function handleDocumentToolCall(id, name, args) {
+  const operations = {
+    [UPSERT_DOCUMENT_TOOL.name]: { run: 'upsert', action: 'the document' },
+    [UPLOAD_FILE_TOOL.name]: { run: 'uploadFile', action: 'the upload' },
+    [DELETE_DOCUMENT_TOOL.name]: { run: 'remove', action: 'the deletion' }
+  };
+  const { run, action } = operations[name];
+  
+  let result;
+  try {
+    const { documents } = workspaceForKnowledgeCall(args);
+    result = await documents[run](args);
   } catch (error) {
-    console.error('Error in conversation flow:', error.message);
+    if (error.invalidParams) {
+      return rpcError(id, ERROR_CODES.INVALID_PARAMS, `Invalid params: ${error.message}`);
+    }
+    logger.error(`Error calling tool ${name}:`, error);
+    return dustToolError(id, error, action);
+  }
+  
+  const summary = result.deleted
+    ? `Deleted ${result.documentId} from ${result.dataSource}.`
+    : `Stored ${result.documents.length} document(s) in ${result.dataSource}:\n` +
+      result.documents.map(document => `- ${document.documentId} (${document.bytes} bytes) ${document.uri}`).join('\n') +
+      (result.removedParts && result.removedParts.length > 0 ? `\nDeleted parts left from an earlier upload: ${result.removedParts.join(', ')}` : '');
+  
+  return rpcResult(id, {
+    content: [{ type: 'text', text: summary }],
+    structuredContent: result,
+    isError: false
+  });
+}
+
+// Run a search for the search method and the dust_search tool
+// Returns { error } with a message for invalid params, or { result }
+async function runSearch(params) {
+  const paramsError = validateSearchParams(params);
+  if (paramsError) {
+    return { error: paramsError };
+  }
+  try {
+    const { search } = workspaceForKnowledgeCall(params);
+    return { result: await search.search(params) };
+  } catch (error) {
+    if (error.invalidParams) {
+      return { error: error.message };
+    }
     throw error;
   }
 }
 
-// Create MCP endpoints for the server
+// dust_search tool: ranked chunks as text, with the full results as structured content
+async function handleSearchToolCall(id, args) {
+  let outcome;
+  try {
+    outcome = await runSearch(args);
+  } catch (searchError) {
+    logger.error(`Error calling tool ${SEARCH_TOOL.name}:`, searchError);
+    return dustToolError(id, searchError, 'the search');
+  }
+  const { error, result } = outcome;
+  if (error) {
+    return rpcError(id, ERROR_CODES.INVALID_PARAMS, `Invalid params: ${error}`);
+  }
+  return rpcResult(id, {
+    content: [{ type: 'text', text: formatSearchResults(result) }],
+    structuredContent: result,
+    isError: false
+  });
+}
 
-// Endpoint for MCP server metadata
-app.get('/mcp', (req, res) => {
-  res.json({
-    jsonrpc: '2.0',
-    result: {
-      name: process.env.MCP_NAME || 'Dust MCP Server JS',
-      description: 'A Model Context Protocol server for Dust.tt',
-      vendor: {
-        name: process.env.DUST_FULLNAME || 'Dust User',
-      },
-      models: [
-        {
-          id: process.env.DUST_AGENT_ID,
-          name: process.env.DUST_AGENT_NAME || 'SystemsThinking',
-          description: `Agent from the ${process.env.DUST_WORKSPACE_NAME || 'WorkwithAI_Launchpad'} workspace`,
-          capabilities: {
-            chat: true,
-            streaming: true,
-          }
-        }
+// tools/call: run the agent behind the tool and return its answer as content blocks
+async function handleToolsCall(id, params, session, signal) {
+  const { name, arguments: args = {} } = params || {};
+  
+  const isKnowledgeTool = knowledgeTools().some(tool => tool.name === name);
+  if (isKnowledgeTool) {
+    const limited = rateLimitError(id, session);
+    if (limited) {
+      return limited;
+    }
+  }
+  if (name === SEARCH_TOOL.name) {
+    return handleSearchToolCall(id, args);
+  }
+  if (isKnowledgeTool) {
+    return handleDocumentToolCall(id, name, args);
+  }
+  
+  const agentTools = await listAgentTools();
+  const match = agentTools.find(({ tool }) => tool.name === name);
+  if (!match) {
+    return rpcError(id, ERROR_CODES.INVALID_PARAMS, `Unknown tool: ${name}`);
+  }
+  if (!mayUseAgent(session.principal, match.workspace, match.agent)) {
+    return rpcError(id, ERROR_CODES.FORBIDDEN, `Forbidden: this token may not use @${match.agent.name}`);
+  }
+  if (typeof args.message !== 'string' || !args.message.trim()) {
+    return rpcError(id, ERROR_CODES.INVALID_PARAMS, 'Invalid params: message must be a non-empty string');
+  }
+  if (args.conversationId !== undefined && typeof args.conversationId !== 'string') {
+    return rpcError(id, ERROR_CODES.INVALID_PARAMS, 'Invalid params: conversationId must be a string');
+  }
+  const conversationError = await conversationAccessError(session.principal, args.conversationId);
+  if (conversationError) {
+    return rpcError(id, ERROR_CODES.INVALID_PARAMS, `Invalid params: ${conversationError}`);
+  }
+  const limited = rateLimitError(id, session, { message: true });
+  if (limited) {
+    return limited;
+  }
+  
+  const { workspace, agent } = match;
+  try {
+    const { conversationId, userMessageId, agentMessage } = await workspace.ask({
+      agentId: agentIdOf(agent),
+      messages: [{ role: 'user', content: args.message }],
+      conversationId: args.conversationId,
+      signal
+    });
+    
+    await recordExchange({
+      sessionId: session.id,
+      principal: session.principal,
+      conversationId,
+      workspace,
+      agent,
+      userMessageId,
+      userContent: args.message,
+      agentMessageId: agentMessage.sId,
+      agentContent: agentMessage.content || ''
+    });
+    
+    const structuredContent = {
+      conversationId,
+      messageId: agentMessage.sId,
+      agent: { id: modelIdOf(workspace, agent), name: agent.name },
+      status: agentMessage.status
+    };
+    
+    // Tool execution errors are reported in the result so the model can see them
+    if (agentMessage.status !== 'succeeded') {
+      const reason = agentMessage.error ? agentMessage.error.message : `Agent message ${agentMessage.status}`;
+      return rpcResult(id, {
+        content: [{ type: 'text', text: `@${agent.name} failed to answer: ${reason}` }],
+        structuredContent,
+        isError: true
+      });
+    }
+    
+    return rpcResult(id, {
+      content: [
+        { type: 'text', text: agentMessage.content || '' },
+        { type: 'text', text: `Dust conversation: ${conversationId} (pass it as conversationId to continue)` }
       ],
-      methods: ['chat', 'getModels']
+      structuredContent,
+      isError: false
+    });
+  } catch (error) {
+    if (error.cancelled) {
+      return cancelledRpcError(id, error);
+    }
+    logger.error(`Error calling tool ${name}:`, error);
+    return rpcResult(id, {
+      content: [{ type: 'text', text: `Error calling @${agent.name}: ${error.message}` }],
+      isError: true
+    });
+  }
+}
+
+// conversations/list: the caller's recorded conversations, most recent first, paginated with an opaque cursor
+async function handleConversationsList(id, params, session) {
+  const { limit = 50, cursor } = params || {};
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    return rpcError(id, ERROR_CODES.INVALID_PARAMS, 'Invalid params: limit must be an integer between 1 and 500');
+  }
+  const offset = cursor ? parseInt(Buffer.from(String(cursor), 'base64').toString('utf8'), 10) : 0;
+  if (!Number.isInteger(offset) || offset < 0) {
+    return rpcError(id, ERROR_CODES.INVALID_PARAMS, 'Invalid params: invalid cursor');
+  }
+  
+  const { total, conversations } = await sessionStore.list({
+    limit,
+    offset,
+    filter: record => mayAccessConversation(session.principal, record)
+  });
+  const result = { conversations, total };
+  if (offset + conversations.length < total) {
+    result.nextCursor = Buffer.from(String(offset + conversations.length)).toString('base64');
+  }
+  return rpcResult(id, result);
+}
+
+// conversations/get and conversations/delete take the Dust conversation sId
+function conversationIdParam(params) {
+  const conversationId = params && params.conversationId;
+  return typeof conversationId === 'string' && conversationId ? conversationId : null;
+}
+
+// conversations/get: one recorded conversation with its full message history
+async function handleConversationsGet(id, params, session) {
+  const conversationId = conversationIdParam(params);
+  if (!conversationId) {
+    return rpcError(id, ERROR_CODES.INVALID_PARAMS, 'Invalid params: conversationId is required');
+  }
+  // Conversations of other callers are not found, rather than forbidden, so their ids stay private
+  const record = await accessibleConversation(session.principal, conversationId);
+  if (!record) {
+    return rpcError(id, ERROR_CODES.INVALID_PARAMS, `Conversation ${conversationId} not found`);
+  }
+  return rpcResult(id, record);
+}
+
+// conversations/delete: forget a conversation locally (the Dust conversation itself is kept)
+async function handleConversationsDelete(id, params, session) {
+  const conversationId = conversationIdParam(params);
+  if (!conversationId) {
+    return rpcError(id, ERROR_CODES.INVALID_PARAMS, 'Invalid params: conversationId is required');
+  }
+  const record = await accessibleConversation(session.principal, conversationId);
+  if (!record || !await sessionStore.delete(conversationId)) {
+    return rpcError(id, ERROR_CODES.INVALID_PARAMS, `Conversation ${conversationId} not found`);
+  }
+  logger.info(`Deleted conversation ${conversationId} from the session store`);
+  return rpcResult(id, { deleted: true, conversationId });
+}
+
+// Error response of a request cancelled by the client, pointing at the Dust conversation if any
+function cancelledRpcError(id, error) {
+  const data = error.conversationId
+    ? { conversationId: error.conversationId, messageId: error.agentMessageId }
+    : undefined;
+  return rpcError(id, ERROR_CODES.REQUEST_CANCELLED, error.message, data);
+}
+
+// chat.cancel: stop a running chat or agent tool call of this session, or a stream, by request id
+function handleChatCancel(id, params, session) {
+  const { requestId, reason } = params || {};
+  if (typeof requestId !== 'string' && typeof requestId !== 'number') {
+    return rpcError(id, ERROR_CODES.INVALID_PARAMS, 'Invalid params: requestId must be a string or a number');
+  }
+  
+  const cancelled = inflightRequests.cancel(session.id, requestId, { reason })
+    || inflightRequests.cancel(STREAM_SCOPE, requestId, { reason });
+  logger.info(`chat.cancel for request ${requestId}: ${cancelled ? 'cancelled' : 'not running'}`);
+  return rpcResult(id, { cancelled });
+}
+
+// Check and load chat attachments; local paths are only read in stdio mode
+function loadChatAttachments(attachments) {
+  return loadAttachments(attachments, {
+    allowPaths: useStdio,
+    maxBytes: config.maxUploadBytes
+  });
+}
+
+// chat: wait for the agent to finish and return its complete answer
+// The deadline is MCP_TIMEOUT; a request may ask for a shorter one with params.timeout (seconds)
+async function handleChat(id, params, session, signal) {
+  const paramsError = validateChatParams(params);
+  if (paramsError) {
+    return rpcError(id, ERROR_CODES.INVALID_PARAMS, `Invalid params: ${paramsError}`);
+  }
+  
+  let timeoutSeconds = config.timeout;
+  if (params.timeout !== undefined) {
+    if (typeof params.timeout !== 'number' || params.timeout <= 0) {
+      return rpcError(id, ERROR_CODES.INVALID_PARAMS, 'Invalid params: timeout must be a positive number of seconds');
+    }
+    timeoutSeconds = Math.min(params.timeout, config.timeout);
+  }
+  
+  const resolved = await resolveAgent(params.model);
+  if (!resolved) {
+    return rpcError(id, ERROR_CODES.INVALID_PARAMS, `Invalid params: unknown model ${params.model || defaultModel}`);
+  }
+  const { workspace, agent } = resolved;
+  if (!mayUseAgent(session.principal, workspace, agent)) {
+    return rpcError(id, ERROR_CODES.FORBIDDEN, `Forbidden: this token may not use @${agent.name}`);
+  }
+  const conversationError = await conversationAccessError(session.principal, params.conversationId);
+  if (conversationError) {
+    return rpcError(id, ERROR_CODES.INVALID_PARAMS, `Invalid params: ${conversationError}`);
+  }
+  
+  let attachments;
+  try {
+    attachments = await loadChatAttachments(params.attachments);
+  } catch (error) {
+    if (error.invalidParams) {
+      return rpcError(id, ERROR_CODES.INVALID_PARAMS, `Invalid params: ${error.message}`);
+    }
+    throw error;
+  }
+  
+  const limited = rateLimitError(id, session, { message: true });
+  if (limited) {
+    return limited;
+  }
+  
+  const { messages } = params;
+  const startedAt = Date.now();
+  let answer;
+  try {
+    answer = await workspace.ask({
+      agentId: agentIdOf(agent),
+      messages,
+      conversationId: params.conversationId,
+      attachments,
+      timeoutMs: timeoutSeconds * 1000,
+      signal
+    });
+  } catch (error) {
+    if (error.cancelled) {
+      return cancelledRpcError(id, error);
+    }
+    if (error.timedOut) {
+      // The agent keeps running in Dust; the conversation can be fetched or continued later
+      return rpcError(id, ERROR_CODES.REQUEST_TIMEOUT, error.message, {
+        conversationId: error.conversationId,
+        messageId: error.agentMessageId
+      });
+    }
+    throw error;
+  }
+  
+  const { conversationId, userMessageId, agentMessage } = answer;
+  if (agentMessage.status !== 'succeeded') {
+    const reason = agentMessage.error ? agentMessage.error.message : `agent message ${agentMessage.status}`;
+    return rpcError(id, ERROR_CODES.SERVER_ERROR, `Agent failed to answer: ${reason}`, {
+      conversationId,
+      messageId: agentMessage.sId,
+      status: agentMessage.status
+    });
+  }
+  
+  await recordExchange({
+    sessionId: session.id,
+    principal: session.principal,
+    conversationId,
+    workspace,
+    agent,
+    userMessageId,
+    userContent: messages[messages.length - 1].content,
+    agentMessageId: agentMessage.sId,
+    agentContent: agentMessage.content || ''
+  });
+  
+  return rpcResult(id, {
+    conversationId,
+    model: modelIdOf(workspace, agent),
+    message: {
+      id: agentMessage.sId,
+      role: 'assistant',
+      content: agentMessage.content || ''
+    },
+    metadata: {
+      agentName: agent.name,
+      userMessageId,
+      attachments: answer.attachments,
+      status: agentMessage.status,
+      created: agentMessage.created,
+      durationMs: Date.now() - startedAt
+    }
+  });
+}
+
+// resources/list: data sources and documents, paginated with the cursor from the previous page
+// With several workspaces, they are listed one after the other and the cursor also tells which one
+async function handleResourcesList(id, params) {
+  const cursor = params && params.cursor;
+  try {
+    if (!naming.qualified) {
+      return rpcResult(id, await defaultWorkspace.resources.list(cursor));
+    }
+    
+    let position = { index: 0, cursor: undefined };
+    if (cursor) {
+      try {
+        position = JSON.parse(Buffer.from(String(cursor), 'base64').toString('utf8'));
+      } catch (error) {
+        position = null;
+      }
+      if (!position || !Number.isInteger(position.index) || !workspaces[position.index]) {
+        return rpcError(id, ERROR_CODES.INVALID_PARAMS, 'Invalid params: Invalid cursor');
+      }
+    }
+    const page = await workspaces[position.index].resources.list(position.cursor);
+    const next = page.nextCursor
+      ? { index: position.index, cursor: page.nextCursor }
+      : (position.index + 1 < workspaces.length ? { index: position.index + 1 } : null);
+    const result = { resources: page.resources };
+    if (next) {
+      result.nextCursor = Buffer.from(JSON.stringify(next)).toString('base64');
+    }
+    return rpcResult(id, result);
+  } catch (error) {
+    if (error.invalidParams) {
+      return rpcError(id, ERROR_CODES.INVALID_PARAMS, `Invalid params: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+// resources/read: the text of a document, or the document index of a data source
+async function handleResourcesRead(id, params) {
+  const uri = params && params.uri;
+  if (typeof uri !== 'string' || !uri) {
+    return rpcError(id, ERROR_CODES.INVALID_PARAMS, 'Invalid params: uri is required');
+  }
+  
+  // dust:// URIs name the Dust workspace they belong to
+  const parsed = parseDustUri(uri);
+  const workspace = parsed && workspaceByDustId(parsed.workspaceId);
+  if (!workspace) {
+    return rpcError(id, ERROR_CODES.RESOURCE_NOT_FOUND, 'Resource not found', { uri });
+  }
+  
+  try {
+    const result = await workspace.resources.read(uri);
+    if (!result) {
+      return rpcError(id, ERROR_CODES.RESOURCE_NOT_FOUND, 'Resource not found', { uri });
+    }
+    return rpcResult(id, result);
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return rpcError(id, ERROR_CODES.RESOURCE_NOT_FOUND, 'Resource not found', { uri });
+    }
+    throw error;
+  }
+}
+
+// Message of the last prompts file error logged, so a broken file is reported once, not on every request
+let promptsFileError = null;
+
+// User-defined prompt templates, read on every call so edits apply without a restart
+// A broken file is logged and leaves only the agent prompts
+async function loadUserPrompts() {
+  try {
+    const templates = await loadPromptTemplates(config.promptsFile);
+    promptsFileError = null;
+    return templates;
+  } catch (error) {
+    if (promptsFileError !== error.message) {
+      promptsFileError = error.message;
+      logger.error(`Ignoring the prompt templates until the file is fixed: ${error.message}`);
+    }
+    return [];
+  }
+}
+
+// All prompts: user-defined templates first, then one per exposed agent
+// A template whose name clashes with an agent prompt replaces it
+async function listPrompts(principal = null) {
+  const templates = await loadUserPrompts();
+  const agentTools = await listAgentTools(principal);
+  const templateNames = new Set(templates.map(template => template.name));
+  
+  return [
+    ...templates.map(template => ({
+      prompt: templatePrompt(template),
+      render: args => renderPromptTemplate(template, args)
+    })),
+    ...agentTools
+      .filter(({ tool }) => !templateNames.has(tool.name))
+      .map(agentTool => ({
+        prompt: agentPrompt(agentTool),
+        render: args => renderAgentPrompt(agentTool, args)
+      }))
+  ];
+}
+
+// prompts/list: agent prompts and user-defined templates
+async function handlePromptsList(id, session) {
+  const prompts = await listPrompts(session.principal);
+  return rpcResult(id, {
+    prompts: prompts.map(({ prompt }) => prompt)
+  });
+}
+
+// prompts/get: render a prompt with the given arguments
+async function handlePromptsGet(id, params, session) {
+  const { name, arguments: args = {} } = params || {};
+  if (typeof name !== 'string' || !name) {
+    return rpcError(id, ERROR_CODES.INVALID_PARAMS, 'Invalid params: name is required');
+  }
+  if (typeof args !== 'object' || args === null) {
+    return rpcError(id, ERROR_CODES.INVALID_PARAMS, 'Invalid params: arguments must be an object');
+  }
+  
+  const prompts = await listPrompts(session.principal);
+  const match = prompts.find(({ prompt }) => prompt.name === name);
+  if (!match) {
+    return rpcError(id, ERROR_CODES.INVALID_PARAMS, `Unknown prompt: ${name}`);
+  }
+  
+  const missing = missingArguments(match.prompt, args);
+  if (missing.length > 0) {
+    return rpcError(id, ERROR_CODES.INVALID_PARAMS, `Invalid params: missing required arguments ${missing.join(', ')}`);
+  }
+  
+  return rpcResult(id, match.render(args));
+}
+
+// search: same as the dust_search tool, returning the results as plain JSON
+async function handleSearch(id, params) {
+  const { error, result } = await runSearch(params);
+  if (error) {
+    return rpcError(id, ERROR_CODES.INVALID_PARAMS, `Invalid params: ${error}`);
+  }
+  return rpcResult(id, result);
+}
+
+// Methods answered by the server, also listed by GET /mcp
+const RPC_METHODS = ['initialize', 'ping', 'tools/list', 'tools/call', 'resources/list', 'resources/templates/list', 'resources/read', 'prompts/list', 'prompts/get', 'search', 'conversations/list', 'conversations/get', 'conversations/delete', 'chat', 'chat.cancel', 'usage/get', 'getModels'];
+const RPC_NOTIFICATIONS = ['notifications/initialized', 'notifications/cancelled'];
+
+// Metric label of a response: ok, accepted (notifications), or the error name, e.g. invalid_params
+function rpcStatusLabel(response) {
+  if (!response) {
+    return 'accepted';
+  }
+  if (!response.error) {
+    return 'ok';
+  }
+  const name = Object.keys(ERROR_CODES).find(key => ERROR_CODES[key] === response.error.code);
+  return name ? name.toLowerCase() : String(response.error.code);
+}
+
+// Dispatch a single JSON-RPC request and return the response object (null for notifications)
+// Shared by the HTTP endpoint and the stdio transport
+// signal, when given, aborts the request too (e.g. the HTTP client disconnected)
+async function handleRpcRequest(request, session, options) {
+  const startedAt = Date.now();
+  const requested = request && request.method;
+  // Unknown method names are grouped so clients cannot create unbounded label values
+  const method = RPC_METHODS.includes(requested) || RPC_NOTIFICATIONS.includes(requested) ? requested : 'unknown';
+  let status = 'exception';
+  try {
+    const response = await processRpcRequest(request, session, options);
+    status = rpcStatusLabel(response);
+    return response;
+  } finally {
+    metrics.rpcRequests.inc({ method, status });
+    metrics.rpcDuration.observe({ method }, (Date.now() - startedAt) / 1000);
+  }
+}
+
+async function processRpcRequest(request, session, { signal } = {}) {
+  const { id, method, params } = request || {};
+  
+  if (!request || request.jsonrpc !== '2.0' || typeof method !== 'string') {
+    return rpcError(id, ERROR_CODES.INVALID_REQUEST, 'Invalid Request');
+  }
+  
+  logger.addContext({ rpcMethod: method, rpcId: id });
+  logger.info(`Received RPC request: ${method}`);
+  logger.debug('Request params:', params);
+  
+  // Notifications never get a response
+  if (isNotification(request)) {
+    switch (method) {
+      case 'notifications/initialized':
+        if (session.initialized) {
+          session.ready = true;
+          logger.info(`MCP session ${session.id} is ready`);
+        } else {
+          logger.warn('Received notifications/initialized before initialize');
+        }
+        break;
+      case 'notifications/cancelled': {
+        // The cancelled request gets no response, as the MCP specification asks
+        const { requestId, reason } = params || {};
+        if (inflightRequests.cancel(session.id, requestId, { reason, silent: true })) {
+          logger.info(`Cancelled request ${requestId}${reason ? `: ${reason}` : ''}`);
+        } else {
+          logger.debug(`Ignoring cancellation of unknown or finished request ${requestId}`);
+        }
+        break;
+      }
+      default:
+        logger.debug(`Ignoring notification ${method}`);
+    }
+    return null;
+  }
+  
+  if (!session.initialized && !PRE_INITIALIZE_METHODS.includes(method)) {
+    logger.warn(`Rejecting ${method}: session not initialized`);
+    return rpcError(id, ERROR_CODES.NOT_INITIALIZED, 'Server not initialized: send initialize first');
+  }
+  
+  const controller = inflightRequests.start(session.id, id, signal);
+  try {
+    const response = await dispatchRpcMethod(id, method, params, session, controller.signal);
+    return inflightRequests.isSilenced(session.id, id) ? null : response;
+  } finally {
+    inflightRequests.finish(session.id, id);
+  }
+}
+
+// Run an RPC method; signal is aborted when the client cancels the request
+async function dispatchRpcMethod(id, method, params, session, signal) {
+  switch (method) {
+    case 'initialize': {
+      if (session.initialized) {
+        return rpcError(id, ERROR_CODES.INVALID_REQUEST, 'Session already initialized');
+      }
+      return handleInitialize(id, params, session);
+    }
+    
+    case 'ping': {
+      return rpcResult(id, {});
+    }
+    
+    case 'tools/list': {
+      return handleToolsList(id, session);
+    }
+    
+    case 'tools/call': {
+      return handleToolsCall(id, params, session, signal);
     }
-  });
-});
-
-// Stream the Dust assistant response
-app.get('/mcp/stream', async (req, res) => {
-  try {
-    logger.info('========== RECEIVED SSE REQUEST ==========');
-    logger.debug('Request query:', req.query);
     
-    // Set headers for SSE
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
+    case 'resources/list': {
+      return handleResourcesList(id, params);
+    }
     
-    // Helper function to send SSE data
-    const sendEvent = (data) => {
-      logger.debug('Sending SSE event:', data);
-      res.write(`data: ${JSON.stringify(data)}\n\n`);
-    };
+    case 'resources/templates/list': {
+      return rpcResult(id, defaultWorkspace.resources.templates());
+    }
     
-    // Parse the request query parameters
-    const method = req.query.method;
-    const params = JSON.parse(req.query.params || '{}');
-    logger.info(`Parsed method: ${method}`);
-    logger.debug('Parsed params:', params);
+    case 'resources/read': {
+      return handleResourcesRead(id, params);
+    }
     
-    if (method !== 'chat') {
-      logger.warn(`Method ${method} not supported for streaming`);
-      res.status(400).json({
-        jsonrpc: '2.0',
-        error: {
-          code: -32601,
-          message: `Method ${method} not supported`
-        },
-        id: null
-      });
-      return;
+    case 'prompts/list': {
+      return handlePromptsList(id, session);
     }
     
-    // Convert the messages to Dust format
-    const { messages } = params;
+    case 'prompts/get': {
+      return handlePromptsGet(id, params, session);
+    }
     
-    if (!messages || !Array.isArray(messages)) {
-      logger.error('Invalid messages format:', messages);
-      res.status(400).json({
-        jsonrpc: '2.0',
-        error: {
-          code: -32602,
-          message: 'Invalid params: messages must be an array'
-        },
-        id: null
-      });
-      return;
+    case 'search': {
+      return rateLimitError(id, session) || handleSearch(id, params);
     }
     
-    logger.info(`Chat request with ${messages.length} messages`);
+    case 'conversations/list': {
+      return handleConversationsList(id, params, session);
+    }
     
-    try {
-      // Create a new run in Dust and start streaming the response
-      const { conversationId, runId, message } = await createDustRun(messages);
-      logger.info(`Created run with ID ${runId} for conversation ${conversationId}`);
-      
-      // Send the initial response event
-      sendEvent({
-        jsonrpc: '2.0',
-        method: 'chat',
-        params: {
-          type: 'start',
-          id: runId,
-          conversationId: conversationId
-        }
-      });
-      
-      // Set up streaming of the run output
-      const pollInterval = 1000; // 1 second
-      const maxRetries = 60;     // 1 minute max
-      let retries = 0;
-      let contentSent = false;
-      
-      const checkRun = async () => {
-        try {
-          retries++;
-          logger.debug(`Polling run status (attempt ${retries}/${maxRetries})...`);
-          
-          // Get the run status
-          const runResponse = await dustApi.get(
-            `/api/v1/w/${config.workspaceId}/assistant/conversations/${conversationId}/runs/${runId}`
-          );
-          
-          const run = runResponse.data.run;
-          const status = run.status;
-          logger.debug(`Run status: ${status}`);
-          
-          // Handle different run statuses
-          if (status === 'completed') {
-            // If we haven't sent any content yet, get the message content
-            if (!contentSent) {
-              logger.info('Run completed, fetching assistant message...');
-              // Get the last message (the assistant's response)
-              const messagesResponse = await dustApi.get(
-                `/api/v1/w/${config.workspaceId}/assistant/conversations/${conversationId}/messages`
-              );
-              
-              const messages = messagesResponse.data.messages || [];
-              const assistantMessages = messages.filter(m => m.role === 'assistant');
-              
-              if (assistantMessages.length > 0) {
-                const lastMessage = assistantMessages[assistantMessages.length - 1];
-                logger.info(`Assistant response: ${lastMessage.content.substring(0, 100)}...`);
-                
-                // Send the content
-                sendEvent({
-                  jsonrpc: '2.0',
-                  method: 'chat',
-                  params: {
-                    type: 'content',
-                    id: runId,
-                    content: lastMessage.content,
-                    role: 'assistant',
-                    conversationId
-                  }
-                });
-                
-                contentSent = true;
-              } else {
-                logger.warn('No assistant messages found in the conversation');
-              }
-            }
-            
-            // Send completion event
-            logger.info('Sending completion event');
-            sendEvent({
-              jsonrpc: '2.0',
-              method: 'chat',
-              params: {
-                type: 'end',
-                id: runId,
-                conversationId
-              }
-            });
-            
-            // End the response
-            res.end();
-            return;
-          } else if (status === 'in_progress' || status === 'pending') {
-            // Continue polling
-            if (retries < maxRetries) {
-              setTimeout(checkRun, pollInterval);
-            } else {
-              // Max retries reached
-              logger.error('Max polling retries reached, timing out');
-              sendEvent({
-                jsonrpc: '2.0',
-                method: 'chat',
-                params: {
-                  type: 'error',
-                  id: runId,
-                  error: 'Request timed out',
-                  conversationId
-                }
-              });
-              res.end();
-            }
-          } else if (status === 'failed') {
-            // Run failed
-            logger.error('Run failed');
-            sendEvent({
-              jsonrpc: '2.0',
-              method: 'chat',
-              params: {
-                type: 'error',
-                id: runId,
-                error: 'Run failed',
-                conversationId
-              }
-            });
-            res.end();
-          }
-        } catch (error) {
-          logger.error('Error polling run status:', error);
-          sendEvent({
-            jsonrpc: '2.0',
-            method: 'chat',
-            params: {
-              type: 'error',
-              id: runId,
-              error: `Error: ${error.message}`,
-              conversationId
-            }
-          });
-          res.end();
-        }
-      };
-      
-      // Start the polling
-      setTimeout(checkRun, pollInterval);
-      
-    } catch (error) {
-      logger.error('Error in chat request:', error);
-      sendEvent({
-        jsonrpc: '2.0',
-        method: 'chat',
-        params: {
-          type: 'error',
-          error: `Error: ${error.message}`
-        }
-      });
-      res.end();
+    case 'conversations/get': {
+      return handleConversationsGet(id, params, session);
     }
     
-  } catch (error) {
-    logger.error('Error setting up stream:', error);
-    res.status(500).json({
-      jsonrpc: '2.0',
-      error: {
-        code: -32000,
-        message: error.message || 'Internal server error'
-      }
-    });
+    case 'conversations/delete': {
+      return handleConversationsDelete(id, params, session);
+    }
+    
+    case 'getModels': {
+      const agents = await listAllExposedAgents(session.principal);
+      return rpcResult(id, agents.map(modelOf));
+    }
+    
+    case 'chat': {
+      return handleChat(id, params, session, signal);
+    }
+    
+    case 'chat.cancel': {
+      return handleChatCancel(id, params, session);
+    }
+    
+    case 'usage/get': {
+      return rpcResult(id, rateLimiter.usage(session.clientKey));
+    }
+    
+    default:
+      return rpcError(id, ERROR_CODES.METHOD_NOT_FOUND, `Method ${method} not supported`);
   }
-});
+}
+
+// Map a JSON-RPC error code to the HTTP status used by the /mcp endpoint
+function httpStatusForRpcError(code) {
+  if (code === ERROR_CODES.REQUEST_TIMEOUT) {
+    return 504;
+  }
+  if (code === ERROR_CODES.RESOURCE_NOT_FOUND) {
+    return 404;
+  }
+  if (code === ERROR_CODES.UNAUTHORIZED) {
+    return 401;
+  }
+  if (code === ERROR_CODES.FORBIDDEN) {
+    return 403;
+  }
+  if (code === ERROR_CODES.RATE_LIMITED) {
+    return 429;
+  }
+  if (code === ERROR_CODES.SERVER_ERROR || code === ERROR_CODES.INTERNAL_ERROR) {
+    return 500;
+  }
+  return 400;
+}
+
+// Whether a session was opened by the client making the request
+function ownsSession(session, principal) {
+  const ownerId = session.principal ? session.principal.id : null;
+  return ownerId === (principal ? principal.id : null);
+}
+
+// Resolve the MCP session for an HTTP request
+// initialize opens a new session; every other call must carry its Mcp-Session-Id
+// Sessions only answer to the token that opened them
+// Returns null for an unknown or expired session id, which the client must answer by initializing again
+function resolveHttpSession(req) {
+  const sessionId = req.get('Mcp-Session-Id');
+  const existing = sessionId && httpSessions.get(sessionId);
+  if (existing && ownsSession(existing, req.principal)) {
+    return existing;
+  }
+  const sessionOptions = { principal: req.principal, clientKey: clientKey(req.principal, req.ip) };
+  if (req.body && req.body.method === 'initialize') {
+    const session = createSession(sessionOptions);
+    httpSessions.set(session.id, session);
+    return session;
+  }
+  if (sessionId) {
+    return null;
+  }
+  // Missing session id: an uninitialized session that only accepts ping
+  return createSession(sessionOptions);
+}
 
 // Handle JSON-RPC requests
-app.post('/mcp', async (req, res) => {
+app.post('/mcp', requireAuth, async (req, res) => {
   try {
-    const { id, method, params } = req.body;
+    const session = resolveHttpSession(req);
+    if (!session) {
+      res.status(404).json(rpcError(req.body && req.body.id, ERROR_CODES.INVALID_REQUEST, 'Unknown or expired session: send initialize to open a new one'));
+      return;
+    }
+    logger.addContext({ sessionId: session.id });
     
-    logger.info(`Received RPC request: ${method}`);
-    logger.debug('Request params:', params);
+    // Idle time counts from the end of the session's last request
+    session.activeRequests++;
+    res.on('close', () => {
+      session.activeRequests--;
+      session.lastActiveAt = Date.now();
+    });
     
-    switch (method) {
-      case 'getModels': {
-        res.json({
-          jsonrpc: '2.0',
-          id,
-          result: [
-            {
-              id: process.env.DUST_AGENT_ID,
-              name: process.env.DUST_AGENT_NAME || 'SystemsThinking',
-              description: `Agent from the ${process.env.DUST_WORKSPACE_NAME || 'WorkwithAI_Launchpad'} workspace`,
-              capabilities: {
-                chat: true,
-                streaming: true,
-              }
-            }
-          ]
-        });
-        break;
+    // A client hanging up before the response is sent cancels its request
+    const disconnect = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        disconnect.abort();
       }
-      
-      case 'chat': {
-        // For non-streaming chat, this would handle the request
-        // but we'll recommend using the streaming endpoint
-        res.json({
-          jsonrpc: '2.0',
-          id,
-          result: {
-            message: 'Chat requests should use the streaming endpoint /mcp/stream'
-          }
-        });
-        break;
+    });
+    
+    const response = await handleRpcRequest(req.body, session, { signal: disconnect.signal });
+    if (disconnect.signal.aborted) {
+      return;
+    }
+    
+    if (httpSessions.has(session.id)) {
+      res.setHeader('Mcp-Session-Id', session.id);
+    }
+    
+    if (!response) {
+      // Accepted notification, or a request cancelled with notifications/cancelled
+      res.status(202).end();
+    } else if (response.error) {
+      if (response.error.code === ERROR_CODES.RATE_LIMITED) {
+        res.setHeader('Retry-After', String(response.error.data.retryAfter));
       }
-      
-      default:
-        res.status(400).json({
-          jsonrpc: '2.0',
-          id,
-          error: {
-            code: -32601,
-            message: `Method ${method} not supported`
-          }
-        });
+      res.status(httpStatusForRpcError(response.error.code)).json(response);
+    } else {
+      res.json(response);
     }
   } catch (error) {
     logger.error('Error processing request:', error);
-    res.status(500).json({
-      jsonrpc: '2.0',
-      id: req.body.id,
-      error: {
-        code: -32000,
-        message: error.message || 'Internal server error'
-      }
-    });
+    if (error.circuitOpen) {
+      // Dust is known to be down: tell the client when to come back
+      res.setHeader('Retry-After', String(error.retryAfter));
+      res.status(503).json(rpcError(req.body && req.body.id, ERROR_CODES.SERVER_ERROR, error.message, { retryAfter: error.retryAfter }));
+      return;
+    }
+    res.status(500).json(rpcError(req.body && req.body.id, ERROR_CODES.SERVER_ERROR, error.message || 'Internal server error'));
+  }
+});
+
+// Terminate an HTTP MCP session
+app.delete('/mcp', requireAuth, (req, res) => {
+  const sessionId = req.get('Mcp-Session-Id');
+  const session = sessionId && httpSessions.get(sessionId);
+  if (!session || !ownsSession(session, req.principal) || !httpSessions.delete(sessionId)) {
+    res.status(404).json(rpcError(null, ERROR_CODES.INVALID_REQUEST, 'Unknown session'));
+    return;
+  }
+  logger.info(`Closed MCP session ${sessionId}`);
+  res.status(204).end();
+});
+
+// OAuth Protected Resource Metadata (RFC 9728), pointing MCP clients to the authorization server
+// Served at the root and at the path-suffixed location of the /mcp resource
+app.get(['/.well-known/oauth-protected-resource', '/.well-known/oauth-protected-resource/mcp'], (req, res) => {
+  if (!authenticator.oauthEnabled) {
+    res.status(404).json({ error: 'OAuth is not enabled on this server' });
+    return;
   }
+  res.json(protectedResourceMetadata({
+    resource: resourceUrl,
+    issuer: config.oauthIssuer,
+    scopes: config.oauthScopes
+  }));
 });
 
 // Serve a simple test page for the client
 app.get('/', (req, res) => {
-  const agentName = process.env.DUST_AGENT_NAME || 'SystemsThinking';
-  const hostName = process.env.MCP_HOST || '127.0.0.1';
-  const portNumber = process.env.MCP_PORT || '5001';
-  const agentId = process.env.DUST_AGENT_ID || '';
-  const workspaceName = process.env.DUST_WORKSPACE_NAME || '';
+  const agentName = naming.qualified ? defaultModel : (config.agentName || config.agentId);
+  const hostName = config.mcpHost;
+  const portNumber = config.mcpPort;
+  const agentId = defaultModel;
+  const workspaceName = workspaces.map(workspace => workspace.name).join(', ');
   
   const html = `
     <!DOCTYPE html>
@@ -598,9 +1570,14 @@ app.get('/', (req, res) => {
       </ul>
       
       <h2>Test Chat</h2>
+      <div id="tokenBox" style="display: ${authenticator.enabled ? 'block' : 'none'}">
+        <label for="token">Access token:</label>
+        <input id="token" type="password" size="40" placeholder="Bearer token for /mcp">
+      </div>
       <div>
         <textarea id="message" rows="3" placeholder="Enter your message here...">Tell me about systems thinking.</textarea><br>
         <button id="send">Send Message</button>
+        <button id="newConversation">New Conversation</button>
       </div>
       <h3>Response:</h3>
       <pre id="response"></pre>
@@ -613,6 +1590,19 @@ app.get('/', (req, res) => {
           document.getElementById('debugInfo').innerHTML += '<div>' + message + '</div>';
         }
 
+        // Follow-up messages continue the Dust conversation of the previous answer
+        var conversationId = null;
+        
+        // The access token is kept for this browser tab only
+        var tokenInput = document.getElementById('token');
+        tokenInput.value = sessionStorage.getItem('mcpToken') || '';
+        
+        document.getElementById('newConversation').addEventListener('click', function() {
+          conversationId = null;
+          document.getElementById('response').innerHTML = '';
+          document.getElementById('debugInfo').innerHTML = '';
+        });
+        
         document.getElementById('send').addEventListener('click', function() {
           var message = document.getElementById('message').value;
           var responseElem = document.getElementById('response');
@@ -625,69 +1615,135 @@ app.get('/', (req, res) => {
           logDebug('Sending message: ' + message.substring(0, 30) + '...');
           
           try {
+            var chatParams = {
+              messages: [
+                { role: 'user', content: message }
+              ]
+            };
+            if (conversationId) {
+              chatParams.conversationId = conversationId;
+              logDebug('Continuing conversation ' + conversationId);
+            }
+            
             var params = new URLSearchParams({
               method: 'chat',
-              params: JSON.stringify({
-                messages: [
-                  { role: 'user', content: message }
-                ]
-              })
+              params: JSON.stringify(chatParams)
             });
             
-            logDebug('Creating EventSource connection to /mcp/stream');
-            var eventSourceUrl = '/mcp/stream?' + params.toString();
-            logDebug('URL: ' + eventSourceUrl);
+            // fetch instead of EventSource, which cannot send the Authorization header
+            var streamUrl = '/mcp/stream?' + params.toString();
+            logDebug('Opening stream ' + streamUrl);
             
-            var eventSource = new EventSource(eventSourceUrl);
+            var controller = new AbortController();
+            var headers = {};
+            var token = tokenInput.value.trim();
+            if (token) {
+              headers['Authorization'] = 'Bearer ' + token;
+              sessionStorage.setItem('mcpToken', token);
+            }
             
             var fullResponse = '';
             
-            // Handle connection open
-            eventSource.onopen = function() {
-              logDebug('EventSource connection opened');
-              responseElem.innerHTML = '<span class="info">Connected, waiting for response...</span>';
-            };
-            
-            // Handle messages
-            eventSource.onmessage = function(event) {
-              logDebug('Received event: ' + event.data.substring(0, 50) + '...');
+            // Handle one chat event; returns false once the stream is over
+            function handleEvent(raw) {
+              logDebug('Received event: ' + raw.substring(0, 50) + '...');
+              var data = JSON.parse(raw);
+              var params = data.params || {};
               
-              try {
-                var data = JSON.parse(event.data);
-                
-                if (data.error) {
-                  responseElem.innerHTML = '<span class="error">Error: ' + data.error.message + '</span>';
-                  logDebug('Error received: ' + data.error.message);
-                  eventSource.close();
-                } else if (data.type === 'text') {
-                  fullResponse += data.text;
-                  responseElem.innerHTML = fullResponse;
-                  logDebug('Added text to response, length now: ' + fullResponse.length);
-                } else if (data.done) {
-                  logDebug('Received done signal, closing connection');
-                  eventSource.close();
-                } else {
-                  logDebug('Unrecognized event data: ' + JSON.stringify(data));
+              if (data.error || params.type === 'error') {
+                var errorMessage = data.error ? data.error.message : params.error;
+                responseElem.innerHTML = '<span class="error">Error: ' + errorMessage + '</span>';
+                logDebug('Error received: ' + errorMessage);
+                return false;
+              } else if (params.type === 'start') {
+                conversationId = params.conversationId;
+                logDebug('Agent started, conversation ' + params.conversationId);
+              } else if (params.type === 'action_started') {
+                var actionName = params.action.name || params.action.type;
+                if (!fullResponse) {
+                  responseElem.innerHTML = '<span class="info">Agent is using ' + actionName + '...</span>';
                 }
-              } catch (e) {
-                logDebug('Error parsing event: ' + e + ', data: ' + event.data);
-                responseElem.innerHTML += '\n<span class="error">Error parsing response: ' + e.message + '</span>';
+                logDebug('Action started: ' + actionName);
+              } else if (params.type === 'action_result') {
+                logDebug('Action finished: ' + (params.action.name || params.action.type));
+              } else if (params.type === 'delta') {
+                // Tokens arrive incrementally as the agent generates them
+                fullResponse += params.delta;
+                responseElem.textContent = fullResponse;
+              } else if (params.type === 'content') {
+                fullResponse = params.content;
+                responseElem.textContent = fullResponse;
+                logDebug('Received full content, length: ' + fullResponse.length);
+              } else if (params.type === 'end') {
+                fullResponse = params.content || fullResponse;
+                responseElem.textContent = fullResponse;
+                logDebug('Received end signal, closing connection');
+                return false;
+              } else {
+                logDebug('Unrecognized event data: ' + raw);
               }
-            };
+              return true;
+            }
             
-            // Handle errors
-            eventSource.onerror = function(err) {
-              logDebug('EventSource error: ' + JSON.stringify(err));
-              responseElem.innerHTML += '\n<span class="error">Connection error with Dust server</span>';
-              eventSource.close();
-            };
+            fetch(streamUrl, { headers: headers, signal: controller.signal }).then(function(response) {
+              var contentType = response.headers.get('Content-Type') || '';
+              if (contentType.indexOf('text/event-stream') === -1) {
+                // Refused before streaming: a JSON-RPC error
+                return response.json().then(function(body) {
+                  if (response.status === 401) {
+                    sessionStorage.removeItem('mcpToken');
+                    tokenInput.focus();
+                    responseElem.innerHTML = '<span class="error">This server requires an access token: enter it above and send again.</span>';
+                  } else {
+                    responseElem.innerHTML = '<span class="error">Error: ' + body.error.message + '</span>';
+                  }
+                  logDebug('Request refused with HTTP ' + response.status);
+                });
+              }
+              
+              logDebug('Stream opened');
+              responseElem.innerHTML = '<span class="info">Connected, waiting for response...</span>';
+              
+              // Split the Server-Sent Events stream into its data lines
+              var reader = response.body.getReader();
+              var decoder = new TextDecoder();
+              var buffer = '';
+              function pump() {
+                return reader.read().then(function(chunk) {
+                  if (chunk.done) {
+                    return;
+                  }
+                  buffer += decoder.decode(chunk.value, { stream: true });
+                  var blocks = buffer.split('\\n\\n');
+                  buffer = blocks.pop();
+                  for (var i = 0; i < blocks.length; i++) {
+                    var raw = blocks[i].split('\\n')
+                      .filter(function(line) { return line.indexOf('data: ') === 0; })
+                      .map(function(line) { return line.slice(6); })
+                      .join('\\n');
+                    if (raw && !handleEvent(raw)) {
+                      controller.abort();
+                      return;
+                    }
+                  }
+                  return pump();
+                });
+              }
+              return pump();
+            }).catch(function(err) {
+              if (err.name === 'AbortError') {
+                return;
+              }
+              logDebug('Stream error: ' + err.message);
+              responseElem.innerHTML += '\\n<span class="error">Connection error with Dust server</span>';
+            });
             
             // Close connection after timeout if no response
             setTimeout(function() {
               if (fullResponse === '') {
                 logDebug('Timeout: No response received after 30 seconds');
                 responseElem.innerHTML = '<span class="error">Timeout: No response received from Dust agent. Check server logs for more information.</span>';
-                eventSource.close();
+                controller.abort();
               }
             }, 30000); // 30 second timeout
             
@@ -705,128 +1761,210 @@ app.get('/', (req, res) => {
 });
 
 // Simple health check endpoint
+// Reports 'degraded' while a Dust API circuit is open or half-open
+// With several workspaces, each one's circuit is reported under its id
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok' });
+  const circuits = workspaces.map(workspace => [workspace.id, workspace.breaker.snapshot()]);
+  res.json({
+    status: circuits.every(([, circuit]) => circuit.state === 'closed') ? 'ok' : 'degraded',
+    dust: naming.qualified
+      ? { workspaces: Object.fromEntries(circuits.map(([id, circuit]) => [id, { circuit }])) }
+      : { circuit: circuits[0][1] }
+  });
 });
 
-// Function to validate the Dust API connection
-async function validateDustAPIConnection() {
-  console.log('Validating Dust API connection...');
-  try {
-    // Check API key by getting user information directly
-    try {
-      // Try to fetch the /me endpoint to validate basic API access
-      const meResponse = await dustApi.get('/api/v1/me');
-      if (meResponse.data && meResponse.data.workspaces) {
-        const userInfo = meResponse.data;
-        console.log('✅ Successfully connected to Dust API!');
-        console.log(`User: ${userInfo.firstName} ${userInfo.lastName} (${userInfo.username})`);
-        console.log(`Workspaces: ${userInfo.workspaces.length} available`);
-      } else {
-        console.warn('⚠️ Connected to Dust API but received unexpected response format');
-      }
-    } catch (meError) {
-      console.warn(`⚠️ Could not fetch user info: ${meError.message}`);
-      console.log('Trying alternate validation method...');
+// Readiness of the bridge, from the checks of every workspace (see lib/dust-workspace.js)
+let healthChecks;
+
+// Liveness: the process is up and serving HTTP; never calls Dust
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'alive', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// Readiness: 200 when every check passes (warnings included), 503 otherwise
+app.get('/health/ready', async (req, res) => {
+  const report = await healthChecks.report();
+  res.status(report.ready ? 200 : 503).json({ status: report.status, checks: report.checks });
+});
+
+// Prometheus metrics
+app.get('/metrics', requireMetricsAuth, (req, res) => {
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(metrics.registry.render());
+});
+
+// Bodies the JSON parser refused (too large, not JSON) and errors passed on by middleware
+app.use((error, req, res, next) => {
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  if (error.type === 'entity.too.large') {
+    res.status(413).json(rpcError(null, ERROR_CODES.INVALID_REQUEST, `Request body exceeds ${error.limit} bytes`));
+    return;
+  }
+  if (error.type === 'entity.parse.failed') {
+    res.status(400).json(rpcError(null, ERROR_CODES.PARSE_ERROR, 'Parse error: the request body is not valid JSON'));
+    return;
+  }
+  logger.error(`Error serving ${req.method} ${req.path}:`, error);
+  res.status(error.status || 500).json(rpcError((req.body && req.body.id) || null, ERROR_CODES.SERVER_ERROR, 'Internal server error'));
+});
+
+// Check the prompts file and Dust at startup so configuration mistakes show up in the logs right away
+async function runStartupValidation() {
+  // Report a broken prompts file now rather than on the first prompts/list
+  await loadUserPrompts();
+  
+  const report = await healthChecks.report();
+  for (const [name, result] of Object.entries(report.checks)) {
+    if (result.status === 'fail') {
+      logger.error(`Startup check ${name} failed: ${result.message}`, result.details);
+    } else {
+      logger.info(`Startup check ${name}: ${result.status}${result.message ? ` (${result.message})` : ''}`, result.details);
     }
-    
-    // Also validate by checking agent configurations
-    try {
-      const agentResponse = await dustApi.get(`/api/v1/w/${config.workspaceId}/assistant/agent_configurations`);
-      const agents = agentResponse.data.agentConfigurations || [];
-      console.log(`Found ${agents.length} agent configurations`);
-      
-      // Find our specific agent
-      const targetAgent = agents.find(agent => String(agent.id) === String(config.agentId));
-      
-      if (targetAgent) {
-        console.log('✅ Successfully verified agent configuration');
-        console.log(`Found agent: ${targetAgent.name} (${targetAgent.id})`);
-        return true;
-      } else {
-        console.warn(`⚠️ Warning: Agent with ID ${config.agentId} not found in workspace`);
-        if (agents.length > 0) {
-          console.log('Available agents:', agents.map(a => `${a.name} (${a.id})`).join(', '));
-        }
+  }
+  
+  if (!report.ready) {
+    logger.error('Dust API connection failed! The MCP server may not work properly. Please check your configuration and ensure your API key, workspace ID, and agent ID are correct.');
+  }
+}
+
+/**
+ * Start the MCP server: one session over stdin/stdout, or HTTP on config.mcpHost and config.mcpPort
+ * Builds the workspaces, logger, auth and stores from the configuration, then serves the routes above.
+ * @param {Object} loadedConfig - from loadConfig: { config, configFile, sources }
+ * @param {Object} [options]
+ * @param {boolean} [options.stdio] - serve over stdio, for MCP hosts that launch the server
+ */
+function start(loadedConfig, { stdio = false } = {}) {
+  useStdio = stdio;
+  config = loadedConfig.config;
+  
+  // In stdio mode stdout carries the JSON-RPC stream, so every log line must go to stderr
+  if (useStdio) {
+    console.log = console.error;
+    console.info = console.error;
+    console.debug = console.error;
+  }
+  
+  workspaceSettings = resolveWorkspaces(config);
+  
+  // Attachments arrive base64-encoded (a third larger) inside the JSON-RPC request, documents as text
+  jsonBodyParser = express.json({
+    limit: Math.ceil(Math.max(config.maxUploadBytes, config.maxDocumentBytes) * 4 / 3) + JSON_BODY_OVERHEAD_BYTES
+  });
+  
+  // Set up logging; an empty LOG_DIR keeps logs on the console only
+  logger = createLogger({
+    level: config.logLevel,
+    output: useStdio ? process.stderr : process.stdout,
+    file: config.logDir
+      ? { dir: config.logDir, maxBytes: config.logMaxFileMb * 1024 * 1024, retentionDays: config.logRetentionDays }
+      : null,
+    redact: config.logRedact,
+    secrets: [...workspaceSettings.map(settings => settings.apiKey), ...config.authTokens]
+  });
+  
+  resourceUrl = config.resourceUrl || `http://${config.mcpHost}:${config.mcpPort}/mcp`;
+  resourceMetadataUrl = new URL('/.well-known/oauth-protected-resource', resourceUrl).href;
+  authenticator = createAuthenticator({
+    staticTokens: loadStaticTokens({ tokens: config.authTokens, file: config.authTokensFile }),
+    oauth: config.oauthIssuer
+      ? {
+        issuer: config.oauthIssuer,
+        audience: config.oauthAudience || resourceUrl,
+        jwksUrl: config.oauthJwksUrl,
+        requiredScopes: config.oauthScopes
       }
-    } catch (agentError) {
-      console.warn(`⚠️ Could not fetch agent configurations: ${agentError.message}`);
-      throw agentError; // Rethrow to be caught by outer try/catch
-    }
-    
-    // Test creating a conversation
-    console.log('\nTesting conversation creation...');
-    try {
-      const conversation = await dustClient.createConversation({
-        title: 'API Test Conversation'
-      });
-      console.log('✅ Successfully created a conversation. ID:', conversation.id);
-    } catch (error) {
-      console.log('❌ Failed to create a conversation:', error.message);
-      return false;
-    }
-    
-    // Check if assistant ID exists
-    console.log('\nValidating Assistant ID...');
-    console.log('Assistant ID:', process.env.DUST_AGENT_ID);
-    
-    try {
-      // Get agent configurations to check if our agent ID exists
-      const agents = await dustClient.getAgentConfigurations({});
-      console.log(`Found ${agents.length} agents in the workspace.`);
-      
-      // Check if our agent ID is in the list
-      const agentExists = agents.some(agent => agent.id === process.env.DUST_AGENT_ID);
+      : null,
+    resourceMetadataUrl,
+    logger
+  });
+  if (config.metricsToken) {
+    metricsAuthenticator = createAuthenticator({ staticTokens: loadStaticTokens({ tokens: [config.metricsToken], source: 'METRICS_TOKEN' }), logger });
+  }
+  rateLimiter = createRateLimiter({
+    requestsPerMinute: config.rateLimitPerMinute,
+    maxConcurrentStreams: config.rateLimitStreams,
+    dailyMessages: config.dailyMessageQuota
+  });
+  
+  naming = createWorkspaceNaming(workspaceSettings.map(settings => settings.id));
+  workspaces = workspaceSettings.map(settings => createDustWorkspace({ settings, config, naming, logger, metrics }));
+  defaultWorkspace = workspaces.find(workspace => workspace.id === config.defaultWorkspace) || workspaces[0];
+  defaultModel = naming.qualify(defaultWorkspace.id, defaultWorkspace.agentId);
+  sessionStore = createSessionStore({
+    type: config.sessionStore,
+    path: config.sessionStorePath
+  });
+  healthChecks = createHealthChecks({
+    ttlMs: config.healthCacheTtlMs,
+    timeoutMs: config.healthCheckTimeoutMs,
+    checks: workspaces.flatMap(workspace => workspace.healthChecks())
+  });
+  
+  logger.info('Starting MCP Server with Dust integration', {
+    configFile: loadedConfig.configFile,
+    sources: loadedConfig.sources,
+    config: describeConfig(config)
+  });
+  if (!authenticator.enabled && !useStdio) {
+    logger.warn('Auth is disabled, anyone reaching the port can use the Dust API key (set MCP_AUTH_TOKENS or MCP_OAUTH_ISSUER)');
+  }
+  
+  if (useStdio) {
+    // Launched by an MCP host (e.g. Claude Desktop) as a child process
+    // A stdio process serves exactly one MCP session
+    const stdioSession = createSession({ clientKey: 'stdio' });
+    startStdioTransport({
+      handleRequest: (request) => logger.runWithContext(
+        { requestId: crypto.randomUUID(), sessionId: stdioSession.id },
+        () => handleRpcRequest(request, stdioSession)
+      ),
+      onClose: () => logger.close(),
+      logger
+    });
+    runStartupValidation().catch(error => logger.error('Startup checks failed:', error));
+  } else {
+    app.listen(config.mcpPort, config.mcpHost, () => {
+      logger.info(`MCP Server with Dust.tt integration running at http://${config.mcpHost}:${config.mcpPort}/mcp`);
+      logger.info(`Web interface available at http://${config.mcpHost}:${config.mcpPort}/`);
       
-      if (agentExists) {
-        console.log(`✅ Assistant ID ${process.env.DUST_AGENT_ID} exists in the workspace.`);
-      } else {
-        console.log(`❌ Assistant ID ${process.env.DUST_AGENT_ID} not found in the workspace!`);
-        console.log('Available agents:', agents.map(a => `${a.name} (${a.id})`).join(', '));
-      }
-    } catch (error) {
-      console.log('❌ Failed to get agent configurations:', error.message);
-    }
-    
-    return true;
-  } catch (error) {
-    console.error('❌ Failed to connect to Dust API:');
-    console.error('Error message:', error.message);
-    
-    // Safer error handling that doesn't assume response structure
-    if (error.response) {
-      try {
-        console.error('Response status:', error.response.status);
-        if (error.response.data) {
-          console.error('Response data:', JSON.stringify(error.response.data));
-        }
-      } catch (e) {
-        console.error('Error parsing response:', e.message);
-      }
+      // Validate Dust API connection
+      runStartupValidation().catch(error => logger.error('Startup checks failed:', error));
+    });
+    setInterval(sweepHttpSessions, Math.min(config.sessionIdleTimeoutMs, 60000)).unref();
+
+    // Log lines are written asynchronously: flush them before exiting
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+      process.once(signal, async () => {
+        logger.info(`Received ${signal}, shutting down`);
+        await logger.close();
+        process.exit(0);
+      });
     }
-    
-    return false;
   }
 }
 
-// Start server
-const PORT = process.env.MCP_PORT || 5001;
-const HOST = process.env.MCP_HOST || '127.0.0.1';
-const server = app.listen(PORT, HOST, async () => {
-  console.log(`MCP Server with Dust.tt integration running at http://${HOST}:${PORT}/mcp`);
-  console.log(`Web interface available at http://${HOST}:${PORT}/`);
-  console.log(`Using Dust agent: ${process.env.DUST_AGENT_NAME} (${process.env.DUST_AGENT_ID})`);
-  console.log(`Workspace: ${process.env.DUST_WORKSPACE_NAME}`);
-  console.log(`User: ${process.env.DUST_FULLNAME} (${process.env.DUST_USERNAME})`);
-  console.log(`Timezone: ${process.env.DUST_TIMEZONE}`);
-  
-  // Validate Dust API connection
-  console.log('\n=============== API VALIDATION ===============');
-  const isValid = await validateDustAPIConnection();
-  console.log('===============================================\n');
+module.exports = { start };
+
+// node server.js [--stdio] [config flags]
+if (require.main === module) {
+  // Load environment variables
+  dotenv.config();
   
-  if (!isValid) {
-    console.error('❌ WARNING: Dust API connection failed! The MCP server may not work properly.');
-    console.error('Please check your .env file and ensure your API key, workspace ID, and agent ID are correct.');
+  // Server configuration: defaults, then the config file, the environment and command line flags
+  // Invalid settings stop the server before it starts
+  let loadedConfig;
+  try {
+    loadedConfig = loadConfig({ argv: process.argv.slice(2), baseDir: __dirname, passthrough: ['stdio'] });
+  } catch (error) {
+    if (!error.configErrors) {
+      throw error;
+    }
+    console.error(error.message);
+    process.exit(1);
   }
-});
+  start(loadedConfig, { stdio: process.argv.includes('--stdio') });
+}
@@ -0,0 +1,141 @@
+const { describe, it, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { startMcpServer } = require('./support/mcp-server');
+const { ask, useMcpServer } = require('./support/suite');
+
+const FULL_TOKEN = 'full-access-token-0123456789';
+const RESEARCH_TOKEN = 'research-only-token-0123456789';
+const METRICS_TOKEN = 'metrics-scraper-token-0123456789';
+
+describe('authentication and agent allowlists', () => {
+  const tokensDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dust-mcp-tokens-'));
+  const tokensFile = path.join(tokensDir, 'auth-tokens.json');
+  fs.writeFileSync(tokensFile, JSON.stringify({
+    tokens: [
+      { name: 'full', token: FULL_TOKEN },
+      { name: 'research', token: RESEARCH_TOKEN, agents: ['researcher'] }
+    ]
+  }));
+  const { dust, server } = useMcpServer({
+    env: started => ({
+      MCP_AUTH_TOKENS_FILE: tokensFile,
+      METRICS_TOKEN,
+      // Never fetched: the malformed tokens below are refused before their signature is checked
+      MCP_OAUTH_ISSUER: 'https://issuer.example',
+      MCP_OAUTH_JWKS_URL: `${started.url}/jwks`
+    })
+  });
+
+  after(() => {
+    fs.rmSync(tokensDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    dust.reset();
+  });
+
+  it('refuses requests without a valid token with 401 and a challenge', async () => {
+    const missing = await server.client().initialize();
+    assert.equal(missing.status, 401);
+    assert.match(missing.headers.get('WWW-Authenticate'), /^Bearer realm="mcp"/);
+    assert.equal(missing.body.error.code, -32004);
+
+    const invalid = await server.streamChat(ask('Hi'), { token: 'not-a-valid-token-at-all' });
+    assert.equal(invalid.status, 401);
+    assert.match(invalid.headers.get('Content-Type'), /^application\/json/);
+  });
+
+  it('refuses malformed OAuth tokens with 401 without echoing them in the challenge', async () => {
+    const segment = value => Buffer.from(value).toString('base64url');
+    const tokens = [
+      `${segment('{"alg":"x\\ny"}')}.${segment('{}')}.c2ln`,
+      `${segment('{"alg":"constructor"}')}.${segment('{}')}.c2ln`,
+      `${segment('{"alg":"__proto__"}')}.${segment('{}')}.c2ln`,
+      `${segment('null')}.${segment('{}')}.c2ln`,
+      `${segment('{"alg":"RS256"}')}.${segment('null')}.c2ln`
+    ];
+
+    for (const token of tokens) {
+      const { status, headers, body } = await server.client(token).initialize();
+      assert.equal(status, 401);
+      assert.match(headers.get('WWW-Authenticate'), /error="invalid_token", error_description="(Unsupported access token algorithm|Malformed access token (header|payload))"/);
+      assert.equal(body.error.code, -32004);
+    }
+    assert.equal((await fetch(`${server.url}/health/live`)).status, 200);
+  });
+
+  it('only lists and runs the agents a token may use', async () => {
+    const client = server.client(RESEARCH_TOKEN);
+    await client.initialize();
+
+    const { body } = await client.request('getModels', {});
+    assert.deepEqual(body.result.map(model => model.id), ['researcher']);
+
+    const refused = await client.request('chat', ask('Hi', { model: 'helper' }));
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.error.code, -32005);
+  });
+
+  it('keeps each token to the conversations it started', async () => {
+    dust.script({ reply: 'Twenty days.', tokenDelayMs: 0 });
+    const full = server.client(FULL_TOKEN);
+    await full.initialize();
+    const { body } = await full.request('chat', ask('How many vacation days?', { model: 'helper' }));
+    const { conversationId } = body.result;
+
+    const research = server.client(RESEARCH_TOKEN);
+    await research.initialize();
+    assert.deepEqual((await research.request('conversations/list', {})).body.result, { conversations: [], total: 0 });
+    for (const method of ['conversations/get', 'conversations/delete']) {
+      const refused = await research.request(method, { conversationId });
+      assert.equal(refused.body.error.code, -32602);
+      assert.match(refused.body.error.message, /not found/);
+    }
+    const continued = await research.request('chat', ask('And sick days?', { model: 'researcher', conversationId }));
+    assert.match(continued.body.error.message, new RegExp(`Conversation ${conversationId} not found`));
+
+    const own = await full.request('conversations/get', { conversationId });
+    assert.equal(own.body.result.messages.length, 2);
+    assert.equal((await full.request('conversations/list', {})).body.result.total, 1);
+  });
+
+  it('refuses a stream to a forbidden agent with 403 as JSON, not as an event stream', async () => {
+    const response = await server.streamChat(ask('Hi'), { token: RESEARCH_TOKEN });
+
+    assert.equal(response.status, 403);
+    assert.match(response.headers.get('Content-Type'), /^application\/json/);
+    assert.equal(response.body.error.code, -32005);
+    assert.match(response.body.error.message, /may not use @Helper/);
+    assert.equal(dust.requestsTo('POST', '/assistant/conversations').length, 0);
+  });
+
+  it('streams to the agents a token may use', async () => {
+    dust.script({ reply: 'Found it' });
+    const { status, headers, events } = await server.streamChat(ask('Hi', { model: 'researcher' }), { token: RESEARCH_TOKEN });
+
+    assert.equal(status, 200);
+    assert.match(headers.get('Content-Type'), /^text\/event-stream/);
+    assert.equal(events[events.length - 1].content, 'Found it');
+  });
+
+  it('serves /metrics to the metrics token only', async () => {
+    const scrape = token => fetch(`${server.url}/metrics`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+
+    assert.equal((await scrape()).status, 401);
+    assert.equal((await scrape(FULL_TOKEN)).status, 401);
+    const scraped = await scrape(METRICS_TOKEN);
+    assert.equal(scraped.status, 200);
+    assert.match(await scraped.text(), /mcp_active_streams/);
+  });
+
+  it('refuses to start with an MCP_AUTH_TOKENS token shorter than 16 characters', async () => {
+    await assert.rejects(
+      startMcpServer({ dust, env: { MCP_AUTH_TOKENS: `${FULL_TOKEN},too-short` } }),
+      /MCP_AUTH_TOKENS: token #2 must be at least 16 characters long/
+    );
+  });
+});
@@ -0,0 +1,226 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { waitFor } = require('./support/mcp-server');
+const { ask, useMcpServer } = require('./support/suite');
+
+const CONVERSATIONS_PATH = /\/assistant\/conversations$/;
+const CONVERSATION_PATH = /\/assistant\/conversations\/[^/]+$/;
+const MESSAGES_PATH = /\/messages$/;
+
+describe('chat over /mcp', () => {
+  const { dust, server } = useMcpServer({
+    env: {
+      MCP_TIMEOUT: '5',
+      DUST_HTTP_TIMEOUT_MS: '500',
+      DUST_CIRCUIT_FAILURE_THRESHOLD: '3',
+      DUST_MAX_UPLOAD_BYTES: '1000000'
+    }
+  });
+  let client;
+
+  beforeEach(async () => {
+    dust.reset();
+    client = server.client();
+    await client.initialize();
+  });
+
+  const chat = (content, params = {}) => client.request('chat', ask(content, params));
+
+  it('refuses chat before initialize', async () => {
+    const response = await server.client().request('chat', { messages: [{ role: 'user', content: 'Hi' }] });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.code, -32003);
+  });
+
+  it('answers with the reply of the default agent', async () => {
+    dust.script({ reply: 'Hello from the mock agent' });
+    const response = await chat('Hi');
+
+    assert.equal(response.status, 200);
+    const { result } = response.body;
+    assert.equal(result.model, 'helper');
+    assert.equal(result.message.role, 'assistant');
+    assert.equal(result.message.content, 'Hello from the mock agent');
+    assert.equal(result.metadata.status, 'succeeded');
+    assert.ok(dust.conversations.has(result.conversationId));
+
+    const [post] = dust.requestsTo('POST', MESSAGES_PATH);
+    assert.equal(post.body.content, 'Hi');
+    assert.deepEqual(post.body.mentions, [{ configurationId: 'helper' }]);
+    assert.equal(post.authorization, `Bearer ${dust.apiKey}`);
+  });
+
+  it('continues a conversation', async () => {
+    const first = await chat('First question');
+    const { conversationId } = first.body.result;
+    const second = await chat('Follow-up', { conversationId });
+
+    assert.equal(second.status, 200);
+    assert.equal(second.body.result.conversationId, conversationId);
+    assert.equal(second.body.result.message.content, 'Echo: Follow-up');
+    assert.equal(dust.requestsTo('POST', CONVERSATIONS_PATH).length, 1);
+    assert.equal(dust.requestsTo('POST', MESSAGES_PATH).length, 2);
+  });
+
+  it('posts earlier messages as context of a new conversation', async () => {
+    const response = await client.request('chat', {
+      messages: [
+        { role: 'user', content: 'Some context' },
+        { role: 'user', content: 'The question' }
+      ]
+    });
+
+    assert.equal(response.status, 200);
+    const posts = dust.requestsTo('POST', MESSAGES_PATH);
+    assert.deepEqual(posts.map(post => post.body.content), ['Some context', 'The question']);
+    assert.deepEqual(posts[0].body.mentions, []);
+  });
+
+  it('routes the chat to the agent named by model', async () => {
+    const response = await chat('Find the policy', { model: '@Researcher' });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.result.model, 'researcher');
+    assert.equal(response.body.result.metadata.agentName, 'Researcher');
+    assert.deepEqual(dust.requestsTo('POST', MESSAGES_PATH)[0].body.mentions, [{ configurationId: 'researcher' }]);
+  });
+
+  it('rejects unknown and archived models', async () => {
+    for (const model of ['nobody', 'retired']) {
+      const response = await chat('Hi', { model });
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error.code, -32602);
+      assert.match(response.body.error.message, new RegExp(`unknown model ${model}`));
+    }
+    assert.equal(dust.requestsTo('POST', CONVERSATIONS_PATH).length, 0);
+  });
+
+  it('rejects invalid params', async () => {
+    const response = await client.request('chat', { messages: [] });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.code, -32602);
+    assert.match(response.body.error.message, /messages must be a non-empty array/);
+  });
+
+  it('reports an agent failure', async () => {
+    dust.script({ error: 'Model overloaded' });
+    const response = await chat('Hi');
+
+    assert.equal(response.status, 500);
+    assert.equal(response.body.error.code, -32000);
+    assert.equal(response.body.error.message, 'Agent failed to answer: Model overloaded');
+    assert.equal(response.body.error.data.status, 'failed');
+    assert.ok(response.body.error.data.conversationId);
+  });
+
+  it('times out when the agent does not answer in time', async () => {
+    dust.script({ hang: true, reply: 'Never finished' });
+    const startedAt = Date.now();
+    const response = await chat('Hi', { timeout: 1 });
+
+    assert.equal(response.status, 504);
+    assert.equal(response.body.error.code, -32001);
+    assert.match(response.body.error.message, /did not answer within 1 seconds/);
+    assert.ok(dust.conversations.has(response.body.error.data.conversationId));
+    assert.ok(response.body.error.data.messageId);
+    assert.ok(Date.now() - startedAt < 4000);
+  });
+
+  it('cancels a running chat with chat.cancel', async () => {
+    dust.script({ hang: true, reply: 'Never finished' });
+    const requestId = client.peekNextId();
+    const pending = chat('Hi');
+    await waitFor(() => dust.requestsTo('POST', MESSAGES_PATH).length > 0, { message: 'the message post' });
+
+    const cancel = await client.request('chat.cancel', { requestId, reason: 'User stopped it' });
+    assert.deepEqual(cancel.body.result, { cancelled: true });
+
+    const response = await pending;
+    assert.equal(response.body.error.code, -32800);
+    assert.ok(response.body.error.data.conversationId);
+    const [cancelRequest] = dust.requestsTo('POST', '/cancel');
+    assert.ok(cancelRequest, 'the agent message is cancelled in Dust');
+    assert.deepEqual(cancelRequest.body.messageIds, [response.body.error.data.messageId]);
+  });
+
+  it('reports a conversation that does not exist', async () => {
+    const response = await chat('Hi', { conversationId: 'cnv-missing' });
+    assert.equal(response.status, 500);
+    assert.equal(response.body.error.code, -32000);
+    assert.equal(response.body.error.message, 'Conversation cnv-missing not found');
+  });
+
+  it('uploads attachments larger than the default JSON body limit', async () => {
+    const content = Buffer.alloc(150 * 1024, 'quarterly figures\n');
+    const response = await chat('Summarize the file', {
+      attachments: [{ name: 'figures.txt', contentType: 'text/plain', content: content.toString('base64') }]
+    });
+
+    assert.equal(response.status, 200);
+    const [attached] = response.body.result.metadata.attachments;
+    assert.equal(attached.name, 'figures.txt');
+    assert.equal(dust.files.get(attached.fileId).status, 'ready');
+    assert.ok(dust.files.get(attached.fileId).uploadedBytes > content.length);
+    assert.equal(dust.requestsTo('POST', /\/content_fragments$/)[0].body.fileId, attached.fileId);
+  });
+
+  it('answers bodies that are too large or not JSON with JSON-RPC errors', async () => {
+    const post = body => fetch(`${server.url}/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Mcp-Session-Id': client.sessionId },
+      body
+    });
+
+    const broken = await post('{"jsonrpc": "2.0", "id": 1,');
+    assert.equal(broken.status, 400);
+    assert.equal((await broken.json()).error.code, -32700);
+
+    const tooLarge = await post(JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'ping', params: { padding: 'x'.repeat(3 * 1024 * 1024) } }));
+    assert.equal(tooLarge.status, 413);
+    assert.equal((await tooLarge.json()).error.code, -32600);
+  });
+
+  it('retries Dust calls that were throttled', async () => {
+    dust.failNext({ method: 'POST', path: CONVERSATIONS_PATH, status: 429, retryAfter: 0, count: 2 });
+    const response = await chat('Hi');
+
+    assert.equal(response.status, 200);
+    assert.equal(dust.requestsTo('POST', CONVERSATIONS_PATH).length, 3);
+  });
+
+  it('does not repeat a message post that failed', async () => {
+    dust.failNext({ method: 'POST', path: MESSAGES_PATH, status: 503 });
+    const response = await chat('Hi');
+
+    assert.equal(response.status, 500);
+    assert.equal(response.body.error.code, -32000);
+    assert.match(response.body.error.message, /Failed to post message: Request failed with status code 503/);
+    assert.equal(dust.requestsTo('POST', MESSAGES_PATH).length, 1);
+  });
+
+  it('retries a poll that timed out', async () => {
+    dust.failNext({ method: 'GET', path: CONVERSATION_PATH, delayMs: 1000 });
+    const response = await chat('Hi');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.result.message.content, 'Echo: Hi');
+    assert.ok(dust.requestsTo('GET', CONVERSATION_PATH).length >= 2);
+  });
+
+  // Last: the circuit stays open for the rest of the cooldown
+  it('fails fast once the circuit opens', async () => {
+    dust.failNext({ method: 'POST', path: CONVERSATIONS_PATH, status: 502, count: 3 });
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      const response = await chat('Hi');
+      assert.equal(response.status, 500);
+    }
+
+    const response = await chat('Hi');
+    assert.equal(response.status, 503);
+    assert.equal(response.body.error.code, -32000);
+    assert.match(response.body.error.message, /circuit/i);
+    assert.ok(Number(response.headers.get('Retry-After')) > 0);
+    assert.equal(dust.requestsTo('POST', CONVERSATIONS_PATH).length, 3);
+  });
+});
@@ -0,0 +1,190 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createMockDust } = require('./support/mock-dust');
+const { freePort, waitFor } = require('./support/mcp-server');
+
+const CLI_PATH = path.join(__dirname, '..', 'bin', 'dust-mcp.js');
+
+describe('dust-mcp command line tool', () => {
+  const dust = createMockDust();
+  let cwd;
+
+  // Run the tool from an empty directory against the mock, resolving with { code, stdout, stderr }
+  // onStdout sees the output as it arrives, and gets the child process to signal it
+  function run(args, { env = {}, input = '', onStdout } = {}) {
+    const childEnv = {
+      DUST_API_KEY: dust.apiKey,
+      DUST_WORKSPACE_ID: dust.workspaceId,
+      DUST_AGENT_ID: dust.agents[0].sId,
+      DUST_DOMAIN: dust.url,
+      SESSION_STORE: 'file',
+      SESSION_STORE_PATH: path.join(cwd, 'sessions.json'),
+      DUST_HTTP_RETRY_BASE_MS: '10',
+      DUST_HTTP_RETRY_MAX_MS: '100',
+      ...env
+    };
+    for (const name of ['PATH', 'NODE_PATH', 'SYSTEMROOT']) {
+      if (process.env[name] !== undefined && childEnv[name] === undefined) {
+        childEnv[name] = process.env[name];
+      }
+    }
+
+    const child = spawn(process.execPath, [CLI_PATH, ...args], { cwd, env: childEnv });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+      if (onStdout) {
+        onStdout(stdout, child);
+      }
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk;
+    });
+    child.stdin.end(input);
+    return new Promise(resolve => child.once('close', code => resolve({ code, stdout, stderr })));
+  }
+
+  const jsonLines = text => text.trim().split('\n').map(line => JSON.parse(line));
+
+  before(async () => {
+    await dust.start();
+  });
+
+  after(async () => {
+    await dust.stop();
+  });
+
+  beforeEach(() => {
+    dust.reset();
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'dust-mcp-cli-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  });
+
+  it('doctor reports every check and exits 0 when ready', async () => {
+    const { code, stdout } = await run(['doctor', '--json']);
+
+    assert.equal(code, 0);
+    const report = JSON.parse(stdout);
+    assert.equal(report.ready, true);
+    assert.deepEqual(Object.keys(report.checks), ['configuration', 'dust_connectivity', 'workspace_access', 'configured_agent', 'circuit_breaker']);
+    assert.equal(report.config.apiKey, '****mock');
+  });
+
+  it('doctor fails on a rejected API key and on an invalid configuration', async () => {
+    const rejected = await run(['doctor', '--json'], { env: { DUST_API_KEY: 'sk-wrong' } });
+    assert.equal(rejected.code, 1);
+    const report = JSON.parse(rejected.stdout);
+    assert.equal(report.ready, false);
+    assert.match(report.checks.workspace_access.message, /Dust rejected the API key \(HTTP 401\)/);
+
+    const invalid = await run(['doctor', '--json', '--timeout', '0']);
+    assert.equal(invalid.code, 1);
+    assert.equal(JSON.parse(invalid.stdout).checks.configuration.status, 'fail');
+  });
+
+  it('lists the active agents with their model ids', async () => {
+    const { code, stdout } = await run(['agents', 'list', '--json']);
+
+    assert.equal(code, 0);
+    const { agents } = JSON.parse(stdout);
+    assert.deepEqual(agents.map(agent => agent.model), ['helper', 'researcher']);
+    assert.equal(agents[0].default, true);
+  });
+
+  it('chats, records the conversation and shows it', async () => {
+    dust.script({ reply: 'Hello from the mock agent', tokenDelayMs: 0 });
+    const chat = await run(['chat', '--json'], { input: 'Hi there\n' });
+    assert.equal(chat.code, 0);
+    const answer = JSON.parse(chat.stdout);
+    assert.equal(answer.content, 'Hello from the mock agent');
+    assert.equal(answer.model, 'helper');
+
+    const list = JSON.parse((await run(['conversations', 'list', '--json'])).stdout);
+    assert.equal(list.total, 1);
+    assert.equal(list.conversations[0].conversationId, answer.conversationId);
+    assert.equal(list.conversations[0].messageCount, 2);
+
+    const shown = JSON.parse((await run(['conversations', 'show', answer.conversationId, '--json'])).stdout);
+    assert.deepEqual(shown.messages.map(message => [message.role, message.content]), [
+      ['user', 'Hi there'],
+      ['assistant', 'Hello from the mock agent']
+    ]);
+  });
+
+  it('streams the answer as JSON lines', async () => {
+    dust.script({ reply: 'Streamed answer' });
+    const { code, stdout } = await run(['chat', '--stream', '--json', '--model', 'researcher', 'Hi']);
+
+    assert.equal(code, 0);
+    const events = jsonLines(stdout);
+    assert.equal(events[0].type, 'start');
+    assert.equal(events[0].model, 'researcher');
+    assert.equal(events.filter(event => event.type === 'delta').map(event => event.delta).join(''), 'Streamed answer');
+    assert.deepEqual(events[events.length - 1], {
+      type: 'end',
+      model: 'researcher',
+      conversationId: events[0].conversationId,
+      messageId: events[0].id,
+      content: 'Streamed answer'
+    });
+  });
+
+  it('cancels the agent message on Ctrl-C', async () => {
+    dust.script({ hang: true, reply: 'Still thinking' });
+    let interrupted = false;
+    const { code, stdout } = await run(['chat', '--stream', '--json', 'Hi'], {
+      onStdout: (text, child) => {
+        if (!interrupted && text.includes('"delta"')) {
+          interrupted = true;
+          child.kill('SIGINT');
+        }
+      }
+    });
+
+    assert.equal(code, 130);
+    const events = jsonLines(stdout);
+    assert.equal(events[events.length - 1].error.cancelled, true);
+    const cancel = await waitFor(() => dust.requestsTo('POST', '/cancel')[0], { message: 'the cancel request' });
+    assert.deepEqual(cancel.body.messageIds, [events[0].id]);
+  });
+
+  it('serves over HTTP until stopped', async () => {
+    const port = await freePort();
+    let started = false;
+    let live = null;
+    const { code, stdout } = await run(['serve', '--mcp-port', String(port)], {
+      env: { LOG_DIR: '' },
+      onStdout: async (text, child) => {
+        if (!started && text.includes('MCP Server with Dust.tt integration running at')) {
+          started = true;
+          live = (await fetch(`http://127.0.0.1:${port}/health/live`)).status;
+          child.kill('SIGTERM');
+        }
+      }
+    });
+
+    assert.equal(live, 200);
+    assert.equal(code, 0);
+    assert.match(stdout, new RegExp(`running at http://127\\.0\\.0\\.1:${port}/mcp`));
+  });
+
+  it('reports unknown models, and exits 2 on command line mistakes', async () => {
+    const unknown = await run(['chat', '--json', '--model', 'nobody', 'Hi']);
+    assert.equal(unknown.code, 1);
+    assert.match(JSON.parse(unknown.stdout).error.message, /Unknown model nobody/);
+
+    assert.equal((await run(['agents', 'remove'])).code, 2);
+    assert.equal((await run(['doctor', '--stream'])).code, 2);
+    assert.equal((await run(['serve', '--stdio', '--http'])).code, 2);
+    assert.equal(dust.requestsTo('POST', '/assistant/conversations').length, 0);
+  });
+});
@@ -0,0 +1,95 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+const { splitText, createDustDocuments } = require('../lib/dust-documents');
+const { createMockDust } = require('./support/mock-dust');
+
+describe('splitText', () => {
+  it('keeps text that fits in one part', () => {
+    assert.deepEqual(splitText('Short text', 100), ['Short text']);
+    assert.deepEqual(splitText('', 100), ['']);
+  });
+
+  it('splits at a paragraph break even when a line break comes later', () => {
+    const text = 'The first paragraph is here.\n\nSecond, one.\nline two goes on and on';
+    const parts = splitText(text, 50);
+
+    assert.equal(parts[0], 'The first paragraph is here.\n\n');
+    assert.equal(parts.join(''), text);
+  });
+
+  it('falls back to line breaks, then whitespace, when no paragraph break lies in the second half', () => {
+    const lines = 'a\n\nbcdefghijklmnopqrstuvwxyz line one\nline two continues';
+    assert.equal(splitText(lines, 45)[0], 'a\n\nbcdefghijklmnopqrstuvwxyz line one\n');
+
+    const words = 'one two three four five six seven eight nine ten';
+    const parts = splitText(words, 20);
+    assert.ok(parts.every(part => Buffer.byteLength(part, 'utf8') <= 20));
+    assert.ok(parts.slice(0, -1).every(part => part.endsWith(' ')));
+    assert.equal(parts.join(''), words);
+  });
+
+  it('measures parts in UTF-8 bytes', () => {
+    const text = 'é'.repeat(30);
+    const parts = splitText(text, 20);
+
+    assert.ok(parts.every(part => Buffer.byteLength(part, 'utf8') <= 20));
+    assert.equal(parts.join(''), text);
+  });
+
+  it('never splits a surrogate pair', () => {
+    const text = `a${'😀'.repeat(20)}`;
+    const parts = splitText(text, 8);
+
+    assert.ok(parts.every(part => !/[\ud800-\udbff]$/.test(part) && !/^[\udc00-\udfff]/.test(part)));
+    assert.ok(parts.every(part => Buffer.byteLength(part, 'utf8') <= 8));
+    assert.equal(parts.join(''), text);
+  });
+});
+
+describe('dust_upload_file', () => {
+  const dust = createMockDust();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dust-mcp-upload-'));
+  const filePath = path.join(dir, 'notes.txt');
+  let documents;
+
+  before(async () => {
+    await dust.start();
+    documents = createDustDocuments({
+      dustApi: axios.create({ baseURL: dust.url, headers: { Authorization: `Bearer ${dust.apiKey}` } }),
+      workspaceId: dust.workspaceId,
+      listDataSources: async () => [{ space: { sId: 'spc1' }, dataSource: { sId: 'dts1', name: 'Handbook' } }],
+      maxDocumentBytes: 40,
+      maxUploadBytes: 1000,
+      logger: { info: () => {} }
+    });
+  });
+
+  after(async () => {
+    await dust.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const storedIds = () => dust.dataSources[0].documents.map(document => document.document_id).filter(id => id.startsWith('notes'));
+  const upload = (paragraphs) => {
+    fs.writeFileSync(filePath, paragraphs.map(paragraph => `${paragraph} paragraph of the notes.`).join('\n\n'));
+    return documents.uploadFile({ dataSource: 'Handbook', path: filePath, documentId: 'notes' });
+  };
+
+  it('deletes the parts left from an earlier upload in more parts', async () => {
+    await upload(['One', 'Two', 'Three']);
+    assert.deepEqual(storedIds(), ['notes_part_1', 'notes_part_2', 'notes_part_3']);
+
+    const shorter = await upload(['One', 'Two']);
+    assert.deepEqual(storedIds(), ['notes_part_1', 'notes_part_2']);
+    assert.deepEqual(shorter.removedParts, ['notes_part_3']);
+
+    const single = await upload(['One']);
+    assert.deepEqual(storedIds(), ['notes']);
+    assert.deepEqual(single.removedParts, ['notes_part_1', 'notes_part_2']);
+  });
+});
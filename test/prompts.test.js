@@ -0,0 +1,34 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { waitFor } = require('./support/mcp-server');
+const { useMcpServer } = require('./support/suite');
+
+describe('prompt templates file', () => {
+  const promptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dust-mcp-prompts-'));
+  const promptsFile = path.join(promptsDir, 'prompts.json');
+  fs.writeFileSync(promptsFile, '{ "prompts": [ { "name": "summary", ');
+  const { server } = useMcpServer({ env: { MCP_PROMPTS_FILE: promptsFile } });
+
+  after(() => {
+    fs.rmSync(promptsDir, { recursive: true, force: true });
+  });
+
+  it('logs a broken file once and serves the agent prompts until it is fixed', async () => {
+    const client = server.client();
+    await client.initialize();
+
+    await waitFor(() => server.output.includes(`${promptsFile}: invalid JSON`), { message: 'the prompts file error' });
+    const broken = await client.request('prompts/list', {});
+    assert.equal(broken.status, 200);
+    assert.ok(broken.body.result.prompts.some(prompt => prompt.title === 'Ask @Helper'));
+    assert.equal(server.output.split(`${promptsFile}: invalid JSON`).length - 1, 1);
+
+    fs.writeFileSync(promptsFile, JSON.stringify({ prompts: [{ name: 'summary', template: 'Summarize {{text}}' }] }));
+    const fixed = await client.request('prompts/list', {});
+    assert.equal(fixed.body.result.prompts[0].name, 'summary');
+  });
+});
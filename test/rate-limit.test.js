@@ -0,0 +1,26 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ask, useMcpServer } = require('./support/suite');
+
+describe('rate limits', () => {
+  const { dust, server } = useMcpServer({ env: { MCP_RATE_LIMIT_PER_MINUTE: '2' } });
+
+  it('refuses a stream over the limit with 429, Retry-After and a JSON-RPC error', async () => {
+    for (const content of ['One', 'Two']) {
+      const { status, events } = await server.streamChat(ask(content));
+      assert.equal(status, 200);
+      assert.equal(events[events.length - 1].type, 'end');
+    }
+    const conversations = dust.requestsTo('POST', '/assistant/conversations').length;
+
+    const refused = await server.streamChat(ask('Three'));
+    assert.equal(refused.status, 429);
+    assert.match(refused.headers.get('Content-Type'), /^application\/json/);
+    const retryAfter = Number(refused.headers.get('Retry-After'));
+    assert.ok(retryAfter >= 1 && retryAfter <= 60);
+    assert.equal(refused.body.error.code, -32006);
+    assert.equal(refused.body.error.data.retryAfter, retryAfter);
+    assert.equal(dust.requestsTo('POST', '/assistant/conversations').length, conversations);
+  });
+});
@@ -0,0 +1,87 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createFileStore } = require('../lib/session-store');
+
+describe('file session store', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dust-mcp-store-'));
+    filePath = path.join(dir, 'data', 'sessions.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const journal = () => fs.readFileSync(`${filePath}.log`, 'utf8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+  it('appends each change to the journal and reloads it', async () => {
+    const store = createFileStore(filePath);
+    await store.append('c1', { sessionId: 's1', agentId: 'helper', agentName: 'Helper' }, [{ role: 'user', content: 'Hi' }]);
+    await store.append('c1', {}, [{ role: 'assistant', content: 'Hello' }]);
+    await store.append('c2', { agentId: 'researcher' }, [{ role: 'user', content: 'Search' }]);
+    await store.delete('c2');
+
+    assert.equal(fs.existsSync(filePath), false);
+    const entries = journal();
+    assert.deepEqual(entries.map(entry => entry.op), ['append', 'append', 'append', 'delete']);
+    assert.deepEqual(entries[1].messages.map(message => message.content), ['Hello']);
+
+    const reloaded = createFileStore(filePath);
+    assert.deepEqual(await reloaded.get('c1'), await store.get('c1'));
+    assert.equal(await reloaded.get('c2'), null);
+  });
+
+  it('folds the journal into the snapshot, and ignores lines already folded', async () => {
+    const store = createFileStore(filePath, { compactAfter: 2 });
+    await store.append('c1', { agentId: 'helper' }, [{ role: 'user', content: 'One' }]);
+    const folded = fs.readFileSync(`${filePath}.log`, 'utf8');
+    await store.append('c1', {}, [{ role: 'user', content: 'Two' }]);
+
+    assert.equal(fs.readFileSync(`${filePath}.log`, 'utf8'), '');
+    assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).conversations[0].messages.length, 2);
+
+    // A crash between the snapshot rename and emptying the journal leaves folded lines behind
+    fs.writeFileSync(`${filePath}.log`, folded);
+    const reloaded = createFileStore(filePath);
+    assert.deepEqual((await reloaded.get('c1')).messages.map(message => message.content), ['One', 'Two']);
+  });
+
+  it('does not replay changes queued while the journal was being compacted', async () => {
+    const store = createFileStore(filePath, { compactAfter: 2 });
+    // Not awaited one by one: the later appends are still queued when the first compaction runs
+    await Promise.all(['One', 'Two', 'Three', 'Four', 'Five'].map(content => store.append('c1', { agentId: 'helper' }, [{ role: 'user', content }])));
+
+    const reloaded = createFileStore(filePath);
+    assert.deepEqual((await reloaded.get('c1')).messages.map(message => message.content), ['One', 'Two', 'Three', 'Four', 'Five']);
+  });
+
+  it('skips a torn last journal line', async () => {
+    const store = createFileStore(filePath);
+    await store.append('c1', {}, [{ role: 'user', content: 'Hi' }]);
+    fs.appendFileSync(`${filePath}.log`, '{"generation":0,"op":"app');
+
+    const reloaded = createFileStore(filePath);
+    assert.equal((await reloaded.get('c1')).messages.length, 1);
+  });
+
+  it('reads stores written as a single JSON file', async () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({
+      conversations: [{ conversationId: 'c1', sessionId: null, agentId: 'helper', agentName: null, createdAt: '2025-06-18T10:00:00.000Z', updatedAt: '2025-06-18T10:00:00.000Z', messages: [] }]
+    }));
+
+    const store = createFileStore(filePath);
+    await store.append('c1', {}, [{ role: 'user', content: 'Back again' }]);
+
+    const reloaded = createFileStore(filePath);
+    assert.equal((await reloaded.get('c1')).messages[0].content, 'Back again');
+    assert.equal((await reloaded.list()).total, 1);
+  });
+});
@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { waitFor } = require('./support/mcp-server');
+const { useMcpServer } = require('./support/suite');
+
+describe('HTTP sessions', () => {
+  // The sweep of idle sessions is logged at info level
+  const { server } = useMcpServer({ env: { MCP_SESSION_IDLE_TIMEOUT_MS: '1000', LOG_LEVEL: 'info' } });
+
+  it('answers an unknown session id with 404', async () => {
+    const response = await fetch(`${server.url}/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Mcp-Session-Id': 'no-such-session' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list', params: {} })
+    });
+
+    assert.equal(response.status, 404);
+    const body = await response.json();
+    assert.equal(body.id, 1);
+    assert.match(body.error.message, /Unknown or expired session/);
+  });
+
+  it('declares only the capabilities it serves', async () => {
+    const client = server.client();
+    const initialized = await client.initialize();
+    assert.deepEqual(Object.keys(initialized.body.result.capabilities).sort(), ['prompts', 'resources', 'tools']);
+
+    const setLevel = await client.request('logging/setLevel', { level: 'debug' });
+    assert.equal(setLevel.body.error.code, -32601);
+  });
+
+  it('expires idle sessions, which can then initialize again', async () => {
+    const client = server.client();
+    await client.initialize();
+    const sessionId = client.sessionId;
+    assert.equal((await client.request('ping', {})).status, 200);
+
+    await waitFor(() => server.output.includes(`Expired MCP session ${sessionId}`), { message: 'the idle session to expire' });
+    const expired = await client.request('ping', {});
+    assert.equal(expired.status, 404);
+
+    const reopened = await client.initialize();
+    assert.equal(reopened.status, 200);
+    assert.notEqual(client.sessionId, sessionId);
+    assert.equal((await client.request('tools/list', {})).status, 200);
+  });
+});
@@ -0,0 +1,189 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { waitFor } = require('./support/mcp-server');
+const { ask, useMcpServer } = require('./support/suite');
+
+const eventsOfType = (events, type) => events.filter(event => event.type === type);
+
+describe('chat over /mcp/stream', () => {
+  const { dust, server } = useMcpServer({ env: { MCP_TIMEOUT: '1' } });
+
+  beforeEach(() => {
+    dust.reset();
+  });
+
+  it('streams the answer as deltas, then ends with the whole answer', async () => {
+    dust.script({ reply: 'Hello from the mock agent' });
+    const { status, headers, events } = await server.streamChat(ask('Hi'));
+
+    assert.equal(status, 200);
+    assert.ok(headers.get('X-Request-Id'));
+    const [start] = events;
+    assert.equal(start.type, 'start');
+    assert.equal(start.requestId, headers.get('X-Request-Id'));
+    assert.ok(dust.conversations.has(start.conversationId));
+
+    const deltas = eventsOfType(events, 'delta');
+    assert.ok(deltas.length > 1);
+    assert.equal(deltas.map(event => event.delta).join(''), 'Hello from the mock agent');
+    assert.deepEqual(events[events.length - 1], {
+      id: start.id,
+      conversationId: start.conversationId,
+      type: 'end',
+      content: 'Hello from the mock agent'
+    });
+  });
+
+  it('forwards the activity events the client asks for', async () => {
+    dust.script({ thinking: 'Looking it up.', search: 'vacation policy', reply: 'Twenty days.' });
+    const { events } = await server.streamChat(ask('How many vacation days?', { events: ['thinking', 'action_started', 'action_result'] }));
+
+    const types = events.map(event => event.type);
+    assert.ok(types.indexOf('thinking') < types.indexOf('action_started'));
+    assert.ok(types.indexOf('action_started') < types.indexOf('action_result'));
+    assert.ok(types.indexOf('action_result') < types.indexOf('delta'));
+    assert.equal(eventsOfType(events, 'end')[0].content, 'Twenty days.');
+  });
+
+  it('leaves activity events out when the client opts out', async () => {
+    dust.script({ thinking: 'Looking it up.', search: 'vacation policy', reply: 'Twenty days.' });
+    const { events } = await server.streamChat(ask('How many vacation days?', { events: [] }));
+
+    assert.deepEqual([...new Set(events.map(event => event.type))], ['start', 'delta', 'end']);
+  });
+
+  it('sends an error event when the agent fails', async () => {
+    dust.script({ reply: 'Partial', error: 'Model overloaded' });
+    const { events } = await server.streamChat(ask('Hi'));
+
+    const last = events[events.length - 1];
+    assert.equal(last.type, 'error');
+    assert.equal(last.error, 'Model overloaded');
+    assert.equal(eventsOfType(events, 'end').length, 0);
+  });
+
+  it('falls back to polling when the event stream is unavailable', async () => {
+    dust.script({ stream: false, reply: 'Polled answer', tokenDelayMs: 0 });
+    const { events } = await server.streamChat(ask('Hi'));
+
+    assert.deepEqual(events.map(event => event.type), ['start', 'content', 'end']);
+    assert.equal(events[1].content, 'Polled answer');
+    assert.equal(events[2].content, 'Polled answer');
+    assert.ok(dust.requestsTo('GET', /\/events$/).length > 0);
+  });
+
+  it('times out when the agent does not finish in time', async () => {
+    dust.script({ hang: true, reply: 'Still thinking' });
+    const startedAt = Date.now();
+    const { events } = await server.streamChat(ask('Hi'));
+
+    assert.equal(eventsOfType(events, 'delta').map(event => event.delta).join(''), 'Still thinking');
+    const last = events[events.length - 1];
+    assert.equal(last.type, 'error');
+    assert.equal(last.error, 'Request timed out');
+    assert.ok(Date.now() - startedAt < 4000);
+  });
+
+  it('cancels the agent message when the client disconnects', async () => {
+    dust.script({ hang: true, reply: 'Still thinking' });
+    const { events } = await server.streamChat(ask('Hi'), { until: event => event.type === 'delta' });
+
+    const [start] = events;
+    const cancel = await waitFor(() => dust.requestsTo('POST', '/cancel')[0], { message: 'the cancel request' });
+    assert.deepEqual(cancel.body.messageIds, [start.id]);
+    assert.ok(cancel.path.includes(start.conversationId));
+  });
+
+  it('stops on chat.cancel with the stream request id', async () => {
+    dust.script({ hang: true, reply: 'Still thinking' });
+    const client = server.client();
+    await client.initialize();
+
+    let cancelled;
+    const { events } = await server.streamChat(ask('Hi'), {
+      until: (event) => {
+        if (event.type === 'start') {
+          cancelled = client.request('chat.cancel', { requestId: event.requestId, reason: 'User stopped it' });
+        }
+        return event.type === 'cancelled';
+      }
+    });
+
+    assert.deepEqual((await cancelled).body.result, { cancelled: true });
+    assert.equal(events[events.length - 1].type, 'cancelled');
+    assert.match(events[events.length - 1].reason, /User stopped it/);
+    assert.equal(dust.requestsTo('POST', '/cancel').length, 1);
+  });
+
+  it('runs under the request id the client sent, and refuses it twice at once', async () => {
+    dust.script({ hang: true, reply: 'Still thinking' });
+    let second;
+    const { headers, events } = await server.streamChat(ask('Hi'), {
+      requestId: 'client-stream-1',
+      until: (event) => {
+        if (event.type === 'start') {
+          second = server.streamChat(ask('Hi again'), { requestId: 'client-stream-1' });
+        }
+        return event.type === 'start';
+      }
+    });
+
+    assert.equal(headers.get('X-Request-Id'), 'client-stream-1');
+    assert.equal(events[0].requestId, 'client-stream-1');
+    const refused = await second;
+    assert.equal(refused.status, 409);
+    assert.equal(refused.body.error.code, -32600);
+    await waitFor(() => dust.requestsTo('POST', '/cancel')[0], { message: 'the cancel request' });
+  });
+
+  it('rejects methods other than chat', async () => {
+    const response = await server.streamChat(ask('Hi'), { method: 'search' });
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body, { jsonrpc: '2.0', id: null, error: { code: -32601, message: 'Method search not supported' } });
+  });
+
+  it('rejects malformed params with a parse error', async () => {
+    const response = await server.streamChat('{"messages": [');
+    assert.equal(response.status, 400);
+    assert.match(response.headers.get('Content-Type'), /^application\/json/);
+    assert.equal(response.body.error.code, -32700);
+  });
+
+  it('rejects invalid params and unknown models before calling Dust', async () => {
+    const invalid = await server.streamChat({ messages: [{ role: 'user' }] });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error.code, -32602);
+
+    const unknown = await server.streamChat(ask('Hi', { model: 'nobody' }));
+    assert.equal(unknown.status, 400);
+    assert.match(unknown.headers.get('Content-Type'), /^application\/json/);
+    assert.match(unknown.body.error.message, /unknown model nobody/);
+
+    assert.equal(dust.requestsTo('POST', '/assistant/conversations').length, 0);
+  });
+
+  it('reports Dust failures as an error event', async () => {
+    dust.failNext({ method: 'POST', path: /\/messages$/, status: 400, message: 'Message too long' });
+    const { events } = await server.streamChat(ask('Hi'));
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].type, 'error');
+    assert.match(events[0].error, /Failed to post message/);
+  });
+});
+
+describe('chat over /mcp/stream with LOG_REDACT=content', () => {
+  const { dust, server } = useMcpServer({ env: { LOG_LEVEL: 'debug', LOG_REDACT: 'secrets,content' } });
+
+  it('keeps the question, the thinking and the answer out of debug logs', async () => {
+    dust.script({ thinking: 'Pondering lighthouses.', reply: 'Zebrafish migrate northward.' });
+    const { events } = await server.streamChat(ask('Where do zebrafish swim?', { events: ['thinking'] }));
+    assert.equal(eventsOfType(events, 'end')[0].content, 'Zebrafish migrate northward.');
+
+    await waitFor(() => server.output.includes('Sending SSE event'), { message: 'the debug log of the events' });
+    for (const written of ['zebrafish swim', 'Zebrafish', 'northward', 'lighthouses']) {
+      assert.ok(!server.output.includes(written), `${written} is in the log`);
+    }
+  });
+});
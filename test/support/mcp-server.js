@@ -0,0 +1,229 @@
+/**
+ * Run the MCP server against a mock Dust API, and talk to it over HTTP
+ * The server runs as a child process from an empty working directory, so no .env, config
+ * or prompts file of the checkout changes its behavior.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { setTimeout: sleep } = require('timers/promises');
+
+const SERVER_PATH = path.join(__dirname, '..', '..', 'server.js');
+const STARTUP_TIMEOUT_MS = 10000;
+const PROTOCOL_VERSION = '2025-06-18';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start the server
+ * @param {Object} options
+ * @param {Object} options.dust - a started mock from createMockDust
+ * @param {Object} [options.env] - extra environment variables, e.g. { MCP_TIMEOUT: '2' }
+ * @returns {Promise<Object>} { url, output, stop, client, streamChat }
+ */
+async function startMcpServer({ dust, env = {} }) {
+  const port = await freePort();
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'dust-mcp-test-'));
+  const childEnv = {
+    DUST_API_KEY: dust.apiKey,
+    DUST_WORKSPACE_ID: dust.workspaceId,
+    DUST_AGENT_ID: dust.agents[0].sId,
+    DUST_DOMAIN: dust.url,
+    MCP_PORT: String(port),
+    LOG_DIR: '',
+    LOG_LEVEL: 'warn',
+    // Fast retries, so failure tests do not wait on backoff
+    DUST_HTTP_RETRY_BASE_MS: '10',
+    DUST_HTTP_RETRY_MAX_MS: '100',
+    HEALTH_CACHE_TTL_MS: '0',
+    ...env
+  };
+  // Only what is needed to find node and its modules comes from the outer environment
+  for (const name of ['PATH', 'NODE_PATH', 'SYSTEMROOT']) {
+    if (process.env[name] !== undefined && childEnv[name] === undefined) {
+      childEnv[name] = process.env[name];
+    }
+  }
+
+  const child = spawn(process.execPath, [SERVER_PATH], { cwd, env: childEnv, stdio: ['ignore', 'pipe', 'pipe'] });
+  let output = '';
+  const collect = (chunk) => {
+    output += chunk;
+  };
+  child.stdout.on('data', collect);
+  child.stderr.on('data', collect);
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const url = `http://127.0.0.1:${port}`;
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  let running = false;
+  while (!running) {
+    if (child.exitCode !== null || Date.now() > deadline) {
+      child.kill();
+      fs.rmSync(cwd, { recursive: true, force: true });
+      throw new Error(`Server did not start:\n${output}`);
+    }
+    try {
+      running = (await fetch(`${url}/health/live`)).ok;
+    } catch (error) {
+      await sleep(50);
+    }
+  }
+
+  return {
+    url,
+    get output() {
+      return output;
+    },
+    async stop() {
+      if (child.exitCode === null) {
+        child.kill('SIGTERM');
+      }
+      await exited;
+      fs.rmSync(cwd, { recursive: true, force: true });
+    },
+    client: token => createMcpClient(url, token),
+    streamChat: (params, options) => streamChat(url, params, options)
+  };
+}
+
+/**
+ * A JSON-RPC client of /mcp, holding one MCP session
+ * @param {string} url - server base URL
+ * @param {string} [token] - Bearer token, when the server requires one
+ * @returns {Object} { initialize, request, notify, peekNextId, sessionId }
+ */
+function createMcpClient(url, token) {
+  let sessionId = null;
+  let nextId = 1;
+
+  async function post(body, { signal } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (sessionId) {
+      headers['Mcp-Session-Id'] = sessionId;
+    }
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    const response = await fetch(`${url}/mcp`, { method: 'POST', headers, body: JSON.stringify(body), signal });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+  }
+
+  return {
+    get sessionId() {
+      return sessionId;
+    },
+
+    // Open the session: initialize, then notifications/initialized
+    async initialize() {
+      const response = await post({ jsonrpc: '2.0', id: nextId++, method: 'initialize', params: { protocolVersion: PROTOCOL_VERSION, clientInfo: { name: 'test', version: '1.0.0' } } });
+      sessionId = response.headers.get('Mcp-Session-Id');
+      await post({ jsonrpc: '2.0', method: 'notifications/initialized' });
+      return response;
+    },
+
+    // Call a method, resolving with { status, headers, body }
+    request(method, params, options) {
+      return post({ jsonrpc: '2.0', id: nextId++, method, params }, options);
+    },
+
+    notify(method, params) {
+      return post({ jsonrpc: '2.0', method, params });
+    },
+
+    // Id of the next request, for cancelling it
+    peekNextId() {
+      return nextId;
+    }
+  };
+}
+
+/**
+ * Chat over /mcp/stream, collecting the chat events
+ * @param {string} url - server base URL
+ * @param {Object|string} params - chat params, or the raw params query value
+ * @param {Object} [options]
+ * @param {Function} [options.until] - stop reading (and hang up) once it returns true for an event
+ * @param {string} [options.method] - streamed method (default chat)
+ * @param {string} [options.token] - Bearer token, when the server requires one
+ * @param {string} [options.requestId] - sent as X-Request-Id
+ * @returns {Promise<Object>} { status, headers, events } for event streams, { status, headers, body } otherwise
+ */
+async function streamChat(url, params, { until, method = 'chat', token, requestId } = {}) {
+  const query = new URLSearchParams({ method, params: typeof params === 'string' ? params : JSON.stringify(params) });
+  const controller = new AbortController();
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  if (requestId) {
+    headers['X-Request-Id'] = requestId;
+  }
+  const response = await fetch(`${url}/mcp/stream?${query}`, { headers, signal: controller.signal });
+  // Refusals are plain JSON-RPC errors
+  if (response.status !== 200) {
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  }
+
+  const events = [];
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const frame = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const data = frame.split('\n').filter(line => line.startsWith('data: ')).map(line => line.slice(6)).join('\n');
+        if (!data) {
+          continue;
+        }
+        const event = JSON.parse(data).params;
+        events.push(event);
+        if (until && until(event)) {
+          controller.abort();
+          return { status: response.status, headers: response.headers, events };
+        }
+      }
+    }
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      throw error;
+    }
+  }
+  return { status: response.status, headers: response.headers, events };
+}
+
+// Wait until check() returns a truthy value, polling every 20ms
+async function waitFor(check, { timeoutMs = 5000, message = 'condition' } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) {
+      return value;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${message}`);
+    }
+    await sleep(20);
+  }
+}
+
+module.exports = {
+  freePort,
+  startMcpServer,
+  createMcpClient,
+  streamChat,
+  waitFor
+};
@@ -0,0 +1,642 @@
+/**
+ * Mock Dust API for the test suite
+ * Serves, from memory, the endpoints the server calls: me, spaces, data sources with their
+ * documents and search, agent configurations, file uploads, conversations, messages, content
+ * fragments, agent event streams and cancellation. Tests script how the next
+ * agent messages answer and inject failures into the next matching requests:
+ *
+ *   mock.script({ reply: 'Hello there', tokenDelayMs: 20 });
+ *   mock.failNext({ method: 'POST', path: '/messages', status: 429, retryAfter: 0 });
+ *
+ * Run it on its own to try the server without a Dust account:
+ *   node test/support/mock-dust.js [port]
+ * then start the server with DUST_DOMAIN=http://127.0.0.1:<port>, DUST_API_KEY=sk-mock,
+ * DUST_WORKSPACE_ID=mock-workspace and DUST_AGENT_ID=helper.
+ */
+
+const express = require('express');
+const { setTimeout: sleep } = require('timers/promises');
+
+const DEFAULT_API_KEY = 'sk-mock';
+const DEFAULT_WORKSPACE_ID = 'mock-workspace';
+const DEFAULT_AGENTS = [
+  { id: 1, sId: 'helper', name: 'Helper', description: 'Answers questions', status: 'active', scope: 'workspace' },
+  { id: 2, sId: 'researcher', name: 'Researcher', description: 'Searches the company knowledge', status: 'active', scope: 'published' },
+  { id: 3, sId: 'retired', name: 'Retired', description: '', status: 'archived', scope: 'workspace' }
+];
+
+// Data sources of the only space, with their documents (document upserts and deletes change a copy)
+const DEFAULT_DATA_SOURCES = [
+  {
+    sId: 'dts1',
+    name: 'Handbook',
+    description: 'Company policies',
+    documents: [
+      { document_id: 'vacation', title: 'Vacation policy', source_url: 'https://example.com/handbook/vacation', tags: ['hr'], timestamp: 1700000000000, text: 'Employees get twenty vacation days per year.\n\nUnused vacation days carry over to the next year.' },
+      { document_id: 'expenses', title: 'Expense policy', source_url: null, tags: ['finance'], timestamp: 1700000100000, text: 'Travel expenses are reimbursed within thirty days.' }
+    ]
+  },
+  {
+    sId: 'dts2',
+    name: 'Engineering wiki',
+    description: '',
+    documents: [
+      { document_id: 'deploys', title: 'Deploys', source_url: 'https://example.com/wiki/deploys', tags: [], timestamp: 1700000200000, text: 'Deploys happen every weekday, never on Friday afternoons.' }
+    ]
+  }
+];
+
+// Delay between two generated tokens when a scenario does not say
+const DEFAULT_TOKEN_DELAY_MS = 10;
+
+// Relevance of a text to a query: the share of the query's words it contains
+function matchScore(text, query) {
+  const words = query.toLowerCase().match(/\w+/g) || [];
+  const haystack = text.toLowerCase();
+  return words.length === 0 ? 0 : words.filter(word => haystack.includes(word)).length / words.length;
+}
+
+// Chunks streamed for a reply: words, each with the space before it
+function splitTokens(text) {
+  return text.match(/\s*\S+/g) || [];
+}
+
+function dustError(res, status, type, message) {
+  res.status(status).json({ error: { type, message } });
+}
+
+/**
+ * Create a mock Dust API
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - the only accepted Bearer token
+ * @param {string} [options.workspaceId] - the only workspace
+ * @param {Array<Object>} [options.agents] - agent configurations
+ * @param {Array<Object>} [options.dataSources] - data sources of the only space, with their documents
+ * @returns {Object} { start, stop, reset, script, failNext, requestsTo, requests, conversations, files, dataSources, url }
+ *
+ * Scenarios (script) decide how an agent message answers, in the order they were scripted;
+ * once they run out, agents echo the user message:
+ * - reply: the answer, streamed word by word (or tokens: the chunks to stream)
+ * - tokenDelayMs: pause before each chunk, which also sets when a polled message is done
+ * - thinking: chain of thought streamed before the answer
+ * - search: query of a retrieval action run before the answer
+ * - error: the agent fails with this message
+ * - hang: the agent never finishes (until cancelled)
+ * - stream: false makes the event stream fail (HTTP 500), so only polling sees the answer
+ */
+function createMockDust({ apiKey = DEFAULT_API_KEY, workspaceId = DEFAULT_WORKSPACE_ID, agents = DEFAULT_AGENTS, dataSources = DEFAULT_DATA_SOURCES } = {}) {
+  const app = express();
+  const copyDataSources = () => JSON.parse(JSON.stringify(dataSources));
+  const state = {
+    server: null,
+    url: null,
+    nextId: 1,
+    scenarios: [],
+    failures: [],
+    requests: [],
+    conversations: new Map(),
+    files: new Map(),
+    dataSources: copyDataSources()
+  };
+
+  const newId = prefix => `${prefix}${state.nextId++}`;
+
+  // Requests are recorded before anything else, failures included
+  app.use(express.json({ limit: '10mb' }));
+  app.use((req, res, next) => {
+    state.requests.push({
+      method: req.method,
+      path: req.path,
+      query: req.query,
+      body: req.body,
+      authorization: req.get('Authorization')
+    });
+    next();
+  });
+
+  // Injected failures, slow responses and dropped connections
+  app.use(async (req, res, next) => {
+    const failure = state.failures.find(candidate => candidate.count > 0 && matchesRequest(candidate, req));
+    if (!failure) {
+      next();
+      return;
+    }
+    failure.count -= 1;
+    if (failure.delayMs) {
+      await sleep(failure.delayMs);
+    }
+    if (failure.drop) {
+      req.socket.destroy();
+      return;
+    }
+    if (!failure.status) {
+      next();
+      return;
+    }
+    if (failure.retryAfter !== undefined) {
+      res.setHeader('Retry-After', String(failure.retryAfter));
+    }
+    dustError(res, failure.status, failure.type || 'internal_server_error', failure.message || `Injected HTTP ${failure.status}`);
+  });
+
+  app.use('/api/v1', (req, res, next) => {
+    if (req.get('Authorization') !== `Bearer ${apiKey}`) {
+      dustError(res, 401, 'not_authenticated', 'The API key is invalid');
+      return;
+    }
+    next();
+  });
+
+  app.get('/api/v1/me', (req, res) => {
+    res.json({ sId: 'usr1', username: 'mock', email: 'mock@example.com', firstName: 'Mock', lastName: 'User', workspaces: [{ sId: workspaceId, name: 'Mock workspace' }] });
+  });
+
+  const workspace = express.Router();
+  app.use('/api/v1/w/:wId', (req, res, next) => {
+    if (req.params.wId !== workspaceId) {
+      dustError(res, 404, 'workspace_not_found', `Workspace ${req.params.wId} not found`);
+      return;
+    }
+    next();
+  }, workspace);
+
+  workspace.get('/spaces', (req, res) => {
+    res.json({ spaces: [{ sId: 'spc1', name: 'Company Data', kind: 'global' }] });
+  });
+
+  const dataSourceView = ({ documents, ...dataSource }) => ({ ...dataSource, id: Number(dataSource.sId.replace(/\D/g, '')) || 0 });
+  const documentView = ({ text, ...document }) => ({ ...document, text_size: Buffer.byteLength(text, 'utf8') });
+
+  workspace.get('/spaces/:spaceId/data_sources', (req, res) => {
+    res.json({ data_sources: req.params.spaceId === 'spc1' ? state.dataSources.map(dataSourceView) : [] });
+  });
+
+  // The data source of a request, or a 404 answer
+  const dataSourceOf = (req, res) => {
+    const dataSource = req.params.spaceId === 'spc1' && state.dataSources.find(candidate => candidate.sId === req.params.dsId);
+    if (!dataSource) {
+      dustError(res, 404, 'data_source_not_found', `Data source ${req.params.dsId} not found`);
+      return null;
+    }
+    return dataSource;
+  };
+
+  workspace.get('/spaces/:spaceId/data_sources/:dsId/documents', (req, res) => {
+    const dataSource = dataSourceOf(req, res);
+    if (!dataSource) {
+      return;
+    }
+    const offset = Number(req.query.offset) || 0;
+    const limit = Number(req.query.limit) || 10;
+    res.json({ documents: dataSource.documents.slice(offset, offset + limit).map(documentView), total: dataSource.documents.length });
+  });
+
+  workspace.get('/spaces/:spaceId/data_sources/:dsId/documents/:documentId', (req, res) => {
+    const dataSource = dataSourceOf(req, res);
+    const document = dataSource && dataSource.documents.find(candidate => candidate.document_id === req.params.documentId);
+    if (!document) {
+      if (dataSource) {
+        dustError(res, 404, 'data_source_document_not_found', `Document ${req.params.documentId} not found`);
+      }
+      return;
+    }
+    res.json({ document });
+  });
+
+  workspace.post('/spaces/:spaceId/data_sources/:dsId/documents/:documentId', (req, res) => {
+    const dataSource = dataSourceOf(req, res);
+    if (!dataSource) {
+      return;
+    }
+    if (typeof req.body.text !== 'string') {
+      dustError(res, 400, 'invalid_request_error', 'text is required');
+      return;
+    }
+    const document = {
+      document_id: req.params.documentId,
+      title: req.body.title || null,
+      source_url: req.body.source_url || null,
+      tags: req.body.tags || [],
+      timestamp: Date.now(),
+      text: req.body.text
+    };
+    dataSource.documents = [...dataSource.documents.filter(candidate => candidate.document_id !== document.document_id), document];
+    res.json({ document: documentView(document), data_source: dataSourceView(dataSource) });
+  });
+
+  workspace.delete('/spaces/:spaceId/data_sources/:dsId/documents/:documentId', (req, res) => {
+    const dataSource = dataSourceOf(req, res);
+    if (!dataSource) {
+      return;
+    }
+    dataSource.documents = dataSource.documents.filter(candidate => candidate.document_id !== req.params.documentId);
+    res.json({ document: { document_id: req.params.documentId } });
+  });
+
+  // Semantic search, approximated by the share of query words found in each paragraph
+  workspace.get('/spaces/:spaceId/data_sources/:dsId/search', (req, res) => {
+    const dataSource = dataSourceOf(req, res);
+    if (!dataSource) {
+      return;
+    }
+    const query = String(req.query.query || '');
+    const topK = Number(req.query.top_k) || 10;
+    const tagsIn = [].concat(req.query.tags_in || []);
+    const tagsNot = [].concat(req.query.tags_not || []);
+    const documents = dataSource.documents
+      .filter(document => tagsIn.length === 0 || document.tags.some(tag => tagsIn.includes(tag)))
+      .filter(document => !document.tags.some(tag => tagsNot.includes(tag)))
+      .map(document => ({
+        ...documentView(document),
+        chunks: document.text.split('\n\n')
+          .map(text => ({ text, score: matchScore(text, query) }))
+          .filter(chunk => chunk.score > 0)
+      }))
+      .filter(document => document.chunks.length > 0)
+      .slice(0, topK);
+    res.json({ documents });
+  });
+
+  workspace.get('/assistant/agent_configurations', (req, res) => {
+    res.json({ agentConfigurations: agents });
+  });
+
+  const fileView = ({ uploadedBytes, ...file }) => file;
+
+  // File uploads: the file is created first, then its content is posted to its upload URL
+  workspace.post('/files', (req, res) => {
+    const { contentType, fileName, fileSize, useCase } = req.body;
+    const sId = newId('fil');
+    const file = { id: sId, sId, contentType, fileName, fileSize, status: 'created', useCase, uploadedBytes: 0 };
+    state.files.set(sId, file);
+    res.json({ file: { ...fileView(file), uploadUrl: `${state.url}/upload/files/${sId}` } });
+  });
+
+  app.post('/upload/files/:fileId', (req, res) => {
+    const file = state.files.get(req.params.fileId);
+    if (!file) {
+      dustError(res, 404, 'file_not_found', `File ${req.params.fileId} not found`);
+      return;
+    }
+    // The multipart body is only measured
+    req.on('data', (chunk) => {
+      file.uploadedBytes += chunk.length;
+    });
+    req.on('end', () => {
+      file.status = 'ready';
+      res.json({ file: fileView(file) });
+    });
+  });
+
+  workspace.post('/assistant/conversations', (req, res) => {
+    const conversation = { id: state.nextId, sId: newId('cnv'), title: req.body.title || null, created: Date.now(), content: [] };
+    state.conversations.set(conversation.sId, conversation);
+    if (req.body.message) {
+      const { userMessage } = postMessage(conversation, req.body.message);
+      res.json({ conversation: conversationView(conversation), message: userMessage });
+      return;
+    }
+    res.json({ conversation: conversationView(conversation) });
+  });
+
+  workspace.get('/assistant/conversations/:cId', (req, res) => {
+    const conversation = state.conversations.get(req.params.cId);
+    if (!conversation) {
+      dustError(res, 404, 'conversation_not_found', `Conversation ${req.params.cId} not found`);
+      return;
+    }
+    res.json({ conversation: conversationView(conversation) });
+  });
+
+  workspace.post('/assistant/conversations/:cId/messages', (req, res) => {
+    const conversation = state.conversations.get(req.params.cId);
+    if (!conversation) {
+      dustError(res, 404, 'conversation_not_found', `Conversation ${req.params.cId} not found`);
+      return;
+    }
+    if (typeof req.body.content !== 'string' || !req.body.context || !req.body.context.username) {
+      dustError(res, 400, 'invalid_request_error', 'content and context.username are required');
+      return;
+    }
+    const { userMessage, agentMessages } = postMessage(conversation, req.body);
+    res.json({ message: userMessage, agentMessages: agentMessages.map(messageView) });
+  });
+
+  workspace.post('/assistant/conversations/:cId/content_fragments', (req, res) => {
+    const conversation = state.conversations.get(req.params.cId);
+    if (!conversation) {
+      dustError(res, 404, 'conversation_not_found', `Conversation ${req.params.cId} not found`);
+      return;
+    }
+    const file = state.files.get(req.body.fileId);
+    if (!file || file.status !== 'ready') {
+      dustError(res, 400, 'invalid_request_error', `File ${req.body.fileId} is not uploaded`);
+      return;
+    }
+    const contentFragment = { type: 'content_fragment', sId: newId('cf'), title: req.body.title, fileId: file.sId, contentType: file.contentType, textBytes: file.uploadedBytes };
+    conversation.content.push([contentFragment]);
+    res.json({ contentFragment });
+  });
+
+  workspace.post('/assistant/conversations/:cId/cancel', (req, res) => {
+    const conversation = state.conversations.get(req.params.cId);
+    if (!conversation) {
+      dustError(res, 404, 'conversation_not_found', `Conversation ${req.params.cId} not found`);
+      return;
+    }
+    for (const message of agentMessagesOf(conversation)) {
+      if ((req.body.messageIds || []).includes(message.sId) && !isDone(message)) {
+        message.cancelledAt = Date.now();
+      }
+    }
+    res.json({ success: true });
+  });
+
+  workspace.get('/assistant/conversations/:cId/messages/:mId/events', async (req, res) => {
+    const conversation = state.conversations.get(req.params.cId);
+    const message = conversation && agentMessagesOf(conversation).find(candidate => candidate.sId === req.params.mId);
+    if (!message) {
+      dustError(res, 404, 'message_not_found', `Message ${req.params.mId} not found`);
+      return;
+    }
+    if (message.scenario.stream === false) {
+      dustError(res, 500, 'internal_server_error', 'Event stream unavailable');
+      return;
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.flushHeaders();
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+    });
+
+    // Event ids are positions in the message's event list, so a reconnecting client resumes after lastEventId
+    const events = streamEvents(message);
+    const lastEventId = Number(req.query.lastEventId) || 0;
+    for (let index = lastEventId; index < events.length && !closed; index += 1) {
+      const { delayMs, data } = events[index];
+      if (delayMs) {
+        await sleep(delayMs);
+      }
+      if (closed || message.cancelledAt) {
+        break;
+      }
+      res.write(`data: ${JSON.stringify({ eventId: String(index + 1), data })}\n\n`);
+    }
+    // A hanging agent keeps the stream open until it is cancelled or the client leaves
+    while (message.scenario.hang && !closed && !message.cancelledAt) {
+      await sleep(20);
+    }
+    if (!closed && message.cancelledAt) {
+      res.write(`data: ${JSON.stringify({ eventId: String(events.length + 1), data: { type: 'agent_generation_cancelled', created: message.cancelledAt, configurationId: message.configuration.sId, messageId: message.sId } })}\n\n`);
+    }
+    res.end();
+  });
+
+  // Add a user message, and an agent message for each mentioned agent
+  function postMessage(conversation, body) {
+    const userMessage = {
+      id: state.nextId,
+      sId: newId('msg'),
+      type: 'user_message',
+      visibility: 'visible',
+      version: 0,
+      created: Date.now(),
+      content: body.content,
+      mentions: body.mentions || [],
+      context: body.context || {}
+    };
+    conversation.content.push([userMessage]);
+
+    const agentMessages = (body.mentions || []).map((mention) => {
+      const agent = agents.find(candidate => candidate.sId === mention.configurationId) || { sId: mention.configurationId, name: mention.configurationId };
+      const scenario = state.scenarios.shift() || { reply: `Echo: ${body.content}` };
+      const agentMessage = {
+        id: state.nextId,
+        sId: newId('msg'),
+        type: 'agent_message',
+        visibility: 'visible',
+        version: 0,
+        created: Date.now(),
+        parentMessageId: userMessage.sId,
+        configuration: { sId: agent.sId, name: agent.name },
+        scenario,
+        tokens: scenario.tokens || splitTokens(scenario.reply || ''),
+        cancelledAt: null
+      };
+      conversation.content.push([agentMessage]);
+      return agentMessage;
+    });
+    return { userMessage, agentMessages };
+  }
+
+  function agentMessagesOf(conversation) {
+    return conversation.content.map(versions => versions[versions.length - 1]).filter(message => message.type === 'agent_message');
+  }
+
+  // When the agent is done generating, had it streamed every event on schedule
+  function finishedAt(message) {
+    const delayMs = message.scenario.tokenDelayMs === undefined ? DEFAULT_TOKEN_DELAY_MS : message.scenario.tokenDelayMs;
+    return message.created + delayMs * Math.max(message.tokens.length, 1);
+  }
+
+  function isDone(message) {
+    return Boolean(message.cancelledAt) || (!message.scenario.hang && Date.now() >= finishedAt(message));
+  }
+
+  // Agent message as Dust returns it: still 'created' while it is generating
+  function messageView(message) {
+    const { scenario } = message;
+    const view = {
+      id: message.id,
+      sId: message.sId,
+      type: message.type,
+      visibility: message.visibility,
+      version: message.version,
+      created: message.created,
+      parentMessageId: message.parentMessageId,
+      configuration: message.configuration,
+      status: 'created',
+      content: null,
+      chainOfThought: null,
+      error: null,
+      actions: []
+    };
+    if (message.cancelledAt) {
+      return { ...view, status: 'cancelled', content: message.tokens.join('') };
+    }
+    if (!isDone(message)) {
+      return view;
+    }
+    if (scenario.error) {
+      return { ...view, status: 'failed', error: { code: 'agent_error', message: scenario.error } };
+    }
+    return {
+      ...view,
+      status: 'succeeded',
+      content: message.tokens.join(''),
+      chainOfThought: scenario.thinking || null,
+      actions: scenario.search ? [searchAction(message, true)] : []
+    };
+  }
+
+  function conversationView(conversation) {
+    return {
+      ...conversation,
+      content: conversation.content.map(versions => versions.map(message => (message.type === 'agent_message' ? messageView(message) : message)))
+    };
+  }
+
+  function searchAction(message, done) {
+    return {
+      id: message.id,
+      type: 'retrieval_action',
+      agentMessageId: message.id,
+      params: { query: message.scenario.search, relativeTimeFrame: null, topK: 8 },
+      functionCallId: 'call_1',
+      functionCallName: 'search_company_data',
+      step: 0,
+      documents: done
+        ? [{ id: 1, documentId: 'doc1', reference: 'a', score: 0.9, sourceUrl: 'https://example.com/doc1', tags: [], timestamp: message.created, chunks: [], dataSourceView: null }]
+        : null
+    };
+  }
+
+  // Events of an agent message's stream, each with the pause before it
+  function streamEvents(message) {
+    const { scenario } = message;
+    const delayMs = scenario.tokenDelayMs === undefined ? DEFAULT_TOKEN_DELAY_MS : scenario.tokenDelayMs;
+    const base = { created: message.created, configurationId: message.configuration.sId, messageId: message.sId };
+    const events = [];
+    if (scenario.thinking) {
+      events.push({ data: { ...base, type: 'generation_tokens', classification: 'chain_of_thought', text: scenario.thinking } });
+    }
+    if (scenario.search) {
+      events.push({ data: { ...base, type: 'retrieval_params', dataSources: [], action: searchAction(message, false) } });
+      events.push({ data: { ...base, type: 'agent_action_success', action: searchAction(message, true) } });
+    }
+    for (const text of message.tokens) {
+      events.push({ delayMs, data: { ...base, type: 'generation_tokens', classification: 'tokens', text } });
+    }
+    if (scenario.hang) {
+      return events;
+    }
+    if (scenario.error) {
+      events.push({ data: { ...base, type: 'agent_error', error: { code: 'agent_error', message: scenario.error } } });
+    } else {
+      events.push({ data: { ...base, type: 'agent_message_success', message: { ...messageView(message), status: 'succeeded', content: message.tokens.join('') } } });
+    }
+    return events;
+  }
+
+  function matchesRequest(failure, req) {
+    if (failure.method && failure.method.toUpperCase() !== req.method) {
+      return false;
+    }
+    if (!failure.path) {
+      return true;
+    }
+    return failure.path instanceof RegExp ? failure.path.test(req.path) : req.path.includes(failure.path);
+  }
+
+  return {
+    get url() {
+      return state.url;
+    },
+    get requests() {
+      return state.requests;
+    },
+    get conversations() {
+      return state.conversations;
+    },
+    get files() {
+      return state.files;
+    },
+    get dataSources() {
+      return state.dataSources;
+    },
+    apiKey,
+    workspaceId,
+    agents,
+
+    // Listen on a port (default: any free one) and resolve with the base URL
+    start(port = 0) {
+      return new Promise((resolve, reject) => {
+        const server = app.listen(port, '127.0.0.1', () => {
+          state.server = server;
+          state.url = `http://127.0.0.1:${server.address().port}`;
+          resolve(state.url);
+        });
+        server.once('error', reject);
+      });
+    },
+
+    // Close the server, dropping open event streams
+    stop() {
+      if (!state.server) {
+        return Promise.resolve();
+      }
+      const { server } = state;
+      state.server = null;
+      return new Promise((resolve) => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+      });
+    },
+
+    // Forget conversations, files, recorded requests, scenarios, failures and document changes
+    reset() {
+      state.scenarios = [];
+      state.failures = [];
+      state.requests = [];
+      state.conversations = new Map();
+      state.files = new Map();
+      state.dataSources = copyDataSources();
+    },
+
+    // How the next agent messages answer, one scenario per message
+    script(...scenarios) {
+      state.scenarios.push(...scenarios);
+    },
+
+    /**
+     * Make the next matching requests fail
+     * @param {Object} failure
+     * @param {string} [failure.method] - e.g. 'POST'; any method when omitted
+     * @param {string|RegExp} [failure.path] - part of the path, or a pattern it matches
+     * @param {number} [failure.status] - HTTP status to answer; without it the request is only delayed
+     * @param {number} [failure.count] - how many requests fail (default 1)
+     * @param {string} [failure.message] - error message of the answer
+     * @param {string} [failure.type] - Dust error type of the answer (default internal_server_error)
+     * @param {number} [failure.retryAfter] - Retry-After header, in seconds
+     * @param {number} [failure.delayMs] - wait before answering
+     * @param {boolean} [failure.drop] - close the connection without answering
+     */
+    failNext(failure) {
+      state.failures.push({ count: 1, ...failure });
+    },
+
+    // Recorded requests with a method and a path containing (or matching) pattern
+    requestsTo(method, pattern) {
+      return state.requests.filter(request => request.method === method
+        && (pattern instanceof RegExp ? pattern.test(request.path) : request.path.includes(pattern)));
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_API_KEY,
+  DEFAULT_WORKSPACE_ID,
+  DEFAULT_AGENTS,
+  DEFAULT_DATA_SOURCES,
+  createMockDust
+};
+
+if (require.main === module) {
+  const mock = createMockDust();
+  mock.start(Number(process.argv[2]) || 5098).then((url) => {
+    console.log(`Mock Dust API listening at ${url} (API key ${mock.apiKey}, workspace ${mock.workspaceId}, agents ${mock.agents.map(agent => agent.sId).join(', ')})`);
+  });
+}
@@ -0,0 +1,50 @@
+/**
+ * Setup shared by the suites that run the server against the mock Dust API
+ *
+ *   describe('chat', () => {
+ *     const { dust, server } = useMcpServer({ env: { MCP_TIMEOUT: '5' } });
+ *     it('answers', async () => { ... server.client() ... });
+ *   });
+ */
+
+const { before, after } = require('node:test');
+
+const { createMockDust } = require('./mock-dust');
+const { startMcpServer } = require('./mcp-server');
+
+// Chat params asking a single user message
+function ask(content, params = {}) {
+  return { messages: [{ role: 'user', content }], ...params };
+}
+
+/**
+ * Start a mock Dust API and the server before the tests of the enclosing describe, and stop both after them
+ * @param {Object} [options]
+ * @param {Object|Function} [options.env] - extra server environment, or a function of the started mock returning it
+ * @returns {Object} { dust, server }; server is filled in by the before hook, see startMcpServer
+ */
+function useMcpServer({ env = {} } = {}) {
+  const dust = createMockDust();
+  // Filled in once started, so suites can hold on to it from the start
+  const server = {};
+
+  before(async () => {
+    await dust.start();
+    const started = await startMcpServer({ dust, env: typeof env === 'function' ? env(dust) : env });
+    Object.defineProperties(server, Object.getOwnPropertyDescriptors(started));
+  });
+
+  after(async () => {
+    if (server.stop) {
+      await server.stop();
+    }
+    await dust.stop();
+  });
+
+  return { dust, server };
+}
+
+module.exports = {
+  ask,
+  useMcpServer
+};
@@ -0,0 +1,121 @@
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useMcpServer } = require('./support/suite');
+
+describe('tools, search and resources over /mcp', () => {
+  const { dust, server } = useMcpServer();
+  let client;
+
+  before(async () => {
+    client = server.client();
+    await client.initialize();
+  });
+
+  beforeEach(() => {
+    dust.reset();
+  });
+
+  const toolNamed = async (title) => {
+    const { body } = await client.request('tools/list', {});
+    return body.result.tools.find(tool => tool.title === title);
+  };
+
+  it('lists a tool per active agent next to the knowledge tools', async () => {
+    const { body } = await client.request('tools/list', {});
+    const names = body.result.tools.map(tool => tool.name);
+
+    assert.ok(names.includes('dust_search'));
+    assert.ok(names.includes('dust_upsert_document'));
+    assert.equal(body.result.tools.filter(tool => tool.title === 'Helper' || tool.title === 'Researcher').length, 2);
+    assert.equal(await toolNamed('Retired'), undefined);
+  });
+
+  it('calls an agent tool and returns its answer', async () => {
+    dust.script({ reply: 'Twenty days.', tokenDelayMs: 0 });
+    const tool = await toolNamed('Helper');
+    const { body } = await client.request('tools/call', { name: tool.name, arguments: { message: 'How many vacation days?' } });
+
+    assert.equal(body.result.isError, false);
+    assert.equal(body.result.content[0].text, 'Twenty days.');
+    assert.ok(dust.conversations.has(body.result.structuredContent.conversationId));
+  });
+
+  it('reports agent failures as tool errors', async () => {
+    dust.script({ error: 'Model overloaded', tokenDelayMs: 0 });
+    const tool = await toolNamed('Helper');
+    const { body } = await client.request('tools/call', { name: tool.name, arguments: { message: 'Hi' } });
+
+    assert.equal(body.result.isError, true);
+    assert.match(body.result.content[0].text, /Model overloaded/);
+  });
+
+  it('searches the data sources with dust_search and the search method', async () => {
+    const { body } = await client.request('tools/call', { name: 'dust_search', arguments: { query: 'vacation days' } });
+    assert.equal(body.result.isError, false);
+    assert.equal(body.result.structuredContent.searchedDataSources, 2);
+    assert.equal(body.result.structuredContent.results[0].documentId, 'vacation');
+    assert.match(body.result.content[0].text, /Vacation policy/);
+
+    const filtered = await client.request('search', { query: 'deploys friday', dataSources: ['Engineering wiki'] });
+    assert.equal(filtered.body.result.searchedDataSources, 1);
+    assert.deepEqual(filtered.body.result.results.map(result => result.documentId), ['deploys']);
+  });
+
+  it('returns the results of the data sources that answered when one fails', async () => {
+    dust.failNext({ method: 'GET', path: '/dts2/search', status: 404, message: 'Data source not found' });
+    const { body } = await client.request('tools/call', { name: 'dust_search', arguments: { query: 'vacation days' } });
+
+    assert.equal(body.result.isError, false);
+    assert.equal(body.result.structuredContent.searchedDataSources, 1);
+    assert.deepEqual(body.result.structuredContent.failedDataSources.map(failed => failed.name), ['Engineering wiki']);
+    assert.equal(body.result.structuredContent.results[0].documentId, 'vacation');
+    assert.match(body.result.content[0].text, /Not searched, Dust failed: Engineering wiki/);
+  });
+
+  it('reports Dust failures of knowledge tools as tool errors', async () => {
+    dust.failNext({ method: 'GET', path: /\/search$/, status: 404, count: 2 });
+    const search = await client.request('tools/call', { name: 'dust_search', arguments: { query: 'vacation days' } });
+    assert.equal(search.body.result.isError, true);
+    assert.match(search.body.result.content[0].text, /^Dust rejected the search/);
+
+    dust.failNext({ method: 'POST', path: '/documents/remote', status: 403, type: 'workspace_auth_error', message: 'Read-only data source' });
+    const upsert = await client.request('tools/call', {
+      name: 'dust_upsert_document',
+      arguments: { dataSource: 'Handbook', documentId: 'remote', text: 'Remote work is allowed.' }
+    });
+    assert.equal(upsert.body.result.isError, true);
+    assert.equal(upsert.body.result.content[0].text, 'Dust rejected the document: Read-only data source');
+    assert.deepEqual(upsert.body.result.structuredContent.error, { message: 'Read-only data source', status: 403, type: 'workspace_auth_error' });
+  });
+
+  it('lists data sources and documents as resources and reads them', async () => {
+    const { body } = await client.request('resources/list', {});
+    const uris = body.result.resources.map(resource => resource.uri);
+    assert.deepEqual(uris, [
+      'dust://mock-workspace/spc1/dts1',
+      'dust://mock-workspace/spc1/dts1/vacation',
+      'dust://mock-workspace/spc1/dts1/expenses',
+      'dust://mock-workspace/spc1/dts2',
+      'dust://mock-workspace/spc1/dts2/deploys'
+    ]);
+
+    const document = await client.request('resources/read', { uri: 'dust://mock-workspace/spc1/dts1/vacation' });
+    assert.match(document.body.result.contents[0].text, /twenty vacation days/);
+
+    const index = await client.request('resources/read', { uri: 'dust://mock-workspace/spc1/dts2' });
+    assert.equal(index.body.result.contents[0].mimeType, 'text/markdown');
+    assert.match(index.body.result.contents[0].text, /\[Deploys\]\(dust:\/\/mock-workspace\/spc1\/dts2\/deploys\)/);
+  });
+
+  it('stores documents with dust_upsert_document', async () => {
+    const { body } = await client.request('tools/call', {
+      name: 'dust_upsert_document',
+      arguments: { dataSource: 'Handbook', documentId: 'remote', title: 'Remote work', text: 'Remote work is allowed two days a week.' }
+    });
+    assert.equal(body.result.isError, false);
+
+    const read = await client.request('resources/read', { uri: 'dust://mock-workspace/spc1/dts1/remote' });
+    assert.equal(read.body.result.contents[0].text, 'Remote work is allowed two days a week.');
+  });
+});